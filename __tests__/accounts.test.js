@@ -0,0 +1,107 @@
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_PARTITION,
+  createAccountStore,
+  normalizeAccountName,
+  sanitizeAccountData,
+} = require('../src/accounts');
+
+describe('Account Store', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-accounts-'));
+    filePath = path.join(tempDir, 'accounts.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should start with the original session partition', () => {
+    const store = createAccountStore(filePath);
+
+    expect(store.list()).toHaveLength(1);
+    expect(store.getActive().partition).toBe(DEFAULT_PARTITION);
+  });
+
+  test('should give each new account its own persistent partition', () => {
+    const store = createAccountStore(filePath);
+    const brand = store.add('Brand');
+    const moderation = store.add('Moderation');
+
+    expect(brand.partition.startsWith('persist:')).toBe(true);
+    expect(brand.partition).not.toBe(moderation.partition);
+    expect(brand.partition).not.toBe(DEFAULT_PARTITION);
+  });
+
+  test('should remember the active account across restarts', () => {
+    const store = createAccountStore(filePath);
+    const brand = store.add('Brand');
+    store.setActive(brand.id);
+
+    const reloaded = createAccountStore(filePath);
+    expect(reloaded.getActive().id).toBe(brand.id);
+  });
+
+  test('should keep partitions stable when renaming', () => {
+    const store = createAccountStore(filePath);
+    const brand = store.add('Brand');
+    const renamed = store.rename(brand.id, 'Brand Team');
+
+    expect(renamed.name).toBe('Brand Team');
+    expect(renamed.partition).toBe(brand.partition);
+  });
+
+  test('should reject duplicate and invalid names', () => {
+    const store = createAccountStore(filePath);
+    store.add('Brand');
+
+    expect(() => store.add('brand')).toThrow();
+    expect(() => store.add('   ')).toThrow();
+    expect(() => store.add('x'.repeat(41))).toThrow();
+  });
+
+  test('should fall back to another account when removing the active one', () => {
+    const store = createAccountStore(filePath);
+    const brand = store.add('Brand');
+    store.setActive(brand.id);
+
+    const removed = store.remove(brand.id);
+    expect(removed.partition).toBe(brand.partition);
+    expect(store.getActive().partition).toBe(DEFAULT_PARTITION);
+    expect(() => store.remove(store.getActive().id)).toThrow();
+  });
+
+  test('should find accounts by id or case-insensitive name', () => {
+    const store = createAccountStore(filePath);
+    const work = store.add('Work');
+
+    expect(store.find(work.id)).toEqual(work);
+    expect(store.find(' work ')).toEqual(work);
+    expect(store.find('Unknown')).toBeNull();
+    expect(store.find(undefined)).toBeNull();
+  });
+
+  test('should strip control characters from names', () => {
+    expect(normalizeAccountName(' Personal\u0007 ')).toBe('Personal');
+    expect(normalizeAccountName(42)).toBeNull();
+  });
+
+  test('should drop accounts pointing at foreign partitions', () => {
+    const data = sanitizeAccountData({
+      activeId: 'evil',
+      accounts: [
+        { id: 'evil', name: 'Evil', partition: 'persist:other-app' },
+        { id: 'default', name: 'Default', partition: DEFAULT_PARTITION },
+      ],
+    });
+
+    expect(data.accounts).toHaveLength(1);
+    expect(data.activeId).toBe('default');
+  });
+});
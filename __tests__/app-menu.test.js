@@ -0,0 +1,92 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  buildAppMenuTemplate,
+  isValidMenuAcceleratorMap,
+  resolveMenuAccelerators,
+} = require('../src/app-menu');
+
+function findItem(template, label) {
+  for (const entry of template) {
+    if (entry.label === label) {
+      return entry;
+    }
+    if (Array.isArray(entry.submenu)) {
+      const found = findItem(entry.submenu, label);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return null;
+}
+
+describe('Application Menu', () => {
+  test('should use platform defaults and apply overrides', () => {
+    const accelerators = resolveMenuAccelerators(
+      { home: 'ctrl+h', toggleDevTools: '' },
+      'darwin'
+    );
+
+    expect(accelerators.back).toBe('Command+[');
+    expect(accelerators.home).toBe('Control+H');
+    expect(accelerators.toggleDevTools).toBeUndefined();
+    expect(resolveMenuAccelerators({}, 'linux').back).toBe('Alt+Left');
+  });
+
+  test('should reject unknown commands and invalid accelerators', () => {
+    expect(isValidMenuAcceleratorMap({ home: 'CommandOrControl+H' })).toBe(
+      true
+    );
+    expect(isValidMenuAcceleratorMap({ launchRockets: 'Ctrl+L' })).toBe(false);
+    expect(isValidMenuAcceleratorMap({ home: 'Ctrl+Nope' })).toBe(false);
+    expect(isValidMenuAcceleratorMap([])).toBe(false);
+    expect(resolveMenuAccelerators({ home: 'Ctrl+Nope' }, 'linux').home).toBe(
+      'CommandOrControl+1'
+    );
+  });
+
+  test('should navigate inside the app from the Go menu', () => {
+    const routes = [];
+    const template = buildAppMenuTemplate({
+      appName: 'Bluesky Client',
+      platform: 'linux',
+      accelerators: resolveMenuAccelerators({}, 'linux'),
+      commands: { navigate: (route) => routes.push(route) },
+    });
+
+    findItem(template, 'Notifications').click();
+    findItem(template, 'Chat').click();
+
+    expect(routes).toEqual(['/notifications', '/messages']);
+    expect(findItem(template, 'Find…').accelerator).toBe('CommandOrControl+F');
+    expect(findItem(template, 'Notifications').accelerator).toBe(
+      'CommandOrControl+2'
+    );
+  });
+
+  test('should keep removed role accelerators from registering', () => {
+    const template = buildAppMenuTemplate({
+      appName: 'Bluesky Client',
+      platform: 'linux',
+      accelerators: resolveMenuAccelerators({ toggleDevTools: '' }, 'linux'),
+      commands: {},
+    });
+    const devTools = findItem(template, 'Toggle Developer Tools');
+
+    expect(devTools.role).toBe('toggleDevTools');
+    expect(devTools.registerAccelerator).toBe(false);
+  });
+
+  test('should add the application menu on macOS only', () => {
+    const build = (platform) =>
+      buildAppMenuTemplate({
+        appName: 'Bluesky Client',
+        platform,
+        accelerators: resolveMenuAccelerators({}, platform),
+        commands: {},
+      });
+
+    expect(build('darwin')[0].label).toBe('Bluesky Client');
+    expect(build('win32')[0].label).toBe('&File');
+  });
+});
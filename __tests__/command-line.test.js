@@ -0,0 +1,86 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  getForwardedArgs,
+  resolveLaunchRequest,
+} = require('../src/command-line');
+
+const ACCOUNTS = [
+  { id: 'default', name: 'Personal' },
+  { id: 'a1b2', name: 'Work' },
+];
+const options = {
+  findAccount: (nameOrId) =>
+    ACCOUNTS.find(
+      (account) =>
+        account.id === nameOrId ||
+        account.name.toLowerCase() === nameOrId.toLowerCase()
+    ) || null,
+  trustedOrigins: ['https://bsky.app'],
+};
+
+describe('Launch Arguments', () => {
+  test('should pick the account and the deep link route', () => {
+    expect(
+      resolveLaunchRequest(
+        ['--account=work', 'at://alice.bsky.social/app.bsky.feed.post/3k'],
+        options
+      )
+    ).toEqual({
+      account: ACCOUNTS[1],
+      unknownAccount: null,
+      routePath: '/profile/alice.bsky.social/post/3k',
+    });
+  });
+
+  test('should ask for nothing without arguments', () => {
+    expect(resolveLaunchRequest([], options)).toEqual({
+      account: null,
+      unknownAccount: null,
+      routePath: null,
+    });
+  });
+
+  test('should report unknown accounts and still open the link', () => {
+    expect(
+      resolveLaunchRequest(
+        ['--account=Nobody', 'https://bsky.app/notifications'],
+        options
+      )
+    ).toEqual({
+      account: null,
+      unknownAccount: 'Nobody',
+      routePath: '/notifications',
+    });
+  });
+
+  test('should ignore untrusted URLs and switch-like arguments', () => {
+    expect(
+      resolveLaunchRequest(
+        [
+          '--account',
+          'https://bsky.app.evil.com/profile/alice',
+          'http://bsky.app/profile/alice',
+          '--flag=https://bsky.app/settings',
+        ],
+        options
+      )
+    ).toEqual({ account: null, unknownAccount: null, routePath: null });
+  });
+
+  test('should prefer the original argv of a second instance', () => {
+    const commandLine = ['/app/bluesky', '--allow-file-access', 'at://x'];
+    expect(
+      getForwardedArgs(commandLine, {
+        argv: ['/app/bluesky', '--account=Work', 'at://alice.bsky.social'],
+      })
+    ).toEqual(['--account=Work', 'at://alice.bsky.social']);
+    expect(getForwardedArgs(commandLine, { argv: [1, 2] })).toEqual([
+      '--allow-file-access',
+      'at://x',
+    ]);
+    expect(getForwardedArgs(commandLine, undefined)).toEqual([
+      '--allow-file-access',
+      'at://x',
+    ]);
+  });
+});
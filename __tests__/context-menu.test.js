@@ -0,0 +1,247 @@
+const { describe, test, expect } = require('@jest/globals');
+const { buildContextMenuTemplate } = require('../src/context-menu');
+
+const trustedOrigins = ['https://bsky.app'];
+
+function isSafeUrl(urlString) {
+  try {
+    return ['https:', 'mailto:', 'tel:'].includes(new URL(urlString).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function createActions() {
+  return {
+    copyText: jest.fn(),
+    openLink: jest.fn(),
+    saveImage: jest.fn(),
+    copyImage: jest.fn(),
+    openImage: jest.fn(),
+    replaceMisspelling: jest.fn(),
+    addToDictionary: jest.fn(),
+    setSpellCheckerEnabled: jest.fn(),
+    setSpellCheckerLanguage: jest.fn(),
+    openDictionariesFolder: jest.fn(),
+  };
+}
+
+function build(params, options = {}) {
+  return buildContextMenuTemplate(
+    { editFlags: {}, ...params },
+    { isSafeUrl, trustedOrigins, actions: createActions(), ...options }
+  );
+}
+
+function findItem(template, label) {
+  return template.find((item) => item.label === label);
+}
+
+describe('Context Menu', () => {
+  test('should be empty when there is nothing to act on', () => {
+    expect(build({})).toEqual([]);
+  });
+
+  test('should offer edit commands in editable fields', () => {
+    const template = build({
+      isEditable: true,
+      editFlags: { canCopy: true, canPaste: true, canSelectAll: true },
+    });
+    expect(template.map((item) => item.role).filter(Boolean)).toEqual([
+      'cut',
+      'copy',
+      'paste',
+      'selectAll',
+    ]);
+    expect(findItem(template, 'Cut').enabled).toBe(false);
+    expect(findItem(template, 'Paste').enabled).toBe(true);
+  });
+
+  test('should offer Copy for selected page text', () => {
+    expect(build({ selectionText: 'hello' })).toEqual([
+      { label: 'Copy', role: 'copy' },
+    ]);
+  });
+
+  test('should copy, open and convert links to AT URIs', () => {
+    const actions = createActions();
+    const template = build(
+      { linkURL: 'https://bsky.app/profile/alice.bsky.social/post/3kabc' },
+      { actions }
+    );
+
+    findItem(template, 'Copy Link').click();
+    findItem(template, 'Open Link in Browser').click();
+    findItem(template, 'Copy AT-URI').click();
+    // Opening goes through the link checks in main, never straight out
+    expect(actions.openLink).toHaveBeenCalledWith(
+      'https://bsky.app/profile/alice.bsky.social/post/3kabc'
+    );
+    expect(actions.copyText.mock.calls).toEqual([
+      ['https://bsky.app/profile/alice.bsky.social/post/3kabc'],
+      ['at://alice.bsky.social/app.bsky.feed.post/3kabc'],
+    ]);
+  });
+
+  test('should only offer AT URIs for trusted links', () => {
+    const template = build({
+      linkURL: 'https://evil.example/profile/alice.bsky.social',
+    });
+    expect(findItem(template, 'Copy Link')).toBeDefined();
+    expect(findItem(template, 'Copy AT-URI')).toBeUndefined();
+  });
+
+  test('should ignore unsafe links', () => {
+    expect(build({ linkURL: 'javascript:alert(1)' })).toEqual([]);
+    expect(build({ linkURL: 'file:///etc/passwd' })).toEqual([]);
+  });
+
+  test('should save, copy and open images', () => {
+    const actions = createActions();
+    const template = build(
+      {
+        mediaType: 'image',
+        srcURL: 'https://cdn.bsky.app/img/feed_fullsize/plain/abc@jpeg',
+        hasImageContents: true,
+        x: 10,
+        y: 20,
+      },
+      { actions }
+    );
+
+    findItem(template, 'Save Image…').click();
+    findItem(template, 'Copy Image').click();
+    findItem(template, 'Open Image in Viewer').click();
+    expect(actions.saveImage).toHaveBeenCalledWith(
+      'https://cdn.bsky.app/img/feed_fullsize/plain/abc@jpeg'
+    );
+    expect(actions.copyImage).toHaveBeenCalledWith(10, 20);
+    expect(actions.openImage).toHaveBeenCalledWith(
+      'https://cdn.bsky.app/img/feed_fullsize/plain/abc@jpeg'
+    );
+  });
+
+  test('should only copy images that are not served over HTTPS', () => {
+    const template = build({
+      mediaType: 'image',
+      srcURL: 'blob:https://bsky.app/1234',
+      hasImageContents: true,
+    });
+    expect(findItem(template, 'Save Image…').enabled).toBe(false);
+    expect(findItem(template, 'Open Image in Viewer').enabled).toBe(false);
+    expect(findItem(template, 'Copy Image').enabled).toBe(true);
+  });
+
+  test('should copy the link and text of the post under the cursor', () => {
+    const actions = createActions();
+    const template = build(
+      {},
+      {
+        actions,
+        post: {
+          href: 'https://bsky.app/profile/alice.bsky.social/post/3kabc',
+          text: 'Hello world',
+        },
+      }
+    );
+
+    findItem(template, 'Copy Post Link').click();
+    findItem(template, 'Copy Post Text').click();
+    expect(actions.copyText.mock.calls).toEqual([
+      ['https://bsky.app/profile/alice.bsky.social/post/3kabc'],
+      ['Hello world'],
+    ]);
+  });
+
+  test('should not copy post links from untrusted origins', () => {
+    const template = build(
+      {},
+      { post: { href: 'https://evil.example/post/1', text: '' } }
+    );
+    expect(template).toEqual([]);
+  });
+
+  test('should separate groups', () => {
+    const template = build(
+      { selectionText: 'hi', linkURL: 'https://example.com/' },
+      {
+        post: {
+          href: 'https://bsky.app/profile/a.bsky.social/post/1',
+          text: 'x',
+        },
+      }
+    );
+    expect(template.map((item) => item.type || item.label)).toEqual([
+      'Copy',
+      'separator',
+      'Copy Link',
+      'Open Link in Browser',
+      'separator',
+      'Copy Post Link',
+      'Copy Post Text',
+    ]);
+  });
+
+  describe('spelling', () => {
+    const spelling = {
+      enabled: true,
+      languages: ['en-US'],
+      availableLanguages: ['de-DE', 'en-US'],
+    };
+
+    test('should offer suggestions and Add to Dictionary for misspellings', () => {
+      const actions = createActions();
+      const template = build(
+        {
+          isEditable: true,
+          misspelledWord: 'skeet',
+          dictionarySuggestions: ['sheet', 'sleet'],
+        },
+        { actions, spelling }
+      );
+
+      expect(template.slice(0, 4).map((item) => item.label)).toEqual([
+        'sheet',
+        'sleet',
+        undefined,
+        'Add to Dictionary',
+      ]);
+      findItem(template, 'sleet').click();
+      findItem(template, 'Add to Dictionary').click();
+      expect(actions.replaceMisspelling).toHaveBeenCalledWith('sleet');
+      expect(actions.addToDictionary).toHaveBeenCalledWith('skeet');
+    });
+
+    test('should say when there are no guesses', () => {
+      const template = build(
+        { isEditable: true, misspelledWord: 'qwzx' },
+        { spelling }
+      );
+      expect(template[0]).toEqual({
+        label: 'No Guesses Found',
+        enabled: false,
+      });
+    });
+
+    test('should pick languages from the Spelling submenu', () => {
+      const actions = createActions();
+      const { submenu } = findItem(
+        build({ isEditable: true }, { actions, spelling }),
+        'Spelling'
+      );
+
+      const german = findItem(submenu, 'de-DE');
+      expect(german.checked).toBe(false);
+      expect(findItem(submenu, 'en-US').checked).toBe(true);
+      german.click({ checked: true });
+      findItem(submenu, 'Check Spelling While Typing').click({
+        checked: false,
+      });
+      expect(actions.setSpellCheckerLanguage).toHaveBeenCalledWith(
+        'de-DE',
+        true
+      );
+      expect(actions.setSpellCheckerEnabled).toHaveBeenCalledWith(false);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCrashGuard } = require('../src/crash-guard');
+
+describe('Crash Guard', () => {
+  let tempDir;
+  let filePath;
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-crash-'));
+    filePath = path.join(tempDir, 'crash-state.json');
+    time = 1_000_000;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should enter safe mode after three crashes within five minutes', () => {
+    const guard = createCrashGuard(filePath, { now });
+    expect(guard.recordCrash()).toEqual({ count: 1, enteredSafeMode: false });
+    time += 60 * 1000;
+    expect(guard.recordCrash()).toEqual({ count: 2, enteredSafeMode: false });
+    time += 60 * 1000;
+    expect(guard.recordCrash()).toEqual({ count: 3, enteredSafeMode: true });
+
+    expect(guard.isSafeMode()).toBe(true);
+    expect(guard.getSafeModeReason()).toBe(
+      'The page crashed 3 times within 5 minutes.'
+    );
+    // Entering safe mode is reported once
+    expect(guard.recordCrash().enteredSafeMode).toBe(false);
+  });
+
+  test('should count recent crashes', () => {
+    const guard = createCrashGuard(filePath, { now });
+    expect(guard.getRecentCrashCount()).toBe(0);
+    guard.recordCrash();
+    time += 60 * 1000;
+    guard.recordCrash();
+    expect(guard.getRecentCrashCount()).toBe(2);
+    time += 4.5 * 60 * 1000;
+    expect(guard.getRecentCrashCount()).toBe(1);
+  });
+
+  test('should forget crashes outside the window', () => {
+    const guard = createCrashGuard(filePath, { now });
+    guard.recordCrash();
+    guard.recordCrash();
+    time += 5 * 60 * 1000;
+    expect(guard.recordCrash()).toEqual({ count: 1, enteredSafeMode: false });
+    expect(guard.isSafeMode()).toBe(false);
+  });
+
+  test('should count crashes and keep safe mode across restarts', () => {
+    createCrashGuard(filePath, { now }).recordCrash();
+    createCrashGuard(filePath, { now }).recordCrash();
+    expect(createCrashGuard(filePath, { now }).recordCrash().count).toBe(3);
+    expect(createCrashGuard(filePath, { now }).isSafeMode()).toBe(true);
+  });
+
+  test('should leave safe mode and start counting over', () => {
+    const guard = createCrashGuard(filePath, { now, maxCrashes: 1 });
+    guard.recordCrash();
+    guard.exitSafeMode();
+
+    const reloaded = createCrashGuard(filePath, { now, maxCrashes: 2 });
+    expect(reloaded.isSafeMode()).toBe(false);
+    expect(reloaded.recordCrash().count).toBe(1);
+  });
+
+  test('should ignore a malformed state file', () => {
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({ crashes: ['x', 5], safeMode: { reason: 1 } })
+    );
+    const guard = createCrashGuard(filePath, { now });
+    expect(guard.isSafeMode()).toBe(false);
+    expect(guard.getSafeModeReason()).toBeNull();
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  collectDiagnostics,
+  listLogFiles,
+  redactSettings,
+  summarizeMetrics,
+} = require('../src/diagnostics');
+const { getDefaultSettings } = require('../src/settings');
+const { createZip } = require('../src/zip-writer');
+
+// Read the entries back through the central directory
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+  for (let index = 0; index < count; index += 1) {
+    expect(buffer.readUInt32LE(offset)).toBe(0x02014b50);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(
+      buffer.subarray(dataStart, dataStart + compressedSize)
+    );
+    expect(zlib.crc32(data)).toBe(crc);
+    entries[name] = data.toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('Zip Writer', () => {
+  test('should write entries that read back unchanged', () => {
+    const zip = createZip(
+      [
+        { name: 'summary.json', data: '{"ok":true}\n' },
+        { name: 'logs/main.log', data: Buffer.from('line one\nline two\n') },
+        { name: 'empty.txt', data: '' },
+      ],
+      new Date(2026, 0, 2, 3, 4, 6)
+    );
+
+    expect(zip.readUInt32LE(0)).toBe(0x04034b50);
+    expect(readZip(zip)).toEqual({
+      'summary.json': '{"ok":true}\n',
+      'logs/main.log': 'line one\nline two\n',
+      'empty.txt': '',
+    });
+  });
+});
+
+describe('Diagnostics', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-diagnostics-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should keep only the shape of free-form settings', () => {
+    const settings = {
+      ...getDefaultSettings(),
+      wheelRefreshThreshold: 300,
+      spellcheck: false,
+      trustedOrigins: ['https://bsky.app', 'https://pds.alice.example'],
+      linkRules: [{ match: 'secret.example', action: 'block' }],
+      customDictionaryWords: ['alicesurname'],
+      downloadDirectory: '/home/alice/Pictures',
+      permissionDecisions: { 'https://bsky.app': { media: 'allow' } },
+    };
+
+    const redacted = redactSettings(settings);
+    expect(redacted).toMatchObject({
+      wheelRefreshThreshold: 300,
+      spellcheck: false,
+      defaultOrigin: '[default]',
+      trustedOrigins: '[customized, 2 entries]',
+      linkRules: '[customized, 1 entries]',
+      customDictionaryWords: '[customized, 1 entries]',
+      downloadDirectory: '[customized]',
+      permissionDecisions: '[customized]',
+    });
+    const text = JSON.stringify(redacted);
+    ['alice', 'secret.example'].forEach((secret) => {
+      expect(text).not.toContain(secret);
+    });
+  });
+
+  test('should drop process names from metrics', () => {
+    expect(
+      summarizeMetrics([
+        {
+          pid: 42,
+          type: 'Tab',
+          name: 'https://bsky.app/profile/alice',
+          cpu: { percentCPUUsage: 1.5 },
+          memory: { workingSetSize: 1024 },
+        },
+      ])
+    ).toEqual([
+      {
+        pid: 42,
+        type: 'Tab',
+        cpu: { percentCPUUsage: 1.5 },
+        memory: { workingSetSize: 1024 },
+      },
+    ]);
+  });
+
+  test('should list log files newest first', () => {
+    ['main.2.log', 'main.log', 'main.1.log', 'notes.txt'].forEach((name) => {
+      fs.writeFileSync(path.join(tempDir, name), '');
+    });
+    expect(listLogFiles(tempDir)).toEqual([
+      'main.log',
+      'main.1.log',
+      'main.2.log',
+    ]);
+    expect(listLogFiles(path.join(tempDir, 'missing'))).toEqual([]);
+  });
+
+  test('should bundle logs and redact every report value', () => {
+    fs.writeFileSync(
+      path.join(tempDir, 'main.log'),
+      '{"level":"info","message":"Ready"}\n'
+    );
+    const entries = collectDiagnostics({
+      versions: { app: '1.4.0', electron: '39.2.3', chromium: '142.0.0.0' },
+      system: { platform: 'linux', note: 'Bearer abc.def' },
+      metrics: [{ pid: 1, type: 'Browser', cpu: { percentCPUUsage: 0 } }],
+      gpuFeatureStatus: { webgl: 'enabled' },
+      gpuInfo: { gpuDevice: [{ vendorId: 4318, deviceId: 7937 }] },
+      settings: {
+        ...getDefaultSettings(),
+        trustedOrigins: ['https://bsky.app', 'https://pds.alice.example'],
+      },
+      crashes: {
+        recent: 2,
+        safeModeReason: 'Crashed at https://bsky.app/profile/alice',
+        accessJwt: 'eyJhbGciOi.eyJzdWIiOi.c2ln',
+      },
+      logDir: tempDir,
+      now: new Date('2026-01-02T03:04:05.000Z'),
+    });
+
+    expect(entries.map((entry) => entry.name)).toEqual([
+      'summary.json',
+      'metrics.json',
+      'gpu.json',
+      'settings.json',
+      'logs/main.log',
+    ]);
+    const files = readZip(createZip(entries));
+    const summary = JSON.parse(files['summary.json']);
+    expect(summary).toMatchObject({
+      createdAt: '2026-01-02T03:04:05.000Z',
+      versions: { app: '1.4.0', electron: '39.2.3', chromium: '142.0.0.0' },
+      system: { note: 'Bearer [token]' },
+      crashes: {
+        recent: 2,
+        safeModeReason: 'Crashed at https://bsky.app/[redacted]',
+        accessJwt: '[redacted]',
+      },
+      logFiles: ['main.log'],
+    });
+    expect(JSON.parse(files['gpu.json'])).toEqual({
+      featureStatus: { webgl: 'enabled' },
+      gpuInfo: { gpuDevice: [{ vendorId: 4318, deviceId: 7937 }] },
+    });
+    expect(files['logs/main.log']).toBe('{"level":"info","message":"Ready"}\n');
+
+    const text = Object.values(files).join('\n');
+    ['alice', 'eyJ', 'abc.def'].forEach((secret) => {
+      expect(text).not.toContain(secret);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const { describe, test, expect } = require('@jest/globals');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createDownloadManager,
+  describeDownload,
+  getUniquePath,
+  sanitizeFilename,
+} = require('../src/download-manager');
+
+// Minimal stand-in for Electron's DownloadItem
+function createFakeItem({ filename = 'photo.jpg', totalBytes = 100 } = {}) {
+  const item = new EventEmitter();
+  let savePath = '';
+  Object.assign(item, {
+    receivedBytes: 0,
+    getFilename: () => filename,
+    getURL: () => `https://cdn.bsky.app/img/${filename}`,
+    getSavePath: () => savePath,
+    setSavePath: (value) => {
+      savePath = value;
+    },
+    setSaveDialogOptions: jest.fn(),
+    getReceivedBytes: () => item.receivedBytes,
+    getTotalBytes: () => totalBytes,
+    isPaused: () => false,
+    canResume: () => true,
+    resume: jest.fn(),
+    cancel: jest.fn(() => item.emit('done', {}, 'cancelled')),
+  });
+  return item;
+}
+
+describe('Download Manager', () => {
+  let tempDir;
+  let options;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-downloads-'));
+    options = {
+      filePath: path.join(tempDir, 'downloads.json'),
+      getSaveDirectory: () => path.join(tempDir, 'Downloads'),
+      shouldAsk: () => false,
+      downloadURL: jest.fn(),
+      onChange: jest.fn(),
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('sanitizeFilename', () => {
+    test('should keep ordinary names', () => {
+      expect(sanitizeFilename('photo.jpg')).toBe('photo.jpg');
+      expect(sanitizeFilename('Mein Urlaub (2).mp4')).toBe(
+        'Mein Urlaub (2).mp4'
+      );
+    });
+
+    test('should drop folders and reserved characters', () => {
+      expect(sanitizeFilename('../../etc/passwd')).toBe('passwd');
+      expect(sanitizeFilename('C:\\Windows\\evil.exe')).toBe('evil.exe');
+      expect(sanitizeFilename('what?<is>*this*.png')).toBe(
+        'what__is__this_.png'
+      );
+      expect(sanitizeFilename('line\nbreak\u0007.txt')).toBe('linebreak.txt');
+    });
+
+    test('should strip bidi overrides that disguise the extension', () => {
+      expect(sanitizeFilename('invoice\u202egnp.exe')).toBe('invoicegnp.exe');
+    });
+
+    test('should avoid hidden files, device names and empty names', () => {
+      expect(sanitizeFilename('.bashrc')).toBe('bashrc');
+      expect(sanitizeFilename('CON.txt')).toBe('_CON.txt');
+      expect(sanitizeFilename('...')).toBe('download');
+      expect(sanitizeFilename('')).toBe('download');
+      expect(sanitizeFilename(null, 'image')).toBe('image');
+    });
+
+    test('should shorten long names but keep the extension', () => {
+      const name = sanitizeFilename(`${'a'.repeat(300)}.jpeg`);
+      expect(name.length).toBe(200);
+      expect(name.endsWith('.jpeg')).toBe(true);
+    });
+  });
+
+  test('getUniquePath should number taken names', () => {
+    const taken = new Set([
+      path.join('/dl', 'photo.jpg'),
+      path.join('/dl', 'photo (1).jpg'),
+    ]);
+    expect(getUniquePath('/dl', 'photo.jpg', (p) => taken.has(p))).toBe(
+      path.join('/dl', 'photo (2).jpg')
+    );
+    expect(getUniquePath('/dl', 'other.jpg', (p) => taken.has(p))).toBe(
+      path.join('/dl', 'other.jpg')
+    );
+  });
+
+  test('should save to the download folder and track progress', () => {
+    const manager = createDownloadManager(options);
+    const item = createFakeItem();
+    const entry = manager.handleDownload(item);
+
+    expect(item.getSavePath()).toBe(
+      path.join(tempDir, 'Downloads', 'photo.jpg')
+    );
+    expect(manager.getProgress()).toEqual({ count: 1, fraction: 0 });
+
+    item.receivedBytes = 50;
+    item.emit('updated', {}, 'progressing');
+    expect(manager.getProgress()).toEqual({ count: 1, fraction: 0.5 });
+    expect(describeDownload(manager.list()[0])).toBe('photo.jpg — 50%');
+
+    item.receivedBytes = 100;
+    item.emit('done', {}, 'completed');
+    expect(manager.getProgress()).toBeNull();
+    expect(manager.list()[0]).toMatchObject({
+      id: entry.id,
+      state: 'completed',
+      receivedBytes: 100,
+    });
+  });
+
+  test('should let the save dialog pick the path when asking', () => {
+    options.shouldAsk = () => true;
+    const manager = createDownloadManager(options);
+    const item = createFakeItem({ filename: '../clip.mp4' });
+    manager.handleDownload(item);
+
+    expect(item.getSavePath()).toBe('');
+    expect(item.setSaveDialogOptions).toHaveBeenCalledWith({
+      defaultPath: path.join(tempDir, 'Downloads', 'clip.mp4'),
+    });
+  });
+
+  test('should report unknown sizes as indeterminate', () => {
+    const manager = createDownloadManager(options);
+    manager.handleDownload(createFakeItem({ totalBytes: 0 }));
+    expect(manager.getProgress()).toEqual({ count: 1, fraction: null });
+  });
+
+  test('should cancel and retry downloads', () => {
+    const manager = createDownloadManager(options);
+    const item = createFakeItem();
+    const entry = manager.handleDownload(item);
+
+    manager.cancel(entry.id);
+    expect(item.cancel).toHaveBeenCalled();
+    expect(manager.list()[0].state).toBe('cancelled');
+
+    manager.retry(entry.id);
+    expect(options.downloadURL).toHaveBeenCalledWith(
+      'https://cdn.bsky.app/img/photo.jpg'
+    );
+    expect(manager.list()).toEqual([]);
+  });
+
+  test('should resume interrupted downloads in place', () => {
+    const manager = createDownloadManager(options);
+    const item = createFakeItem();
+    const entry = manager.handleDownload(item);
+
+    item.emit('updated', {}, 'interrupted');
+    expect(manager.list()[0].state).toBe('interrupted');
+    manager.retry(entry.id);
+    expect(item.resume).toHaveBeenCalled();
+    expect(options.downloadURL).not.toHaveBeenCalled();
+  });
+
+  test('should start over when an interrupted download cannot resume', () => {
+    const manager = createDownloadManager(options);
+    const item = createFakeItem();
+    item.canResume = () => false;
+    const entry = manager.handleDownload(item);
+
+    item.emit('updated', {}, 'interrupted');
+    manager.retry(entry.id);
+    expect(item.resume).not.toHaveBeenCalled();
+    expect(item.cancel).toHaveBeenCalled();
+    expect(options.downloadURL).toHaveBeenCalledWith(
+      'https://cdn.bsky.app/img/photo.jpg'
+    );
+    expect(manager.list()).toEqual([]);
+    expect(manager.getProgress()).toBeNull();
+  });
+
+  test('should ask where to save when the download folder is unusable', () => {
+    // A file where the folder should be makes mkdir fail
+    const blocked = path.join(tempDir, 'not-a-folder');
+    fs.writeFileSync(blocked, '');
+    options.getSaveDirectory = () => path.join(blocked, 'Downloads');
+    const logger = { warn: jest.fn() };
+    const manager = createDownloadManager({ ...options, logger });
+    const item = createFakeItem();
+
+    expect(() => manager.handleDownload(item)).not.toThrow();
+    expect(item.getSavePath()).toBe('');
+    expect(item.setSaveDialogOptions).toHaveBeenCalledWith({
+      defaultPath: 'photo.jpg',
+    });
+    expect(logger.warn).toHaveBeenCalled();
+    expect(manager.list()[0].state).toBe('progressing');
+  });
+
+  test('should keep history across restarts and mark unfinished downloads failed', () => {
+    const manager = createDownloadManager(options);
+    const finishedItem = createFakeItem({ filename: 'done.jpg' });
+    manager.handleDownload(finishedItem);
+    finishedItem.emit('done', {}, 'completed');
+    manager.handleDownload(createFakeItem({ filename: 'running.mp4' }));
+
+    const reloaded = createDownloadManager(options);
+    expect(
+      reloaded.list().map((entry) => [entry.filename, entry.state])
+    ).toEqual([
+      ['running.mp4', 'interrupted'],
+      ['done.jpg', 'completed'],
+    ]);
+    expect(reloaded.getProgress()).toBeNull();
+  });
+
+  test('should clear finished downloads from the history only', () => {
+    const manager = createDownloadManager(options);
+    const finishedItem = createFakeItem({ filename: 'done.jpg' });
+    manager.handleDownload(finishedItem);
+    finishedItem.emit('done', {}, 'completed');
+    manager.handleDownload(createFakeItem({ filename: 'running.mp4' }));
+
+    manager.clearHistory();
+    expect(manager.list().map((entry) => entry.filename)).toEqual([
+      'running.mp4',
+    ]);
+  });
+
+  test('should ignore a corrupt history file', () => {
+    fs.writeFileSync(options.filePath, '{"downloads": [{"id": 1}]}');
+    expect(createDownloadManager(options).list()).toEqual([]);
+  });
+});
@@ -0,0 +1,235 @@
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createFilterMatcher,
+  getSiteKey,
+  parseFilter,
+  parseFilterList,
+} = require('../src/filter-list');
+const {
+  isValidSubscriptionList,
+  loadFilterLists,
+  updateSubscriptions,
+} = require('../src/filter-list-store');
+
+const PAGE = 'https://bsky.app/profile/alice.bsky.social';
+
+function createMatcher(text) {
+  return createFilterMatcher([parseFilterList(text)]);
+}
+
+describe('Filter Lists', () => {
+  describe('parseFilterList', () => {
+    test('should read the title and skip cosmetic and unsupported filters', () => {
+      const list = parseFilterList(
+        [
+          '[Adblock Plus 2.0]',
+          '! Title: Example List',
+          '! a comment',
+          '||tracker.example^',
+          'example.com##.banner',
+          '/ads[0-9]+/',
+          '||cdn.example^$redirect=noop.js',
+        ].join('\n')
+      );
+
+      expect(list.title).toBe('Example List');
+      expect(list.filters.map((filter) => filter.text)).toEqual([
+        '||tracker.example^',
+      ]);
+      expect(list.skipped).toBe(3);
+    });
+
+    test('should parse exceptions and options', () => {
+      const filter = parseFilter(
+        '@@||cdn.example^$script,~third-party,domain=a.com|~b.a.com'
+      );
+
+      expect(filter.isException).toBe(true);
+      expect(filter.types).toEqual(['script']);
+      expect(filter.thirdParty).toBe(false);
+      expect(filter.includeDomains).toEqual(['a.com']);
+      expect(filter.excludeDomains).toEqual(['b.a.com']);
+    });
+  });
+
+  describe('createFilterMatcher', () => {
+    test('should anchor domain filters at host boundaries', () => {
+      const matcher = createMatcher('||tracker.example^');
+
+      expect(
+        matcher.match({
+          url: 'https://tracker.example/p.js',
+          documentUrl: PAGE,
+        })
+      ).not.toBeNull();
+      expect(
+        matcher.match({
+          url: 'https://cdn.tracker.example/p',
+          documentUrl: PAGE,
+        })
+      ).not.toBeNull();
+      expect(
+        matcher.match({ url: 'https://nottracker.example/', documentUrl: PAGE })
+      ).toBeNull();
+      expect(
+        matcher.match({
+          url: 'https://tracker.example.org/',
+          documentUrl: PAGE,
+        })
+      ).toBeNull();
+    });
+
+    test('should support wildcards, separators and start anchors', () => {
+      const matcher = createMatcher(
+        ['/collect?*&tid=', '|https://stats.', 'pixel^'].join('\n')
+      );
+
+      expect(
+        matcher.match({ url: 'https://x.example/collect?v=1&tid=UA-1' })
+      ).not.toBeNull();
+      expect(
+        matcher.match({ url: 'https://stats.example/hit' })
+      ).not.toBeNull();
+      expect(
+        matcher.match({ url: 'https://a.example/pixel?id=1' })
+      ).not.toBeNull();
+      expect(matcher.match({ url: 'https://a.example/pixels' })).toBeNull();
+      expect(matcher.match({ url: 'https://a.example/stats.js' })).toBeNull();
+    });
+
+    test('should honour third-party, type and domain options', () => {
+      const matcher = createMatcher(
+        [
+          '||analytics.example^$third-party',
+          '||media.example^$image',
+          '||widget.example^$domain=bsky.app',
+        ].join('\n')
+      );
+
+      expect(
+        matcher.match({ url: 'https://analytics.example/a', documentUrl: PAGE })
+      ).not.toBeNull();
+      expect(
+        matcher.match({
+          url: 'https://analytics.example/a',
+          documentUrl: 'https://www.analytics.example/',
+        })
+      ).toBeNull();
+      expect(
+        matcher.match({ url: 'https://media.example/a.png', type: 'image' })
+      ).not.toBeNull();
+      expect(
+        matcher.match({ url: 'https://media.example/a.js', type: 'script' })
+      ).toBeNull();
+      expect(
+        matcher.match({ url: 'https://widget.example/', documentUrl: PAGE })
+      ).not.toBeNull();
+      expect(
+        matcher.match({
+          url: 'https://widget.example/',
+          documentUrl: 'https://example.org/',
+        })
+      ).toBeNull();
+    });
+
+    test('should let exception filters override blocking filters', () => {
+      const matcher = createMatcher(
+        ['||tracker.example^', '@@||tracker.example/allowed/'].join('\n')
+      );
+
+      expect(
+        matcher.match({ url: 'https://tracker.example/allowed/x.js' })
+      ).toBeNull();
+      expect(
+        matcher.match({ url: 'https://tracker.example/x.js' })
+      ).not.toBeNull();
+    });
+
+    test('should approximate registrable domains', () => {
+      expect(getSiteKey('cdn.bsky.app')).toBe('bsky.app');
+      expect(getSiteKey('news.bbc.co.uk')).toBe('bbc.co.uk');
+      expect(getSiteKey('127.0.0.1')).toBe('127.0.0.1');
+    });
+  });
+
+  describe('filter list store', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-filters-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should load bundled and user lists with stable ids', () => {
+      fs.writeFileSync(
+        path.join(tempDir, 'mine.txt'),
+        '||mine.example^\n',
+        'utf8'
+      );
+
+      const ids = loadFilterLists(tempDir).map((list) => list.id);
+      expect(ids).toContain('bundled:basic-trackers.txt');
+      expect(ids).toContain('file:mine.txt');
+    });
+
+    test('should download stale subscriptions and drop removed ones', async () => {
+      const url = 'https://lists.example/privacy.txt';
+      const requested = [];
+      const fetch = async (target) => {
+        requested.push(target);
+        return {
+          ok: true,
+          status: 200,
+          text: async () => '! Title: Privacy\n||tracker.example^\n',
+        };
+      };
+
+      expect(await updateSubscriptions(tempDir, [url], fetch)).toBe(true);
+      expect(await updateSubscriptions(tempDir, [url], fetch)).toBe(false);
+      expect(requested).toEqual([url]);
+
+      const subscription = loadFilterLists(tempDir).find((list) =>
+        list.id.startsWith('subscription:')
+      );
+      expect(subscription.title).toBe('Privacy');
+
+      expect(await updateSubscriptions(tempDir, [], fetch)).toBe(true);
+      expect(
+        loadFilterLists(tempDir).some((list) =>
+          list.id.startsWith('subscription:')
+        )
+      ).toBe(false);
+    });
+
+    test('should skip stale downloads it cannot remove', async () => {
+      // A folder in place of a download makes removing it fail
+      const stale = path.join(tempDir, 'subscriptions', 'stale.txt');
+      fs.mkdirSync(stale, { recursive: true });
+      const logger = { warn: jest.fn() };
+
+      await expect(
+        updateSubscriptions(tempDir, [], jest.fn(), Date.now(), logger)
+      ).resolves.toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Failed to remove filter list download:',
+        expect.any(String)
+      );
+      expect(fs.existsSync(stale)).toBe(true);
+    });
+
+    test('should only accept HTTPS subscriptions', () => {
+      expect(isValidSubscriptionList(['https://lists.example/a.txt'])).toBe(
+        true
+      );
+      expect(isValidSubscriptionList(['http://lists.example/a.txt'])).toBe(
+        false
+      );
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const { describe, test, expect } = require('@jest/globals');
+const { EventEmitter } = require('events');
+
+// Stand-ins for the Electron pieces the bar touches
+function mockWebContents() {
+  const webContents = new EventEmitter();
+  Object.assign(webContents, {
+    send: jest.fn(),
+    focus: jest.fn(),
+    close: jest.fn(),
+    loadFile: jest.fn(),
+    isDestroyed: () => false,
+    setWindowOpenHandler: jest.fn(),
+    findInPage: jest.fn(),
+    stopFindInPage: jest.fn(),
+  });
+  return webContents;
+}
+
+jest.mock('electron', () => {
+  const { EventEmitter: Emitter } = require('events');
+  return {
+    ipcMain: new Emitter(),
+    WebContentsView: jest.fn(function WebContentsView() {
+      this.webContents = mockWebContents();
+      this.setBounds = jest.fn();
+    }),
+  };
+});
+
+const { ipcMain, WebContentsView } = require('electron');
+const { createFindBar } = require('../src/find-bar');
+
+function createFakeWindow() {
+  const win = new EventEmitter();
+  Object.assign(win, {
+    webContents: mockWebContents(),
+    getContentBounds: () => ({ x: 0, y: 0, width: 1000, height: 800 }),
+    contentView: { addChildView: jest.fn(), removeChildView: jest.fn() },
+  });
+  return win;
+}
+
+describe('Find Bar', () => {
+  let win;
+  let findBar;
+  let barContents;
+
+  // Messages from the bar's own page
+  const sendFromBar = (channel, ...args) =>
+    ipcMain.emit(channel, { sender: barContents }, ...args);
+
+  beforeEach(() => {
+    win = createFakeWindow();
+    findBar = createFindBar(win);
+    barContents = WebContentsView.mock.instances.at(-1).webContents;
+  });
+
+  afterEach(() => {
+    win.emit('closed');
+  });
+
+  test('should open over the page and search as the query changes', () => {
+    findBar.open();
+    expect(win.contentView.addChildView).toHaveBeenCalledTimes(1);
+    expect(findBar.isOpen()).toBe(true);
+
+    sendFromBar('find-bar:find', 'bsky', {});
+    sendFromBar('find-bar:find', 'bsky', {});
+    sendFromBar('find-bar:find', 'bsky', { matchCase: true });
+    expect(win.webContents.findInPage.mock.calls).toEqual([
+      ['bsky', { forward: true, findNext: true, matchCase: false }],
+      ['bsky', { forward: true, findNext: false, matchCase: false }],
+      ['bsky', { forward: true, findNext: true, matchCase: true }],
+    ]);
+  });
+
+  test('should step through matches from the menu', () => {
+    findBar.open();
+    sendFromBar('find-bar:find', 'post', {});
+    findBar.findNext();
+    findBar.findPrevious();
+
+    expect(win.webContents.findInPage.mock.calls.slice(1)).toEqual([
+      ['post', { forward: true, findNext: false, matchCase: false }],
+      ['post', { forward: false, findNext: false, matchCase: false }],
+    ]);
+  });
+
+  test('should open the bar when there is nothing to repeat', () => {
+    findBar.findNext();
+    expect(findBar.isOpen()).toBe(true);
+    expect(win.webContents.findInPage).not.toHaveBeenCalled();
+  });
+
+  test('should forward results and clear them for an empty query', () => {
+    findBar.open();
+    sendFromBar('find-bar:find', 'post', {});
+    win.webContents.emit(
+      'found-in-page',
+      {},
+      {
+        activeMatchOrdinal: 2,
+        matches: 5,
+      }
+    );
+    expect(barContents.send).toHaveBeenLastCalledWith('find-bar:result', {
+      active: 2,
+      matches: 5,
+    });
+
+    sendFromBar('find-bar:find', '', {});
+    expect(win.webContents.stopFindInPage).toHaveBeenCalledWith(
+      'clearSelection'
+    );
+    expect(barContents.send).toHaveBeenLastCalledWith('find-bar:result', {
+      active: 0,
+      matches: 0,
+    });
+  });
+
+  test('should ignore messages from other senders', () => {
+    findBar.open();
+    ipcMain.emit('find-bar:find', { sender: win.webContents }, 'x', {});
+    ipcMain.emit('find-bar:close', { sender: win.webContents });
+    expect(win.webContents.findInPage).not.toHaveBeenCalled();
+    expect(findBar.isOpen()).toBe(true);
+  });
+
+  test.each([
+    ['did-navigate', []],
+    ['did-navigate-in-page', ['https://bsky.app/notifications', true]],
+  ])('should close and forget the search on %s', (eventName, args) => {
+    findBar.open();
+    sendFromBar('find-bar:find', 'post', {});
+    win.webContents.emit(eventName, {}, ...args);
+
+    expect(findBar.isOpen()).toBe(false);
+    expect(win.contentView.removeChildView).toHaveBeenCalled();
+    expect(win.webContents.stopFindInPage).toHaveBeenCalledWith(
+      'keepSelection'
+    );
+    // Stale counts from the old page are not forwarded
+    barContents.send.mockClear();
+    win.webContents.emit('found-in-page', {}, { matches: 3 });
+    expect(barContents.send).not.toHaveBeenCalled();
+    findBar.findNext();
+    expect(win.webContents.findInPage).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stay open when a subframe navigates', () => {
+    findBar.open();
+    win.webContents.emit('did-navigate-in-page', {}, 'https://x.test/', false);
+    expect(findBar.isOpen()).toBe(true);
+  });
+
+  test('should close on Escape in the page', () => {
+    findBar.open();
+    const event = { preventDefault: jest.fn() };
+    win.webContents.emit('before-input-event', event, {
+      type: 'keyDown',
+      key: 'Escape',
+    });
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(findBar.isOpen()).toBe(false);
+    expect(win.webContents.focus).toHaveBeenCalled();
+  });
+
+  test('should remove its IPC listeners when the window closes', () => {
+    win.emit('closed');
+    expect(ipcMain.listenerCount('find-bar:find')).toBe(0);
+    expect(barContents.close).toHaveBeenCalled();
+  });
+});
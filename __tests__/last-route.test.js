@@ -0,0 +1,124 @@
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLastRouteStore } = require('../src/last-route');
+
+describe('Last Route', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-route-'));
+    filePath = path.join(tempDir, 'last-routes.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should remember the last page per account across restarts', () => {
+    const store = createLastRouteStore(filePath);
+    store.set('default', 'https://bsky.app/profile/alice.bsky.social/post/3k');
+    store.set('work', 'https://bsky.app/notifications');
+    store.flush();
+
+    const reloaded = createLastRouteStore(filePath);
+    expect(reloaded.get('default')).toBe(
+      'https://bsky.app/profile/alice.bsky.social/post/3k'
+    );
+    expect(reloaded.get('work')).toBe('https://bsky.app/notifications');
+    expect(reloaded.get('other')).toBeNull();
+  });
+
+  test('should ignore anything but web URLs', () => {
+    const store = createLastRouteStore(filePath);
+    store.set('default', 'javascript:alert(1)');
+    store.set('default', `https://bsky.app/${'a'.repeat(3000)}`);
+    expect(store.get('default')).toBeNull();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('should drop invalid entries from the file', () => {
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        routes: { default: 'file:///etc/passwd', work: 'https://bsky.app/' },
+      })
+    );
+    const store = createLastRouteStore(filePath);
+    expect(store.get('default')).toBeNull();
+    expect(store.get('work')).toBe('https://bsky.app/');
+  });
+
+  test('should batch route changes into one delayed write', () => {
+    jest.useFakeTimers();
+    try {
+      const store = createLastRouteStore(filePath);
+      store.set('default', 'https://bsky.app/notifications');
+      store.set('default', 'https://bsky.app/messages');
+      expect(fs.existsSync(filePath)).toBe(false);
+
+      jest.advanceTimersByTime(2000);
+      expect(createLastRouteStore(filePath).get('default')).toBe(
+        'https://bsky.app/messages'
+      );
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should remember the scroll position of the current route', () => {
+    const store = createLastRouteStore(filePath);
+    store.set('default', 'https://bsky.app/profile/alice.bsky.social');
+    store.setScrollY(
+      'default',
+      'https://bsky.app/profile/alice.bsky.social',
+      1234.6
+    );
+    // A late report from the previous page does not move the new one
+    store.setScrollY('default', 'https://bsky.app/notifications', 99);
+    store.flush();
+
+    const reloaded = createLastRouteStore(filePath);
+    expect(reloaded.getScrollY('default')).toBe(1235);
+    expect(reloaded.getScrollY('other')).toBe(0);
+
+    reloaded.set('default', 'https://bsky.app/notifications');
+    expect(reloaded.getScrollY('default')).toBe(0);
+  });
+
+  test('should read routes saved without a scroll position', () => {
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        version: 1,
+        routes: { default: 'https://bsky.app/messages' },
+      })
+    );
+    const store = createLastRouteStore(filePath);
+    expect(store.get('default')).toBe('https://bsky.app/messages');
+    expect(store.getScrollY('default')).toBe(0);
+  });
+
+  test('should ignore invalid scroll positions', () => {
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        routes: { default: { url: 'https://bsky.app/', scrollY: -5 } },
+      })
+    );
+    const store = createLastRouteStore(filePath);
+    expect(store.getScrollY('default')).toBe(0);
+    store.setScrollY('default', 'https://bsky.app/', Number.NaN);
+    store.setScrollY('default', 'https://bsky.app/', '300');
+    expect(store.getScrollY('default')).toBe(0);
+  });
+
+  test('should forget removed accounts', () => {
+    const store = createLastRouteStore(filePath);
+    store.set('work', 'https://bsky.app/notifications');
+    store.removeAccount('work');
+    expect(createLastRouteStore(filePath).get('work')).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  findHomographLabels,
+  inspectLink,
+  unwrapRedirect,
+} = require('../src/link-inspector');
+
+describe('Link Inspector', () => {
+  test('should strip tracking parameters and keep the rest', () => {
+    const { url, removedParams, warnings } = inspectLink(
+      'https://example.com/article?id=7&utm_source=bsky&UTM_Medium=social&fbclid=abc'
+    );
+
+    expect(url.toString()).toBe('https://example.com/article?id=7');
+    expect(removedParams).toEqual(['utm_source', 'UTM_Medium', 'fbclid']);
+    expect(warnings).toEqual([]);
+  });
+
+  test('should leave tracking parameters alone when disabled', () => {
+    const { url } = inspectLink('https://example.com/?utm_source=bsky', {
+      stripTracking: false,
+    });
+
+    expect(url.searchParams.get('utm_source')).toBe('bsky');
+  });
+
+  test('should unwrap nested redirector links', () => {
+    const inner = encodeURIComponent('https://example.com/page?utm_id=1');
+    const outer = encodeURIComponent(`https://l.facebook.com/l.php?u=${inner}`);
+    const result = inspectLink(`https://www.google.com/url?q=${outer}`);
+
+    expect(result.unwrapped).toBe(true);
+    expect(result.url.toString()).toBe('https://example.com/page');
+  });
+
+  test('should not unwrap unknown hosts or non-web targets', () => {
+    const unchanged = new URL(
+      'https://www.google.com/url?q=javascript%3Aalert(1)'
+    );
+
+    expect(unwrapRedirect(unchanged)).toBe(unchanged);
+    expect(
+      inspectLink('https://example.com/url?q=https://evil.example').unwrapped
+    ).toBe(false);
+  });
+
+  test('should flag lookalike internationalized domains', () => {
+    // "аррӏе" in Cyrillic letters only
+    expect(findHomographLabels('xn--80ak6aa92e.com')).toHaveLength(1);
+    // Latin "paypal" with a Cyrillic "а"
+    expect(findHomographLabels('xn--pypal-4ve.com')).toHaveLength(1);
+    expect(findHomographLabels('xn--bcher-kva.de')).toEqual([]);
+    expect(findHomographLabels('bsky.app')).toEqual([]);
+
+    const { warnings } = inspectLink('https://xn--pypal-4ve.com/login');
+    expect(warnings.map((warning) => warning.type)).toEqual(['homograph']);
+  });
+
+  test('should flag link text that names a different site', () => {
+    const mismatch = inspectLink('https://evil.example/login', {
+      linkText: 'paypal.com/signin',
+    });
+    const match = inspectLink('https://www.example.com/a/very/long/path', {
+      linkText: 'example.com/a/very/lo...',
+    });
+    const plainText = inspectLink('https://evil.example/', {
+      linkText: 'Read more',
+    });
+
+    expect(mismatch.warnings.map((warning) => warning.type)).toEqual([
+      'text-mismatch',
+    ]);
+    expect(match.warnings).toEqual([]);
+    expect(plainText.warnings).toEqual([]);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  classifyLoadError,
+  createLoadRetry,
+  getRetryDelay,
+} = require('../src/load-retry');
+
+const URL_TO_LOAD = 'https://bsky.app/profile/alice.bsky.social';
+
+describe('Load Retry', () => {
+  let online;
+  let load;
+  let onChange;
+  let loadRetry;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    online = true;
+    load = jest.fn();
+    onChange = jest.fn();
+    loadRetry = createLoadRetry({
+      load,
+      onChange,
+      isOnline: () => online,
+      pollIntervalMs: 1000,
+      timers: { setTimeout, clearTimeout, setInterval, clearInterval },
+    });
+  });
+
+  afterEach(() => {
+    loadRetry.stop();
+    jest.useRealTimers();
+  });
+
+  test('should classify Chromium network errors', () => {
+    expect(classifyLoadError(-106).type).toBe('offline');
+    expect(classifyLoadError(-105).type).toBe('dns');
+    expect(classifyLoadError(-118).type).toBe('timeout');
+    expect(classifyLoadError(-102).type).toBe('connection');
+    expect(classifyLoadError(-202).type).toBe('certificate');
+    expect(classifyLoadError(-379).type).toBe('server');
+    expect(classifyLoadError(-999).type).toBe('other');
+    expect(classifyLoadError(-3)).toBeNull();
+  });
+
+  test('should back off exponentially up to a minute', () => {
+    expect([0, 1, 2, 3, 4, 5, 6, 50].map((n) => getRetryDelay(n))).toEqual([
+      2000, 4000, 8000, 16000, 32000, 60000, 60000, 60000,
+    ]);
+  });
+
+  test('should ignore aborted loads', () => {
+    expect(loadRetry.fail(URL_TO_LOAD, -3)).toBe(false);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('should retry the failed URL with growing delays', () => {
+    expect(loadRetry.fail(URL_TO_LOAD, -102, 'ERR_CONNECTION_REFUSED')).toBe(
+      true
+    );
+    expect(loadRetry.getState()).toMatchObject({
+      url: URL_TO_LOAD,
+      error: { type: 'connection' },
+      description: 'ERR_CONNECTION_REFUSED',
+      attempt: 0,
+      retryAt: Date.now() + 2000,
+    });
+
+    jest.advanceTimersByTime(1999);
+    expect(load).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(load).toHaveBeenCalledWith(URL_TO_LOAD);
+
+    // The retry failed as well, so the next one waits twice as long
+    loadRetry.fail(URL_TO_LOAD, -102);
+    expect(loadRetry.getState().retryAt).toBe(Date.now() + 4000);
+    jest.advanceTimersByTime(4000);
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('should hide the page and reset after a successful load', () => {
+    loadRetry.fail(URL_TO_LOAD, -105);
+    jest.advanceTimersByTime(2000);
+    loadRetry.succeed();
+
+    expect(onChange).toHaveBeenLastCalledWith(null);
+    expect(loadRetry.getState()).toBeNull();
+    loadRetry.fail(URL_TO_LOAD, -105);
+    expect(loadRetry.getState().attempt).toBe(0);
+  });
+
+  test('should wait while offline and retry as soon as the network is back', () => {
+    online = false;
+    loadRetry.fail(URL_TO_LOAD, -106);
+    expect(loadRetry.getState()).toMatchObject({
+      isOnline: false,
+      retryAt: null,
+    });
+
+    jest.advanceTimersByTime(120000);
+    expect(load).not.toHaveBeenCalled();
+
+    online = true;
+    jest.advanceTimersByTime(1000);
+    expect(load).toHaveBeenCalledWith(URL_TO_LOAD);
+  });
+
+  test('should pause the countdown when the network drops', () => {
+    loadRetry.fail(URL_TO_LOAD, -102);
+    online = false;
+    jest.advanceTimersByTime(2000);
+
+    expect(load).not.toHaveBeenCalled();
+    expect(loadRetry.getState()).toMatchObject({
+      isOnline: false,
+      retryAt: null,
+    });
+  });
+
+  test('should retry at once when asked', () => {
+    loadRetry.fail(URL_TO_LOAD, -7);
+    loadRetry.retryNow();
+    expect(load).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(2000);
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+});
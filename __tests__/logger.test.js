@@ -0,0 +1,147 @@
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger, redact } = require('../src/logger');
+
+function readEntries(filePath) {
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+}
+
+describe('Logger', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-logs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should write timestamped JSON lines', () => {
+    const logger = createLogger({
+      dir: tempDir,
+      now: () => new Date('2026-01-02T03:04:05.000Z'),
+    });
+    logger.warn('Failed to save window state:', { name: 'Error' });
+    logger.scope('renderer').info('Page ready');
+
+    expect(readEntries(logger.getFilePath())).toEqual([
+      {
+        time: '2026-01-02T03:04:05.000Z',
+        level: 'warn',
+        scope: 'main',
+        message: 'Failed to save window state:',
+        details: [{ name: 'Error' }],
+      },
+      {
+        time: '2026-01-02T03:04:05.000Z',
+        level: 'info',
+        scope: 'renderer',
+        message: 'Page ready',
+      },
+    ]);
+  });
+
+  test('should skip entries below the level', () => {
+    const logger = createLogger({ dir: tempDir, level: 'warn' });
+    logger.info('hidden');
+    logger.debug('hidden');
+    logger.error('shown');
+    expect(readEntries(logger.getFilePath()).map((e) => e.message)).toEqual([
+      'shown',
+    ]);
+
+    logger.setLevel('debug');
+    logger.debug('now shown');
+    logger.setLevel('loud');
+    expect(logger.getLevel()).toBe('debug');
+    expect(readEntries(logger.getFilePath())).toHaveLength(2);
+  });
+
+  test('should fall back to info for unknown levels', () => {
+    expect(createLogger({ dir: tempDir, level: 'verbose' }).getLevel()).toBe(
+      'info'
+    );
+  });
+
+  test('should rotate files by size and keep a limited number', () => {
+    const logger = createLogger({
+      dir: tempDir,
+      maxFileBytes: 200,
+      maxFiles: 3,
+    });
+    for (let index = 0; index < 20; index += 1) {
+      logger.info(`message number ${index} with some padding text`);
+    }
+
+    expect(fs.readdirSync(tempDir).sort()).toEqual([
+      'main.1.log',
+      'main.2.log',
+      'main.log',
+    ]);
+    fs.readdirSync(tempDir).forEach((name) => {
+      expect(fs.statSync(path.join(tempDir, name)).size).toBeLessThanOrEqual(
+        200
+      );
+    });
+    const last = readEntries(path.join(tempDir, 'main.log')).pop();
+    expect(last.message).toBe('message number 19 with some padding text');
+  });
+
+  describe('redact', () => {
+    test('should keep only the origin of URLs', () => {
+      expect(
+        redact(
+          'Blocked https://user:pw@bsky.app/profile/alice/post/1?code=x ok'
+        )
+      ).toBe('Blocked https://bsky.app/[redacted] ok');
+    });
+
+    test('should hide tokens', () => {
+      expect(redact('Authorization: Bearer abc.def-ghi')).toBe(
+        'Authorization: Bearer [token]'
+      );
+      expect(redact('jwt eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl end')).toBe(
+        'jwt [token] end'
+      );
+      expect(redact('access_token=secret123&x=1')).toBe(
+        'access_token=[redacted]&x=1'
+      );
+    });
+
+    test('should redact secret keys in objects and errors', () => {
+      const error = new Error(
+        'fetch https://bsky.app/xrpc/app.bsky.foo failed'
+      );
+      expect(
+        redact({
+          accessJwt: 'eyJ...',
+          refreshToken: 'abc',
+          nested: { password: 'x', url: 'https://bsky.app/settings' },
+          error,
+        })
+      ).toEqual({
+        accessJwt: '[redacted]',
+        refreshToken: '[redacted]',
+        nested: { password: '[redacted]', url: 'https://bsky.app/[redacted]' },
+        error: {
+          name: 'Error',
+          message: 'fetch https://bsky.app/[redacted] failed',
+          stack: expect.any(String),
+        },
+      });
+    });
+
+    test('should limit depth', () => {
+      expect(redact({ a: { b: { c: { d: { e: 1 } } } } })).toEqual({
+        a: { b: { c: { d: '[object]' } } },
+      });
+    });
+  });
+});
@@ -0,0 +1,263 @@
+const { describe, test, expect } = require('@jest/globals');
+const http = require('http');
+const { createXrpcClient } = require('../src/xrpc-client');
+const { createNotificationService } = require('../src/notification-service');
+const { atUriToPath, parseAtUri } = require('../src/at-uri');
+
+const VIEWER = 'did:plc:viewer';
+const ALICE = {
+  did: 'did:plc:alice',
+  handle: 'alice.test',
+  displayName: 'Alice',
+  avatar: 'https://cdn.example.com/alice.jpg',
+};
+
+function notification(cid, reason, extra = {}) {
+  return {
+    uri: `at://${ALICE.did}/app.bsky.feed.post/${cid}`,
+    cid,
+    author: ALICE,
+    reason,
+    record: { text: `post ${cid}` },
+    isRead: false,
+    ...extra,
+  };
+}
+
+// Local stand-in for a PDS answering the XRPC methods the service uses
+function startMockXrpcServer(state) {
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://127.0.0.1');
+    state.requests.push({
+      nsid: url.pathname.replace('/xrpc/', ''),
+      authorization: request.headers.authorization,
+      proxy: request.headers['atproto-proxy'],
+    });
+
+    if (state.failing) {
+      response.writeHead(500, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ error: 'InternalServerError' }));
+      return;
+    }
+
+    let body;
+    switch (url.pathname) {
+      case '/xrpc/app.bsky.notification.listNotifications':
+        body = { notifications: state.notifications };
+        break;
+      case '/xrpc/app.bsky.feed.getPosts':
+        body = {
+          posts: url.searchParams.getAll('uris').map((uri) => ({
+            uri,
+            record: { text: `subject of ${uri}` },
+          })),
+        };
+        break;
+      case '/xrpc/chat.bsky.convo.listConvos':
+        body = { convos: state.convos };
+        break;
+      default:
+        response.writeHead(404, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ error: 'MethodNotImplemented' }));
+        return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('Notification Service', () => {
+  let server;
+  let state;
+  let notify;
+  let service;
+  let enabledReasons;
+
+  beforeEach(async () => {
+    state = { notifications: [], convos: [], requests: [], failing: false };
+    server = await startMockXrpcServer(state);
+    notify = jest.fn();
+    enabledReasons = new Set(['mention', 'reply', 'like', 'follow', 'chat']);
+
+    const client = createXrpcClient({
+      getSession: async () => ({
+        service: `http://127.0.0.1:${server.address().port}`,
+        accessJwt: 'test-token',
+      }),
+      fetch,
+    });
+    service = createNotificationService({
+      client,
+      getViewerDid: async () => VIEWER,
+      isReasonEnabled: (reason) => enabledReasons.has(reason),
+      notify,
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('should not announce the backlog on the first poll', async () => {
+    state.notifications = [notification('a', 'mention')];
+
+    await service.poll();
+    expect(notify).not.toHaveBeenCalled();
+    expect(state.requests[0].authorization).toBe('Bearer test-token');
+  });
+
+  test('should announce new notifications once per CID', async () => {
+    await service.poll();
+    state.notifications = [notification('b', 'reply')];
+
+    await service.poll();
+    await service.poll();
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith({
+      id: 'b',
+      reason: 'reply',
+      title: 'Alice replied to you',
+      body: 'post b',
+      iconUrl: ALICE.avatar,
+      path: '/profile/did:plc:alice/post/b',
+    });
+  });
+
+  test('should announce the first notification after starting with none', async () => {
+    // Starting records the empty baseline, so going from 0 to 1 unread
+    // announces that first notification
+    await service.start(60 * 60 * 1000);
+    state.notifications = [notification('g', 'mention')];
+
+    await service.poll();
+    service.stop();
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify.mock.calls[0][0]).toMatchObject({
+      id: 'g',
+      reason: 'mention',
+    });
+  });
+
+  test('should keep polling on its own timer', async () => {
+    await service.start(20);
+    state.notifications = [notification('h', 'reply')];
+
+    await new Promise((resolve) => {
+      const check = setInterval(() => {
+        if (notify.mock.calls.length > 0) {
+          clearInterval(check);
+          resolve();
+        }
+      }, 10);
+    });
+    service.stop();
+    expect(notify.mock.calls[0][0]).toMatchObject({ id: 'h' });
+  });
+
+  test('should respect per-reason toggles and read state', async () => {
+    await service.poll();
+    state.notifications = [
+      notification('c', 'repost'),
+      notification('d', 'mention', { isRead: true }),
+    ];
+
+    await service.poll();
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  test('should use the liked post text and link to it', async () => {
+    await service.poll();
+    const subject = `at://${VIEWER}/app.bsky.feed.post/mine`;
+    state.notifications = [
+      notification('e', 'like', { reasonSubject: subject }),
+      notification('f', 'follow'),
+    ];
+
+    await service.poll();
+    const payloads = notify.mock.calls.map(([payload]) => payload);
+    const like = payloads.find((payload) => payload.reason === 'like');
+    const follow = payloads.find((payload) => payload.reason === 'follow');
+    expect(like.body).toBe(`subject of ${subject}`);
+    expect(like.path).toBe('/profile/did:plc:viewer/post/mine');
+    expect(follow.path).toBe('/profile/did:plc:alice');
+  });
+
+  test('should keep the baseline until a first poll succeeds', async () => {
+    state.failing = true;
+    await service.poll();
+
+    state.failing = false;
+    state.notifications = [notification('h', 'mention')];
+    state.convos = [
+      {
+        id: 'convo1',
+        unreadCount: 1,
+        members: [ALICE],
+        lastMessage: { id: 'm1', text: 'hi!', sender: { did: ALICE.did } },
+      },
+    ];
+    await service.poll();
+    expect(notify).not.toHaveBeenCalled();
+
+    state.notifications = [notification('i', 'reply'), ...state.notifications];
+    await service.poll();
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify.mock.calls[0][0].id).toBe('i');
+  });
+
+  test('should announce chat messages from others through the chat proxy', async () => {
+    await service.poll();
+    state.convos = [
+      {
+        id: 'convo1',
+        unreadCount: 1,
+        members: [ALICE],
+        lastMessage: { id: 'm1', text: 'hi!', sender: { did: ALICE.did } },
+      },
+      {
+        id: 'convo2',
+        unreadCount: 0,
+        members: [],
+        lastMessage: { id: 'm2', text: 'mine', sender: { did: VIEWER } },
+      },
+    ];
+
+    await service.poll();
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify.mock.calls[0][0]).toMatchObject({
+      reason: 'chat',
+      title: 'Alice sent you a message',
+      body: 'hi!',
+      path: '/messages/convo1',
+    });
+    expect(
+      state.requests.find(
+        (request) => request.nsid === 'chat.bsky.convo.listConvos'
+      ).proxy
+    ).toBe('did:web:api.bsky.chat#bsky_chat');
+  });
+});
+
+describe('AT URIs', () => {
+  test('should map records to web app routes', () => {
+    expect(atUriToPath('at://alice.test')).toBe('/profile/alice.test');
+    expect(atUriToPath('at://did:plc:abc/app.bsky.feed.generator/hot')).toBe(
+      '/profile/did:plc:abc/feed/hot'
+    );
+    expect(atUriToPath('at://did:plc:abc/app.bsky.graph.list/l1')).toBe(
+      '/profile/did:plc:abc/lists/l1'
+    );
+    expect(atUriToPath('at://did:plc:abc/com.example.thing/x')).toBeNull();
+  });
+
+  test('should reject malformed URIs', () => {
+    expect(parseAtUri('at://not a handle')).toBeNull();
+    expect(parseAtUri('at://alice.test/app.bsky.feed.post/..')).toBeNull();
+    expect(parseAtUri('https://bsky.app')).toBeNull();
+    expect(parseAtUri('at://alice.test/a/b/c/d')).toBeNull();
+  });
+});
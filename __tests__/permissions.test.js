@@ -0,0 +1,140 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  decidePermission,
+  describePermission,
+  getOrigin,
+  isValidPermissionDecisions,
+  withPermissionDecision,
+} = require('../src/permissions');
+
+const trustedOrigins = ['https://bsky.app', 'https://video.bsky.app'];
+
+function decide(permission, options = {}) {
+  return decidePermission({
+    permission,
+    requestingUrl: 'https://bsky.app/notifications',
+    topLevelUrl: 'https://bsky.app/',
+    trustedOrigins,
+    ...options,
+  });
+}
+
+describe('Permissions', () => {
+  describe('decidePermission', () => {
+    test('should deny permissions the app does not need', () => {
+      ['media', 'geolocation', 'midi', 'hid', 'serial', 'usb'].forEach(
+        (permission) => expect(decide(permission)).toBe('deny')
+      );
+    });
+
+    test('should grant clipboard writes and full screen without asking', () => {
+      expect(decide('clipboard-sanitized-write')).toBe('allow');
+      expect(decide('fullscreen')).toBe('allow');
+    });
+
+    test('should let embedded players go full screen but not write the clipboard', () => {
+      const embedded = { requestingUrl: 'https://www.youtube.com/embed/x' };
+      expect(decide('fullscreen', embedded)).toBe('allow');
+      expect(decide('clipboard-sanitized-write', embedded)).toBe('deny');
+    });
+
+    test('should prompt for notifications and clipboard reads', () => {
+      expect(decide('notifications')).toBe('prompt');
+      expect(decide('clipboard-read')).toBe('prompt');
+    });
+
+    test('should use remembered decisions per origin', () => {
+      const decisions = {
+        'https://bsky.app': { notifications: 'deny' },
+        'https://video.bsky.app': { 'clipboard-read': 'allow' },
+      };
+      expect(decide('notifications', { decisions })).toBe('deny');
+      expect(decide('clipboard-read', { decisions })).toBe('prompt');
+      expect(
+        decide('clipboard-read', {
+          decisions,
+          requestingUrl: 'https://video.bsky.app/watch',
+        })
+      ).toBe('allow');
+    });
+
+    test('should deny everything for untrusted pages and frames', () => {
+      const untrustedTop = { topLevelUrl: 'https://evil.example/' };
+      expect(decide('fullscreen', untrustedTop)).toBe('deny');
+      expect(decide('notifications', untrustedTop)).toBe('deny');
+      expect(
+        decide('notifications', { requestingUrl: 'https://ads.example/' })
+      ).toBe('deny');
+      expect(
+        decide('notifications', {
+          topLevelUrl: 'not a url',
+          requestingUrl: 'not a url',
+        })
+      ).toBe('deny');
+    });
+
+    test('should not be fooled by inherited properties', () => {
+      expect(decide('constructor')).toBe('deny');
+      expect(decide('notifications', { decisions: Object.create(null) })).toBe(
+        'prompt'
+      );
+    });
+  });
+
+  describe('isValidPermissionDecisions', () => {
+    test('should accept decisions keyed by origin', () => {
+      expect(isValidPermissionDecisions({})).toBe(true);
+      expect(
+        isValidPermissionDecisions({
+          'https://bsky.app': {
+            notifications: 'allow',
+            'clipboard-read': 'deny',
+          },
+        })
+      ).toBe(true);
+    });
+
+    test('should reject malformed decisions', () => {
+      [
+        null,
+        [],
+        { 'https://bsky.app/path': { notifications: 'allow' } },
+        { 'bsky.app': { notifications: 'allow' } },
+        { 'https://bsky.app': { notifications: 'maybe' } },
+        { 'https://bsky.app': { geolocation: 'allow' } },
+        { 'https://bsky.app': ['allow'] },
+      ].forEach((value) =>
+        expect(isValidPermissionDecisions(value)).toBe(false)
+      );
+    });
+  });
+
+  test('withPermissionDecision should return an updated copy', () => {
+    const decisions = { 'https://bsky.app': { notifications: 'deny' } };
+    const updated = withPermissionDecision(
+      decisions,
+      'https://bsky.app',
+      'clipboard-read',
+      'allow'
+    );
+    expect(updated).toEqual({
+      'https://bsky.app': { notifications: 'deny', 'clipboard-read': 'allow' },
+    });
+    expect(decisions).toEqual({
+      'https://bsky.app': { notifications: 'deny' },
+    });
+  });
+
+  test('getOrigin should return null for URLs it cannot parse', () => {
+    expect(getOrigin('https://bsky.app/notifications')).toBe(
+      'https://bsky.app'
+    );
+    expect(getOrigin('not a url')).toBeNull();
+    expect(getOrigin('')).toBeNull();
+    expect(getOrigin(undefined)).toBeNull();
+  });
+
+  test('describePermission should word prompts', () => {
+    expect(describePermission('notifications')).toBe('show notifications');
+  });
+});
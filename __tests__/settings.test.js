@@ -0,0 +1,129 @@
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SETTINGS_SCHEMA,
+  createSettingsStore,
+  getDefaultSettings,
+  isValidSettingValue,
+  migrateSettings,
+  normalizeSettings,
+} = require('../src/settings');
+
+describe('Settings Store', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-settings-'));
+    filePath = path.join(tempDir, 'settings.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should default to the previously hard-coded values', () => {
+    const store = createSettingsStore(filePath);
+
+    expect(store.get('wheelRefreshThreshold')).toBe(150);
+    expect(store.get('cacheClearIntervalMinutes')).toBe(30);
+    expect(store.get('memoryMonitorIntervalSeconds')).toBe(60);
+    expect(store.get('memoryHeapUsageThreshold')).toBe(80);
+    expect(store.get('showPinButton')).toBe(true);
+    expect(store.get('showRefreshButton')).toBe(true);
+  });
+
+  test('should leave every global shortcut unbound by default', () => {
+    const defaults = getDefaultSettings();
+    Object.keys(SETTINGS_SCHEMA)
+      .filter((key) => SETTINGS_SCHEMA[key].section === 'Shortcuts')
+      .forEach((key) => {
+        expect(defaults[key]).toBe('');
+      });
+  });
+
+  test('should persist valid updates with the schema version', () => {
+    const store = createSettingsStore(filePath);
+    const { errors } = store.update({ wheelRefreshThreshold: 300 });
+
+    expect(errors).toEqual({});
+    expect(createSettingsStore(filePath).get('wheelRefreshThreshold')).toBe(
+      300
+    );
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).version).toBe(1);
+  });
+
+  test('should reject invalid and unknown keys but keep valid ones', () => {
+    const store = createSettingsStore(filePath);
+    const { settings, errors } = store.update({
+      wheelRefreshThreshold: 5,
+      showPinButton: false,
+      __proto__: { polluted: true },
+      unknownSetting: 1,
+    });
+
+    expect(errors).toHaveProperty('wheelRefreshThreshold');
+    expect(errors).toHaveProperty('unknownSetting');
+    expect(settings.wheelRefreshThreshold).toBe(150);
+    expect(settings.showPinButton).toBe(false);
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test('should notify listeners with the changed keys only', () => {
+    const store = createSettingsStore(filePath);
+    const listener = jest.fn();
+    const unsubscribe = store.onDidChange(listener);
+
+    store.update({ showRefreshButton: false, showPinButton: true });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][1]).toEqual(['showRefreshButton']);
+
+    unsubscribe();
+    store.reset();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fall back to defaults for corrupt files', () => {
+    fs.writeFileSync(filePath, '{not json');
+    expect(createSettingsStore(filePath).getAll()).toEqual(
+      getDefaultSettings()
+    );
+
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({ version: 1, cacheClearIntervalMinutes: 'often' })
+    );
+    expect(createSettingsStore(filePath).get('cacheClearIntervalMinutes')).toBe(
+      30
+    );
+  });
+
+  test('should run migrations in order up to the target version', () => {
+    const migrations = {
+      1: (data) => ({ ...data, renamed: data.legacy }),
+      2: (data) => ({ ...data, renamed: data.renamed * 2 }),
+    };
+
+    expect(migrateSettings({ legacy: 5 }, migrations, 2)).toEqual({
+      legacy: 5,
+      renamed: 10,
+      version: 2,
+    });
+    expect(migrateSettings({ version: 1, renamed: 3 }, migrations, 2)).toEqual({
+      version: 2,
+      renamed: 6,
+    });
+  });
+
+  test('should validate values against the schema', () => {
+    const threshold = SETTINGS_SCHEMA.wheelRefreshThreshold;
+
+    expect(isValidSettingValue(threshold, 150)).toBe(true);
+    expect(isValidSettingValue(threshold, 150.5)).toBe(false);
+    expect(isValidSettingValue(threshold, Infinity)).toBe(false);
+    expect(isValidSettingValue(threshold, '150')).toBe(false);
+    expect(normalizeSettings(null)).toEqual(getDefaultSettings());
+  });
+});
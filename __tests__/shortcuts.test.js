@@ -0,0 +1,160 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  findShortcutConflicts,
+  getShortcutBindings,
+  normalizeAccelerator,
+  registerGlobalShortcuts,
+} = require('../src/shortcuts');
+
+function createGlobalShortcutMock(takenAccelerators = []) {
+  const registered = new Map();
+  return {
+    registered,
+    register(accelerator, callback) {
+      if (takenAccelerators.includes(accelerator)) {
+        return false;
+      }
+      registered.set(accelerator, callback);
+      return true;
+    },
+    unregisterAll() {
+      registered.clear();
+    },
+  };
+}
+
+describe('Global Shortcuts', () => {
+  describe('normalizeAccelerator', () => {
+    test('should canonicalize modifier aliases, order and key case', () => {
+      expect(normalizeAccelerator('shift+ctrl+b')).toBe('Control+Shift+B');
+      expect(normalizeAccelerator('CmdOrCtrl + Alt + F12')).toBe(
+        'CommandOrControl+Alt+F12'
+      );
+      expect(normalizeAccelerator('Option+pageup')).toBe('Alt+PageUp');
+    });
+
+    test('should treat an empty value as unbound', () => {
+      expect(normalizeAccelerator('')).toBe('');
+      expect(normalizeAccelerator('   ')).toBe('');
+    });
+
+    test('should reject malformed accelerators', () => {
+      expect(normalizeAccelerator('Ctrl+')).toBeNull();
+      expect(normalizeAccelerator('Ctrl+A+B')).toBeNull();
+      expect(normalizeAccelerator('Ctrl+Ctrl+A')).toBeNull();
+      expect(normalizeAccelerator('Ctrl+Shift')).toBeNull();
+      expect(normalizeAccelerator('Ctrl+Banana')).toBeNull();
+      expect(normalizeAccelerator(42)).toBeNull();
+    });
+
+    test('should require a modifier unless the key is never typed', () => {
+      expect(normalizeAccelerator('B')).toBeNull();
+      expect(normalizeAccelerator('F9')).toBe('F9');
+      expect(normalizeAccelerator('MediaPlayPause')).toBe('MediaPlayPause');
+    });
+  });
+
+  describe('findShortcutConflicts', () => {
+    test('should detect actions bound to the same keys', () => {
+      const conflicts = findShortcutConflicts(
+        {
+          toggleWindow: 'CommandOrControl+Shift+B',
+          openComposer: 'ctrl+shift+b',
+          showNotifications: 'Ctrl+Shift+N',
+          toggleAlwaysOnTop: '',
+        },
+        'linux'
+      );
+
+      expect(conflicts).toEqual([
+        {
+          accelerator: 'CommandOrControl+Shift+B',
+          actions: ['toggleWindow', 'openComposer'],
+        },
+      ]);
+    });
+
+    test('should resolve CommandOrControl per platform', () => {
+      const bindings = {
+        toggleWindow: 'CommandOrControl+B',
+        openComposer: 'Control+B',
+      };
+
+      expect(findShortcutConflicts(bindings, 'win32')).toHaveLength(1);
+      expect(findShortcutConflicts(bindings, 'darwin')).toHaveLength(0);
+    });
+  });
+
+  describe('registerGlobalShortcuts', () => {
+    test('should register bindings and report failures by reason', () => {
+      const globalShortcut = createGlobalShortcutMock(['Control+Alt+T']);
+      const handlers = {
+        toggleWindow: () => {},
+        openComposer: () => {},
+        showNotifications: () => {},
+        toggleAlwaysOnTop: () => {},
+      };
+
+      const failures = registerGlobalShortcuts(
+        globalShortcut,
+        {
+          toggleWindow: 'Ctrl+Shift+B',
+          openComposer: 'Ctrl+Shift+N',
+          showNotifications: 'Control+Shift+N',
+          toggleAlwaysOnTop: 'Ctrl+Alt+T',
+        },
+        handlers,
+        'linux'
+      );
+
+      expect([...globalShortcut.registered.keys()]).toEqual([
+        'Control+Shift+B',
+      ]);
+      expect(failures).toEqual([
+        {
+          action: 'openComposer',
+          accelerator: 'Control+Shift+N',
+          reason: 'conflict',
+        },
+        {
+          action: 'showNotifications',
+          accelerator: 'Control+Shift+N',
+          reason: 'conflict',
+        },
+        {
+          action: 'toggleAlwaysOnTop',
+          accelerator: 'Control+Alt+T',
+          reason: 'unavailable',
+        },
+      ]);
+    });
+
+    test('should drop previously registered shortcuts', () => {
+      const globalShortcut = createGlobalShortcutMock();
+      const handlers = { toggleWindow: () => {} };
+
+      registerGlobalShortcuts(
+        globalShortcut,
+        { toggleWindow: 'Ctrl+Shift+B' },
+        handlers
+      );
+      registerGlobalShortcuts(globalShortcut, { toggleWindow: '' }, handlers);
+
+      expect(globalShortcut.registered.size).toBe(0);
+    });
+  });
+
+  test('should read bindings from settings', () => {
+    expect(
+      getShortcutBindings({
+        shortcutToggleWindow: 'Ctrl+Shift+B',
+        shortcutOpenComposer: '',
+      })
+    ).toEqual({
+      toggleWindow: 'Ctrl+Shift+B',
+      openComposer: '',
+      showNotifications: '',
+      toggleAlwaysOnTop: '',
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  applySpellChecker,
+  isValidDictionaryUrl,
+  isValidDictionaryWordList,
+  isValidLanguageList,
+  resolveSpellCheckerLanguages,
+  withSpellCheckerLanguage,
+} = require('../src/spellcheck');
+
+const available = ['de-DE', 'en-GB', 'en-US', 'fr', 'pt-BR'];
+
+// Stand-in for an Electron session's spellchecker API
+function createFakeSession(words = []) {
+  const dictionary = new Set(words);
+  return {
+    availableSpellCheckerLanguages: available,
+    setSpellCheckerEnabled: jest.fn(),
+    setSpellCheckerLanguages: jest.fn(),
+    setSpellCheckerDictionaryDownloadURL: jest.fn(),
+    listWordsInSpellCheckerDictionary: async () => [...dictionary],
+    addWordToSpellCheckerDictionary: jest.fn((word) => dictionary.add(word)),
+    removeWordFromSpellCheckerDictionary: jest.fn((word) =>
+      dictionary.delete(word)
+    ),
+    dictionary,
+  };
+}
+
+describe('Spellcheck', () => {
+  test('should validate settings', () => {
+    expect(isValidLanguageList(['en-US', 'de', 'pt-BR'])).toBe(true);
+    expect(isValidLanguageList(['english'])).toBe(false);
+    expect(isValidLanguageList(new Array(11).fill('en'))).toBe(false);
+
+    expect(isValidDictionaryWordList(['Bluesky', 'skeet'])).toBe(true);
+    expect(isValidDictionaryWordList(['two words'])).toBe(false);
+    expect(isValidDictionaryWordList([''])).toBe(false);
+
+    expect(isValidDictionaryUrl('')).toBe(true);
+    expect(isValidDictionaryUrl('https://mirror.example/dictionaries/')).toBe(
+      true
+    );
+    expect(isValidDictionaryUrl('http://mirror.example/dictionaries/')).toBe(
+      false
+    );
+    expect(isValidDictionaryUrl('https://mirror.example/en-US.bdic')).toBe(
+      false
+    );
+  });
+
+  test('should match languages to available dictionaries', () => {
+    expect(
+      resolveSpellCheckerLanguages(['EN-us', 'de', 'fr', 'xx'], available)
+    ).toEqual({ languages: ['en-US', 'de-DE', 'fr'], missing: ['xx'] });
+    expect(resolveSpellCheckerLanguages(['de', 'de-DE'], available)).toEqual({
+      languages: ['de-DE'],
+      missing: [],
+    });
+  });
+
+  test('should toggle languages in the saved list', () => {
+    expect(withSpellCheckerLanguage(['en-US'], 'de-DE', true)).toEqual([
+      'en-US',
+      'de-DE',
+    ]);
+    expect(withSpellCheckerLanguage(['en-US', 'de'], 'de-DE', false)).toEqual([
+      'en-US',
+    ]);
+    expect(withSpellCheckerLanguage(['en-US'], 'en-US', true)).toEqual([
+      'en-US',
+    ]);
+  });
+
+  test('should configure the session and sync the custom dictionary', async () => {
+    const ses = createFakeSession(['oldword', 'skeet']);
+    const missing = await applySpellChecker(
+      ses,
+      {
+        enabled: true,
+        languages: ['en-US', 'de', 'xx'],
+        words: ['skeet', 'Bluesky'],
+        dictionaryUrl: 'https://mirror.example/dictionaries/',
+      },
+      'linux'
+    );
+
+    expect(missing).toEqual(['xx']);
+    expect(ses.setSpellCheckerEnabled).toHaveBeenCalledWith(true);
+    expect(ses.setSpellCheckerLanguages).toHaveBeenCalledWith([
+      'en-US',
+      'de-DE',
+    ]);
+    expect(ses.setSpellCheckerDictionaryDownloadURL).toHaveBeenCalledWith(
+      'https://mirror.example/dictionaries/'
+    );
+    expect([...ses.dictionary].sort()).toEqual(['Bluesky', 'skeet']);
+  });
+
+  test('should leave languages to the system on macOS', async () => {
+    const ses = createFakeSession();
+    await applySpellChecker(
+      ses,
+      { enabled: false, languages: ['de'], words: [], dictionaryUrl: '' },
+      'darwin'
+    );
+    expect(ses.setSpellCheckerEnabled).toHaveBeenCalledWith(false);
+    expect(ses.setSpellCheckerLanguages).not.toHaveBeenCalled();
+  });
+});
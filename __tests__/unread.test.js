@@ -0,0 +1,140 @@
+const { describe, test, expect } = require('@jest/globals');
+const { drawUnreadBadge, formatUnreadCount } = require('../src/unread-badge');
+const { createUnreadTracker } = require('../src/unread-tracker');
+const { validatePageSession } = require('../src/bsky-session');
+
+function readPixel(bitmap, width, x, y) {
+  const offset = (y * width + x) * 4;
+  return [...bitmap.subarray(offset, offset + 4)];
+}
+
+function createFakeClient(responses) {
+  return {
+    query: jest.fn(async (nsid) => {
+      const response = responses[nsid];
+      if (response instanceof Error) {
+        throw response;
+      }
+      return response;
+    }),
+    procedure: jest.fn(async () => ({})),
+  };
+}
+
+describe('Unread Counts', () => {
+  describe('formatUnreadCount', () => {
+    test('should format counts for tooltips', () => {
+      expect(formatUnreadCount(0)).toBe('');
+      expect(formatUnreadCount(7)).toBe('7');
+      expect(formatUnreadCount(150)).toBe('99+');
+      expect(formatUnreadCount(-1)).toBe('');
+    });
+  });
+
+  describe('drawUnreadBadge', () => {
+    const size = 32;
+    const empty = Buffer.alloc(size * size * 4);
+
+    test('should leave the icon unchanged without unread items', () => {
+      expect(drawUnreadBadge(empty, size, size, 0).equals(empty)).toBe(true);
+    });
+
+    test('should draw a badge in the top-right corner only', () => {
+      const bitmap = drawUnreadBadge(empty, size, size, 12);
+
+      expect(readPixel(bitmap, size, size - 4, 4)[3]).toBe(0xff);
+      expect(readPixel(bitmap, size, 2, size - 2)).toEqual([0, 0, 0, 0]);
+      expect(empty.every((byte) => byte === 0)).toBe(true);
+    });
+
+    test('should draw the digit in white for single-digit counts', () => {
+      const withDigit = drawUnreadBadge(empty, size, size, 8);
+      const withoutDigit = drawUnreadBadge(empty, size, size, 12);
+
+      expect(withDigit.equals(withoutDigit)).toBe(false);
+      expect(withDigit.includes(Buffer.from([0xff, 0xff, 0xff, 0xff]))).toBe(
+        true
+      );
+    });
+  });
+
+  describe('createUnreadTracker', () => {
+    test('should combine notification and unmuted chat counts', async () => {
+      const onChange = jest.fn();
+      const tracker = createUnreadTracker({
+        client: createFakeClient({
+          'app.bsky.notification.getUnreadCount': { count: 4 },
+          'chat.bsky.convo.listConvos': {
+            convos: [
+              { unreadCount: 2 },
+              { unreadCount: 5, muted: true },
+              { unreadCount: 1 },
+            ],
+          },
+        }),
+        onChange,
+      });
+
+      await tracker.refresh();
+      expect(onChange).toHaveBeenCalledWith({ notifications: 4, chats: 3 });
+    });
+
+    test('should keep notification counts when chat is unavailable', async () => {
+      const tracker = createUnreadTracker({
+        client: createFakeClient({
+          'app.bsky.notification.getUnreadCount': { count: 2 },
+          'chat.bsky.convo.listConvos': new Error('Bad token scope'),
+        }),
+        onChange: jest.fn(),
+      });
+
+      await tracker.refresh();
+      expect(tracker.getCounts()).toEqual({ notifications: 2, chats: 0 });
+    });
+
+    test('should mark notifications and chats as read', async () => {
+      const client = createFakeClient({
+        'app.bsky.notification.getUnreadCount': { count: 0 },
+        'chat.bsky.convo.listConvos': { convos: [] },
+      });
+      const tracker = createUnreadTracker({ client, onChange: jest.fn() });
+
+      await tracker.markAllRead();
+      const nsids = client.procedure.mock.calls.map(([nsid]) => nsid);
+      expect(nsids).toEqual([
+        'app.bsky.notification.updateSeen',
+        'chat.bsky.convo.updateAllRead',
+      ]);
+    });
+  });
+
+  describe('validatePageSession', () => {
+    test('should accept a well-formed session', () => {
+      expect(
+        validatePageSession({
+          did: 'did:plc:abc123',
+          handle: 'alice.bsky.social',
+          service: 'https://pds.example.com/',
+          accessJwt: 'token',
+        })
+      ).toEqual({
+        did: 'did:plc:abc123',
+        handle: 'alice.bsky.social',
+        service: 'https://pds.example.com',
+        accessJwt: 'token',
+      });
+    });
+
+    test('should reject sessions pointing at insecure services', () => {
+      expect(
+        validatePageSession({
+          did: 'did:plc:abc123',
+          service: 'http://pds.example.com',
+          accessJwt: 'token',
+        })
+      ).toBeNull();
+      expect(validatePageSession({ did: 'nope' })).toBeNull();
+      expect(validatePageSession(null)).toBeNull();
+    });
+  });
+});
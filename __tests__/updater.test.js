@@ -0,0 +1,180 @@
+const { describe, test, expect } = require('@jest/globals');
+const { EventEmitter } = require('events');
+const {
+  DEFAULT_UPDATE_FEED_URL,
+  createUpdater,
+  isValidUpdateFeedUrl,
+} = require('../src/updater');
+
+// Just enough of electron-updater's AppUpdater
+function createFakeAutoUpdater() {
+  const autoUpdater = new EventEmitter();
+  autoUpdater.setFeedURL = jest.fn();
+  autoUpdater.checkForUpdates = jest.fn(() => Promise.resolve(null));
+  autoUpdater.quitAndInstall = jest.fn();
+  return autoUpdater;
+}
+
+const quietLogger = { warn: jest.fn() };
+
+describe('Updater', () => {
+  let autoUpdater;
+  let onChange;
+
+  const create = (isPackaged = true) =>
+    createUpdater({
+      autoUpdater,
+      isPackaged,
+      onChange,
+      logger: quietLogger,
+      timers: { setTimeout, clearTimeout, setInterval, clearInterval },
+    });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    autoUpdater = createFakeAutoUpdater();
+    onChange = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should accept HTTPS feeds and HTTP on localhost only', () => {
+    expect(isValidUpdateFeedUrl('')).toBe(true);
+    expect(isValidUpdateFeedUrl('https://updates.example.com/app/')).toBe(true);
+    expect(isValidUpdateFeedUrl('http://localhost:8080')).toBe(true);
+    expect(isValidUpdateFeedUrl('http://127.0.0.1:8080/dist')).toBe(true);
+    expect(isValidUpdateFeedUrl('http://updates.example.com')).toBe(false);
+    expect(isValidUpdateFeedUrl('https://user:pw@example.com')).toBe(false);
+    expect(isValidUpdateFeedUrl('https://example.com/?channel=x')).toBe(false);
+    expect(isValidUpdateFeedUrl('file:///tmp/dist')).toBe(false);
+    expect(isValidUpdateFeedUrl('not a url')).toBe(false);
+  });
+
+  test('should point the updater at the feed and channel', () => {
+    const updater = create();
+    updater.configure({ enabled: true, feedUrl: '', channel: 'stable' });
+
+    expect(autoUpdater.setFeedURL).toHaveBeenLastCalledWith({
+      provider: 'generic',
+      url: DEFAULT_UPDATE_FEED_URL,
+    });
+    expect(autoUpdater).toMatchObject({
+      channel: 'latest',
+      allowPrerelease: false,
+      allowDowngrade: false,
+      autoDownload: true,
+      autoInstallOnAppQuit: true,
+    });
+
+    updater.configure({
+      enabled: true,
+      feedUrl: 'https://updates.example.com/app',
+      channel: 'beta',
+    });
+    expect(autoUpdater.setFeedURL).toHaveBeenLastCalledWith({
+      provider: 'generic',
+      url: 'https://updates.example.com/app',
+    });
+    expect(autoUpdater).toMatchObject({
+      channel: 'beta',
+      allowPrerelease: true,
+      allowDowngrade: false,
+    });
+  });
+
+  test('should check after startup and then periodically', () => {
+    const updater = create();
+    updater.configure({ enabled: true, feedUrl: '', channel: 'stable' });
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(autoUpdater.checkForUpdates).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(6 * 60 * 60 * 1000);
+    expect(autoUpdater.checkForUpdates).toHaveBeenCalledTimes(2);
+
+    updater.configure({ enabled: false, feedUrl: '', channel: 'stable' });
+    jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+    expect(autoUpdater.checkForUpdates).toHaveBeenCalledTimes(2);
+    // Manual checks still work with automatic checks turned off
+    expect(updater.check()).toBe(true);
+    expect(autoUpdater.checkForUpdates).toHaveBeenCalledTimes(3);
+  });
+
+  test('should only check explicit feeds in development', () => {
+    const updater = create(false);
+    updater.configure({ enabled: true, feedUrl: '', channel: 'stable' });
+    expect(updater.isEnabled()).toBe(false);
+    expect(updater.check()).toBe(false);
+    expect(autoUpdater.forceDevUpdateConfig).toBe(false);
+
+    updater.configure({
+      enabled: true,
+      feedUrl: 'http://localhost:8080',
+      channel: 'stable',
+    });
+    expect(updater.isEnabled()).toBe(true);
+    expect(autoUpdater.forceDevUpdateConfig).toBe(true);
+    expect(updater.check()).toBe(true);
+  });
+
+  test('should report download progress until the update is ready', () => {
+    const updater = create();
+    updater.configure({ enabled: false, feedUrl: '', channel: 'stable' });
+    updater.quitAndInstall();
+    expect(autoUpdater.quitAndInstall).not.toHaveBeenCalled();
+
+    updater.check();
+    autoUpdater.emit('checking-for-update');
+    autoUpdater.emit('update-available', { version: '1.5.0' });
+    autoUpdater.emit('download-progress', { percent: 40 });
+    expect(onChange).toHaveBeenLastCalledWith({
+      status: 'downloading',
+      version: '1.5.0',
+      percent: 40,
+      error: null,
+      userInitiated: true,
+    });
+
+    autoUpdater.emit('update-downloaded', { version: '1.5.0' });
+    expect(updater.getState()).toMatchObject({
+      status: 'downloaded',
+      version: '1.5.0',
+    });
+    // Nothing newer to look for until the app restarts
+    expect(updater.check()).toBe(false);
+
+    autoUpdater.emit('error', new Error('network'));
+    expect(updater.getState().status).toBe('downloaded');
+    updater.quitAndInstall();
+    expect(autoUpdater.quitAndInstall).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report failures without their details', () => {
+    const updater = create();
+    updater.configure({ enabled: false, feedUrl: '', channel: 'stable' });
+    updater.check();
+    autoUpdater.emit('checking-for-update');
+    autoUpdater.emit(
+      'error',
+      new Error('sha512 checksum mismatch for https://example.com/a.exe')
+    );
+
+    expect(onChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        status: 'error',
+        error: 'The update could not be loaded.',
+        userInitiated: true,
+      })
+    );
+    expect(quietLogger.warn).toHaveBeenCalled();
+
+    // The next scheduled check is not the user's
+    updater.configure({ enabled: true, feedUrl: '', channel: 'stable' });
+    jest.advanceTimersByTime(60 * 1000);
+    autoUpdater.emit('checking-for-update');
+    expect(onChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 'checking', userInitiated: false })
+    );
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadWindowState,
+  saveWindowState,
+  resolveWindowBounds,
+} = require('../src/window-state');
+
+const primaryDisplay = {
+  id: 1,
+  workArea: { x: 0, y: 0, width: 1920, height: 1040 },
+};
+const secondaryDisplay = {
+  id: 2,
+  workArea: { x: 1920, y: 0, width: 2560, height: 1400 },
+};
+
+describe('Window State', () => {
+  test('should use default size when nothing was saved', () => {
+    expect(resolveWindowBounds(null, [primaryDisplay], primaryDisplay)).toEqual(
+      { width: 1200, height: 800 }
+    );
+  });
+
+  test('should restore bounds on a connected secondary display', () => {
+    const state = {
+      bounds: { x: 2000, y: 100, width: 1400, height: 900 },
+      displayId: 2,
+    };
+
+    expect(
+      resolveWindowBounds(
+        state,
+        [primaryDisplay, secondaryDisplay],
+        primaryDisplay
+      )
+    ).toEqual(state.bounds);
+  });
+
+  test('should centre on the primary display when the monitor is gone', () => {
+    const state = {
+      bounds: { x: 2000, y: 100, width: 1400, height: 900 },
+      displayId: 2,
+    };
+
+    expect(
+      resolveWindowBounds(state, [primaryDisplay], primaryDisplay)
+    ).toEqual({ x: 260, y: 70, width: 1400, height: 900 });
+  });
+
+  test('should clamp partially visible windows back on screen', () => {
+    const state = {
+      bounds: { x: 1700, y: -50, width: 1000, height: 700 },
+      displayId: 1,
+    };
+
+    expect(
+      resolveWindowBounds(state, [primaryDisplay], primaryDisplay)
+    ).toEqual({ x: 920, y: 0, width: 1000, height: 700 });
+  });
+
+  test('should shrink windows larger than the work area', () => {
+    const state = {
+      bounds: { x: 0, y: 0, width: 4000, height: 3000 },
+      displayId: 1,
+    };
+
+    expect(
+      resolveWindowBounds(state, [primaryDisplay], primaryDisplay)
+    ).toEqual({ x: 0, y: 0, width: 1920, height: 1040 });
+  });
+
+  test('should round-trip saved state and ignore malformed files', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-window-'));
+    const filePath = path.join(tempDir, 'window-state.json');
+
+    try {
+      saveWindowState(filePath, {
+        bounds: { x: 10, y: 20, width: 800, height: 600 },
+        displayId: 1,
+        isMaximized: true,
+        alwaysOnTop: true,
+      });
+      expect(loadWindowState(filePath)).toEqual({
+        bounds: { x: 10, y: 20, width: 800, height: 600 },
+        displayId: 1,
+        isMaximized: true,
+        isFullScreen: false,
+        alwaysOnTop: true,
+      });
+
+      fs.writeFileSync(filePath, '{"bounds": {"x": "evil"}}');
+      expect(loadWindowState(filePath).bounds).toBeNull();
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
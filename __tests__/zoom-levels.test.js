@@ -0,0 +1,68 @@
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createZoomStore,
+  getNextZoomFactor,
+  sanitizeZoomData,
+} = require('../src/zoom-levels');
+
+describe('Zoom Levels', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bluesky-zoom-'));
+    filePath = path.join(tempDir, 'zoom-levels.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should step through the zoom presets and stop at the limits', () => {
+    expect(getNextZoomFactor(1, 'in')).toBe(1.1);
+    expect(getNextZoomFactor(1, 'out')).toBe(0.9);
+    expect(getNextZoomFactor(1.2, 'in')).toBe(1.25);
+    expect(getNextZoomFactor(5, 'in')).toBe(5);
+    expect(getNextZoomFactor(0.25, 'out')).toBe(0.25);
+    expect(getNextZoomFactor(NaN, 'in')).toBe(1.1);
+  });
+
+  test('should remember zoom per account and origin across restarts', () => {
+    const store = createZoomStore(filePath);
+    store.set('default', 'https://bsky.app', 1.5);
+    store.set('work', 'https://bsky.app', 0.8);
+
+    const reloaded = createZoomStore(filePath);
+    expect(reloaded.get('default', 'https://bsky.app')).toBe(1.5);
+    expect(reloaded.get('work', 'https://bsky.app')).toBe(0.8);
+    expect(reloaded.get('default', 'https://staging.bsky.app')).toBe(1);
+  });
+
+  test('should forget reset origins and removed accounts', () => {
+    const store = createZoomStore(filePath);
+    store.set('default', 'https://bsky.app', 1.5);
+    store.set('work', 'https://bsky.app', 2);
+    store.set('default', 'https://bsky.app', 1);
+    store.removeAccount('work');
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).levels).toEqual({});
+  });
+
+  test('should drop malformed entries', () => {
+    expect(
+      sanitizeZoomData({
+        levels: {
+          default: {
+            'https://bsky.app': 1.25,
+            'https://bsky.app/profile': 1.5,
+            'http://localhost:8100': 40,
+          },
+          broken: 'yes',
+        },
+      })
+    ).toEqual({ default: { 'https://bsky.app': 1.25 } });
+  });
+});
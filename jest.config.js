@@ -1,6 +1,12 @@
 module.exports = {
   testEnvironment: 'node',
-  collectCoverageFrom: ['main.js', '!**/node_modules/**', '!**/coverage/**'],
+  collectCoverageFrom: [
+    'main.js',
+    'src/**/*.js',
+    '!src/ui/**',
+    '!**/node_modules/**',
+    '!**/coverage/**',
+  ],
   coverageDirectory: 'coverage',
   coverageReporters: ['text', 'lcov', 'html'],
   testMatch: ['**/__tests__/**/*.test.js'],
@@ -6,15 +6,187 @@ const {
   Menu,
   nativeImage,
   ipcMain,
+  dialog,
+  session,
+  screen,
+  net,
+  Notification,
+  globalShortcut,
+  clipboard,
 } = require('electron');
+const { autoUpdater } = require('electron-updater');
 const path = require('path');
 const { URL } = require('url');
 const fs = require('fs');
+const os = require('os');
+const { createAccountStore } = require('./src/accounts');
+const { showPrompt } = require('./src/prompt-window');
+const { createSettingsStore } = require('./src/settings');
+const {
+  DEFAULT_SERVICE_ORIGIN,
+  isTrustedUrl,
+  resolveServiceOrigins,
+} = require('./src/origins');
+const {
+  getForwardedArgs,
+  getSwitchValue,
+  hasSwitch,
+  resolveLaunchRequest,
+} = require('./src/command-line');
+const { createXrpcClient } = require('./src/xrpc-client');
+const { readPageSession } = require('./src/bsky-session');
+const { createUnreadTracker } = require('./src/unread-tracker');
+const { createNotificationService } = require('./src/notification-service');
+const { APP_PROTOCOL, parseDeepLink } = require('./src/deep-link');
+const {
+  createBadgeImage,
+  createBadgedImage,
+  formatUnreadCount,
+} = require('./src/unread-badge');
+const {
+  openPreferencesWindow,
+  registerPreferencesIpc,
+} = require('./src/preferences-window');
+const { createFindBar } = require('./src/find-bar');
+const { routeLink } = require('./src/link-router');
+const { inspectLink } = require('./src/link-inspector');
+const {
+  decidePermission,
+  describePermission,
+  getOrigin,
+  withPermissionDecision,
+} = require('./src/permissions');
+const { createFilterMatcher, toRequestType } = require('./src/filter-list');
+const {
+  loadFilterLists,
+  updateSubscriptions,
+} = require('./src/filter-list-store');
+const { openLinkPopup } = require('./src/link-popup');
+const { buildContextMenuTemplate } = require('./src/context-menu');
+const { createOfflinePage } = require('./src/offline-page');
+const {
+  HTTP_ERROR_CODE,
+  createLoadRetry,
+  getRetryDelay,
+} = require('./src/load-retry');
+const { createCrashGuard } = require('./src/crash-guard');
+const { createLastRouteStore } = require('./src/last-route');
+const { createLogger, isValidLogLevel } = require('./src/logger');
+const { collectDiagnostics } = require('./src/diagnostics');
+const { createZip } = require('./src/zip-writer');
+const { createUpdater } = require('./src/updater');
+const {
+  applySpellChecker,
+  isValidDictionaryWord,
+  withSpellCheckerLanguage,
+} = require('./src/spellcheck');
+const {
+  createDownloadManager,
+  describeDownload,
+} = require('./src/download-manager');
+const { createZoomStore, getNextZoomFactor } = require('./src/zoom-levels');
+const {
+  buildAppMenuTemplate,
+  resolveMenuAccelerators,
+} = require('./src/app-menu');
+const {
+  GLOBAL_SHORTCUT_ACTIONS,
+  getShortcutBindings,
+  registerGlobalShortcuts,
+} = require('./src/shortcuts');
+const {
+  loadWindowState,
+  saveWindowState,
+  resolveWindowBounds,
+} = require('./src/window-state');
+
+// Written to rotating files under the app's logs folder, see --log-level
+const logLevelSwitch = getSwitchValue(process.argv, 'log-level');
+const logger = createLogger({
+  dir: app.getPath('logs'),
+  level: logLevelSwitch || undefined,
+  echo: !app.isPackaged,
+});
+const rendererLogger = logger.scope('renderer');
+if (logLevelSwitch && !isValidLogLevel(logLevelSwitch)) {
+  logger.warn(`Unknown log level "${logLevelSwitch}", using info`);
+}
+// Messages the page may forward per RENDERER_LOG_WINDOW_MS
+const RENDERER_LOG_LIMIT = 50;
+const RENDERER_LOG_WINDOW_MS = 60 * 1000;
+let rendererLogWindowStart = 0;
+let rendererLogCount = 0;
 
 let mainWindow;
 let appEventListeners = [];
 let tray;
 let willQuit = false;
+let accountStore;
+let settingsStore;
+let zoomStore;
+let lastRouteStore;
+let trayBaseIcon;
+let unreadTracker;
+let unreadCounts = { notifications: 0, chats: 0 };
+let notificationService;
+let hasShownTrayHint = false;
+// Deep link received before the window existed
+let pendingDeepLinkPath = null;
+// Visible text of the link clicked last, compared with its destination
+let lastClickedLink = null;
+// Post under the cursor at the last right-click, reported by the preload
+let lastContextMenuPost = null;
+// Request filtering: available lists, the compiled matcher and a per-run count
+let filterLists = [];
+let filterMatcher = null;
+// Settings read for every request, cached until they change
+let requestFilterSettings = { enabled: false, trustedOrigins: [] };
+let blockedRequestCount = 0;
+let blockedCountTimeout = null;
+let subscriptionInterval = null;
+let downloadManager;
+let crashGuard;
+let updater;
+let updateState = { status: 'idle', version: null };
+// Set by --safe-mode for this run only
+let safeModeSwitch = false;
+let downloadUpdateTimeout = null;
+// Sessions outlive windows, so each gets its will-download listener once
+const downloadSessions = new WeakSet();
+// Open permission prompts by "origin permission", so repeats share one dialog
+const pendingPermissionPrompts = new Map();
+// Electron drops click handlers of notifications that get garbage collected
+const activeNotifications = new Set();
+
+// Settings read by the page setup in did-finish-load
+const PAGE_SETTING_KEYS = [
+  'wheelRefreshThreshold',
+  'showRefreshButton',
+  'showPinButton',
+  'cacheClearIntervalMinutes',
+  'memoryMonitorIntervalSeconds',
+  'memoryHeapUsageThreshold',
+];
+
+const SPELLCHECK_SETTING_KEYS = [
+  'spellcheck',
+  'spellcheckLanguages',
+  'customDictionaryWords',
+  'spellcheckDictionaryUrl',
+];
+
+const UPDATE_SETTING_KEYS = [
+  'checkForUpdates',
+  'updateChannel',
+  'updateFeedUrl',
+];
+
+const SHORTCUT_SETTING_KEYS = GLOBAL_SHORTCUT_ACTIONS.map(
+  ({ settingKey }) => settingKey
+);
+
+// A renderer unresponsive this long is restarted
+const UNRESPONSIVE_TIMEOUT_MS = 30 * 1000;
 
 // Security: Allow only safe protocols for external links (enforce HTTPS)
 const ALLOWED_PROTOCOLS = new Set(['https:', 'mailto:', 'tel:']);
@@ -41,23 +213,47 @@ function sanitizeError(error) {
   return 'Unknown error';
 }
 
-function createWindow() {
+// Trusted origins from the settings, plus a `--service-origin=` override
+function getServiceOrigins() {
+  return resolveServiceOrigins(
+    {
+      trustedOrigins: settingsStore.get('trustedOrigins'),
+      defaultOrigin: settingsStore.get('defaultOrigin'),
+    },
+    getSwitchValue(process.argv, 'service-origin')
+  );
+}
+
+function createWindow(initialPath) {
   // Verify icon file exists before using
   const iconPath = path.join(__dirname, 'icon.png');
   if (!fs.existsSync(iconPath)) {
-    console.error('Icon file not found:', iconPath);
+    logger.error('Icon file not found:', iconPath);
     // Continue without icon rather than crash
   }
 
+  const activeAccount = accountStore.getActive();
+  const restoredRoute = initialPath ? null : getRestoredRoute(activeAccount.id);
+  const startPath = initialPath || restoredRoute;
+
+  // Restore the last window geometry, kept on a display that still exists
+  const windowState = loadWindowState(getWindowStatePath());
+  const windowBounds = resolveWindowBounds(
+    windowState,
+    screen.getAllDisplays(),
+    screen.getPrimaryDisplay()
+  );
+
   mainWindow = new BrowserWindow({
-    width: 1200,
-    height: 800,
+    ...windowBounds,
+    alwaysOnTop: Boolean(windowState && windowState.alwaysOnTop),
+    autoHideMenuBar: settingsStore.get('autoHideMenuBar'),
     icon: fs.existsSync(iconPath) ? iconPath : undefined,
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
-      // Use persistent session to save login information
-      partition: 'persist:bluesky-client-session',
+      // Use a persistent per-account session to save login information
+      partition: activeAccount.partition,
       // Security: Enable web security for better protection
       webSecurity: true,
       // Security: Enable sandbox for additional protection
@@ -66,6 +262,8 @@ function createWindow() {
       enableRemoteModule: false,
       allowRunningInsecureContent: false,
       experimentalFeatures: false,
+      minimumFontSize: isSafeMode() ? 0 : settingsStore.get('minimumFontSize'),
+      spellcheck: true,
       // Security: Preload script for secure IPC communication
       preload: path.join(__dirname, 'preload.js'),
     },
@@ -73,25 +271,83 @@ function createWindow() {
     // Security: Prevent window from being accessed by other scripts
     show: false,
   });
-
-  // Load Bluesky website
-  mainWindow.loadURL('https://bsky.app');
+  const win = mainWindow;
+  win._accountId = activeAccount.id;
+  win._findBar = createFindBar(win);
+  win._loadRetry = createLoadRetry({
+    // Failures are reported through did-fail-load
+    load: (url) => win.loadURL(url).catch(() => {}),
+    isOnline: () => net.isOnline(),
+    onChange: (state) => {
+      if (state) {
+        win._offlinePage.show(state);
+      } else {
+        win._offlinePage.hide();
+      }
+    },
+  });
+  win._offlinePage = createOfflinePage(win, {
+    onRetry: () => win._loadRetry.retryNow(),
+  });
+  trackLoadFailures(win);
+  trackCrashRecovery(win);
+
+  // Load Bluesky website, optionally at a route requested by a deep link
+  const { defaultOrigin } = getServiceOrigins();
+  const startUrl = startPath
+    ? new URL(startPath, defaultOrigin).toString()
+    : defaultOrigin;
+  if (restoredRoute) {
+    restoreScrollPosition(
+      win,
+      startUrl,
+      lastRouteStore.getScrollY(activeAccount.id)
+    );
+  }
+  mainWindow.loadURL(startUrl).catch(() => {});
 
   // Show window after loading
   mainWindow.once('ready-to-show', () => {
-    // Remove the menu completely (title bar only remains)
-    mainWindow.setMenu(null);
+    if (windowState && windowState.isMaximized) {
+      mainWindow.maximize();
+    }
+    if (windowState && windowState.isFullScreen) {
+      mainWindow.setFullScreen(true);
+    }
     mainWindow.show();
   });
 
+  trackWindowState(win);
+  applyRequestFilter(win.webContents.session);
+  applyPermissionHandlers(win.webContents.session);
+  applyDownloadHandler(win.webContents.session);
+  applySpellCheckerSettings(win.webContents.session);
+
+  // Restore the zoom saved for this account and origin, and save Ctrl+wheel
+  win.webContents.on('did-finish-load', () => restorePageZoom(win));
+  win.webContents.on('zoom-changed', (event, zoomDirection) => {
+    changePageZoom(win, zoomDirection);
+  });
+  win.webContents.on('context-menu', (event, params) => {
+    showContextMenu(win, params);
+  });
+
   // Combined did-finish-load handler for scroll refresh and cache management
-  mainWindow.webContents.on('did-finish-load', () => {
+  const handleDidFinishLoad = () => {
+    // Nothing to enhance on an error page, and safe mode runs the plain app
+    if (win._loadFailed || isSafeMode()) {
+      return;
+    }
+
     // Prevent concurrent injections with improved race condition handling
     if (mainWindow._isLoading) {
-      console.warn('Page loading in progress, skipping duplicate injection');
+      logger.warn('Page loading in progress, skipping duplicate injection');
       return;
     }
 
+    // Values are validated by the settings store before they reach the page
+    const pageSettings = settingsStore.getAll();
+
     mainWindow._isLoading = true;
     mainWindow._loadingStartTime = Date.now();
 
@@ -116,7 +372,7 @@ function createWindow() {
           data: {
             isAtTop: true,
             wheelDeltaAccumulator: 0,
-            threshold: -150,
+            threshold: -${pageSettings.wheelRefreshThreshold},
             indicator: null,
             indicatorTimeout: null
           },
@@ -249,6 +505,9 @@ function createWindow() {
 
           if (!data.isAtTop) return;
 
+          // Ctrl/Cmd+wheel and pinch gestures zoom the page instead
+          if (event.ctrlKey || event.metaKey) return;
+
           if (event.deltaY < 0) {
             data.wheelDeltaAccumulator += Math.abs(event.deltaY);
 
@@ -504,10 +763,14 @@ function createWindow() {
         }
 
         // Create the floating pin button
-        createFloatingPinButton();
+        if (${pageSettings.showPinButton}) {
+          createFloatingPinButton();
+        }
 
         // Create the floating refresh button
-        createFloatingRefreshButton();
+        if (${pageSettings.showRefreshButton}) {
+          createFloatingRefreshButton();
+        }
 
         // Add event listeners with stored references
         window.addEventListener('scroll', ScrollRefreshManager.handlers.handleScroll, { passive: true });
@@ -624,11 +887,20 @@ function createWindow() {
         };
       `
         )
+        .then(() => {
+          // Sync the pin button with the restored always-on-top state
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send(
+              'always-on-top-changed',
+              mainWindow.isAlwaysOnTop()
+            );
+          }
+        })
         .catch((error) => {
-          console.warn('Failed to inject scroll refresh functionality:', error);
+          logger.warn('Failed to inject scroll refresh functionality:', error);
         });
     } catch (error) {
-      console.warn('Error executing JavaScript:', error);
+      logger.warn('Error executing JavaScript:', error);
     } finally {
       // Reset loading flag with proper timing and validation
       const loadingDuration =
@@ -654,8 +926,13 @@ function createWindow() {
       }
     };
 
-    // Clear cache every 30 minutes
-    mainWindow._cacheInterval = setInterval(clearCache, 30 * 60 * 1000);
+    // Clear cache periodically (0 minutes disables it)
+    if (pageSettings.cacheClearIntervalMinutes > 0) {
+      mainWindow._cacheInterval = setInterval(
+        clearCache,
+        pageSettings.cacheClearIntervalMinutes * 60 * 1000
+      );
+    }
 
     // Add memory pressure monitoring for proactive cleanup
     if (!mainWindow._memoryMonitorInterval) {
@@ -670,9 +947,11 @@ function createWindow() {
                 const memInfo = window.performance.memory;
                 const usageRatio = memInfo.usedJSHeapSize / memInfo.jsHeapSizeLimit;
 
-                // If memory usage is high (>80%), perform proactive cleanup
-                if (usageRatio > 0.8) {
-                  console.warn('High memory usage detected:', Math.round(usageRatio * 100) + '%');
+                // If memory usage is above the configured ratio, perform proactive cleanup
+                if (usageRatio > ${pageSettings.memoryHeapUsageThreshold / 100}) {
+                  if (window.electronAPI) {
+                    window.electronAPI.log('warn', 'High memory usage detected: ' + Math.round(usageRatio * 100) + '%');
+                  }
 
                   // Force garbage collection if available
                   if (window.gc) {
@@ -694,33 +973,50 @@ function createWindow() {
             // Silently ignore memory monitoring errors
           }
         }
-      }, 60000); // Check every minute
+      }, pageSettings.memoryMonitorIntervalSeconds * 1000);
     }
+  };
+
+  mainWindow.webContents.on('did-finish-load', handleDidFinishLoad);
+
+  // The web app puts the unread count in the title, use it as a refresh hint
+  mainWindow.webContents.on('page-title-updated', () => {
+    unreadTracker.refreshSoon();
   });
 
-  // Handle external links with security validation
-  const windowOpenHandler = ({ url }) => {
-    // Security: Validate URL before opening externally
-    if (isSafeUrl(url)) {
-      shell.openExternal(url);
-    } else {
-      console.warn(`Blocked potentially unsafe URL: ${url}`);
+  // Re-run the page setup so preference changes apply without a restart
+  win._applySettings = () => {
+    if (win._memoryMonitorInterval) {
+      clearInterval(win._memoryMonitorInterval);
+      win._memoryMonitorInterval = null;
     }
+    handleDidFinishLoad();
+  };
+
+  // Send links that open a new window through the link rules
+  const windowOpenHandler = ({ url }) => {
+    openLink(win, url).catch((error) => {
+      logger.warn('Failed to open link:', sanitizeError(error));
+    });
     return { action: 'deny' };
   };
 
   mainWindow.webContents.setWindowOpenHandler(windowOpenHandler);
 
-  // Security: Prevent navigation to external sites
+  // Security: Keep the window on trusted origins, route other links instead
   mainWindow.webContents.on('will-navigate', (event, navigationUrl) => {
-    const parsedUrl = new URL(navigationUrl);
-    if (parsedUrl.origin !== 'https://bsky.app') {
+    if (!isTrustedUrl(navigationUrl, getServiceOrigins().trustedOrigins)) {
       event.preventDefault();
+      openLink(win, navigationUrl).catch((error) => {
+        logger.warn('Failed to open link:', sanitizeError(error));
+      });
     }
   });
 
   // Handle window close event - minimize to tray instead of quitting
   mainWindow.on('close', async (event) => {
+    persistWindowState(win);
+
     if (!willQuit) {
       event.preventDefault();
 
@@ -732,80 +1028,86 @@ function createWindow() {
           );
         }
       } catch (error) {
-        console.warn('JavaScript cleanup during minimize failed:', error);
+        logger.warn('JavaScript cleanup during minimize failed:', error);
       }
 
       mainWindow.hide();
 
-      // Show notification (optional)
-      if (process.platform === 'win32') {
+      // Show notification once per run (optional)
+      if (process.platform === 'win32' && !hasShownTrayHint) {
+        hasShownTrayHint = true;
         try {
-          await mainWindow.webContents.executeJavaScript(`
-            if ('Notification' in window && Notification.permission === 'granted') {
-              new Notification('Bluesky Client', {
-                body: 'App minimized to system tray. Click tray icon to restore.',
-                icon: '/icon.png'
-              });
-            }
-          `);
+          if (Notification.isSupported()) {
+            new Notification({
+              title: 'Bluesky Client',
+              body: 'App minimized to system tray. Click tray icon to restore.',
+            }).show();
+          }
         } catch (notificationError) {
-          console.warn('Failed to show notification:', notificationError);
+          logger.warn('Failed to show notification:', notificationError);
         }
       }
     }
   });
 
   // Consolidated window cleanup
-  mainWindow.on('closed', () => {
+  // Uses the captured window so an account switch never touches the new one
+  win.on('closed', () => {
     // Clear the window open handler only if webContents still exists
-    if (mainWindow && !mainWindow.isDestroyed() && mainWindow.webContents) {
+    if (!win.isDestroyed() && win.webContents) {
       try {
-        mainWindow.webContents.setWindowOpenHandler(null);
+        win.webContents.setWindowOpenHandler(null);
       } catch (error) {
         // Ignore errors if webContents is already destroyed
       }
     }
 
     // Clear all intervals
-    if (mainWindow && mainWindow._cacheInterval) {
-      clearInterval(mainWindow._cacheInterval);
-      mainWindow._cacheInterval = null;
+    if (win._cacheInterval) {
+      clearInterval(win._cacheInterval);
+      win._cacheInterval = null;
     }
 
-    if (mainWindow && mainWindow._memoryMonitorInterval) {
-      clearInterval(mainWindow._memoryMonitorInterval);
-      mainWindow._memoryMonitorInterval = null;
+    if (win._memoryMonitorInterval) {
+      clearInterval(win._memoryMonitorInterval);
+      win._memoryMonitorInterval = null;
     }
 
-    // Clear loading flags
-    if (mainWindow) {
-      delete mainWindow._isLoading;
-      delete mainWindow._loadingStartTime;
+    win._loadRetry.stop();
+    if (win._unresponsiveTimeout) {
+      clearTimeout(win._unresponsiveTimeout);
+      win._unresponsiveTimeout = null;
     }
 
+    // Clear loading flags
+    delete win._isLoading;
+    delete win._loadingStartTime;
+
     // Clear global reference
-    mainWindow = null;
+    if (mainWindow === win) {
+      mainWindow = null;
+    }
   });
 
   // Clean up JavaScript when window is destroyed
-  mainWindow.on('destroyed', () => {
+  win.on('destroyed', () => {
     // At this point, webContents is already being cleaned up by Electron
     // Ensure we clear all remaining resources
-    if (mainWindow) {
+    if (mainWindow === win) {
       // Clear any remaining intervals
-      if (mainWindow._cacheInterval) {
-        clearInterval(mainWindow._cacheInterval);
-        mainWindow._cacheInterval = null;
+      if (win._cacheInterval) {
+        clearInterval(win._cacheInterval);
+        win._cacheInterval = null;
       }
 
-      if (mainWindow._memoryMonitorInterval) {
-        clearInterval(mainWindow._memoryMonitorInterval);
-        mainWindow._memoryMonitorInterval = null;
+      if (win._memoryMonitorInterval) {
+        clearInterval(win._memoryMonitorInterval);
+        win._memoryMonitorInterval = null;
       }
 
       // Clear loading flags
-      delete mainWindow._isLoading;
-      delete mainWindow._loadingStartTime;
+      delete win._isLoading;
+      delete win._loadingStartTime;
 
       // Clear global reference
       mainWindow = null;
@@ -814,7 +1116,7 @@ function createWindow() {
 
   // Handle renderer process crashes with improved cleanup
   mainWindow.webContents.on('render-process-gone', async (event, details) => {
-    console.warn('Renderer process gone:', details);
+    logger.warn('Renderer process gone:', details);
 
     // Attempt cleanup only if process was killed (not crashed)
     if (details.reason === 'killed' || details.reason === 'clean-exit') {
@@ -826,20 +1128,20 @@ function createWindow() {
               'if(window.scrollRefreshCleanup) window.scrollRefreshCleanup()'
             )
             .catch((error) => {
-              console.warn(
+              logger.warn(
                 'JavaScript cleanup during render-process-gone failed:',
                 error
               );
             });
         }
       } catch (error) {
-        console.warn(
+        logger.warn(
           'Failed to execute JavaScript cleanup during render-process-gone:',
           error
         );
       }
     } else {
-      console.log(
+      logger.info(
         'Renderer process crashed, automatic cleanup will occur on window destruction'
       );
     }
@@ -854,11 +1156,15 @@ function createWindow() {
       clearInterval(mainWindow._memoryMonitorInterval);
       mainWindow._memoryMonitorInterval = null;
     }
+
+    if (details.reason !== 'clean-exit' && !willQuit) {
+      recoverFromCrash(win, details.reason);
+    }
   });
 
   // Handle unresponsive renderer process
   mainWindow.webContents.on('unresponsive', () => {
-    console.warn('Renderer process is unresponsive, attempting cleanup...');
+    logger.warn('Renderer process is unresponsive, attempting cleanup...');
 
     try {
       // Clear all intervals since renderer is unresponsive
@@ -872,13 +1178,13 @@ function createWindow() {
         mainWindow._memoryMonitorInterval = null;
       }
     } catch (error) {
-      console.warn('Failed to cleanup during unresponsive event:', error);
+      logger.warn('Failed to cleanup during unresponsive event:', error);
     }
   });
 
   // Handle responsive renderer after being unresponsive
   mainWindow.webContents.on('responsive', () => {
-    console.log('Renderer process is responsive again');
+    logger.info('Renderer process is responsive again');
 
     // Restart cache management if needed
     const clearCache = () => {
@@ -891,8 +1197,266 @@ function createWindow() {
       }
     };
 
-    if (!mainWindow._cacheInterval) {
-      mainWindow._cacheInterval = setInterval(clearCache, 30 * 60 * 1000);
+    const cacheClearMinutes = settingsStore.get('cacheClearIntervalMinutes');
+    if (!mainWindow._cacheInterval && cacheClearMinutes > 0) {
+      mainWindow._cacheInterval = setInterval(
+        clearCache,
+        cacheClearMinutes * 60 * 1000
+      );
+    }
+  });
+}
+
+// Show the offline page when the service cannot be loaded and retry until
+// it can. Error pages fire did-fail-load instead of did-navigate.
+function trackLoadFailures(win) {
+  const failLoad = (url, errorCode, description) => {
+    if (!isTrustedUrl(url, getServiceOrigins().trustedOrigins)) {
+      return;
+    }
+    if (win._loadRetry.fail(url, errorCode, description)) {
+      win._loadFailed = true;
+      // A failed first load would otherwise leave the window hidden
+      if (!win._wasShown) {
+        win.show();
+      }
+    }
+  };
+
+  win.once('show', () => {
+    win._wasShown = true;
+  });
+  win.webContents.on(
+    'did-fail-load',
+    (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+      if (isMainFrame) {
+        failLoad(validatedURL, errorCode, errorDescription);
+      }
+    }
+  );
+  win.webContents.on('did-navigate', (event, url, httpResponseCode) => {
+    win._loadFailed = false;
+    if (httpResponseCode >= 500) {
+      failLoad(url, HTTP_ERROR_CODE, `HTTP ${httpResponseCode}`);
+    }
+  });
+  win.webContents.on('did-finish-load', () => {
+    if (!win._loadFailed) {
+      win._loadRetry.succeed();
+    }
+  });
+}
+
+// Safe mode runs the plain web app: no injected scripts, saved zoom levels,
+// minimum font size or filter lists besides the bundled ones
+function isSafeMode() {
+  return safeModeSwitch || Boolean(crashGuard && crashGuard.isSafeMode());
+}
+
+// The page an account was on when the app last closed, if still trusted
+function getRestoredRoute(accountId) {
+  if (!settingsStore.get('restoreLastRoute')) {
+    return null;
+  }
+  const url = lastRouteStore.get(accountId);
+  return url && isTrustedUrl(url, getServiceOrigins().trustedOrigins)
+    ? url
+    : null;
+}
+
+// Scroll a reopened page back to where it was. The app renders its content
+// after the load finishes, so keep trying until the page is tall enough,
+// for up to 5 seconds or until the user scrolls.
+function restoreScrollPosition(win, url, scrollY) {
+  if (!(scrollY > 0)) {
+    return;
+  }
+  win.webContents.once('did-finish-load', () => {
+    if (
+      win.isDestroyed() ||
+      win._loadFailed ||
+      win.webContents.getURL() !== url
+    ) {
+      return;
+    }
+    win.webContents
+      .executeJavaScript(
+        `
+        (() => {
+          const target = ${JSON.stringify(scrollY)};
+          const deadline = Date.now() + 5000;
+          let cancelled = false;
+          const cancel = () => {
+            cancelled = true;
+          };
+          window.addEventListener('wheel', cancel, { once: true, passive: true });
+          window.addEventListener('touchstart', cancel, { once: true, passive: true });
+          window.addEventListener('keydown', cancel, { once: true });
+
+          const step = () => {
+            if (cancelled) return;
+            window.scrollTo(0, target);
+            if (Math.abs(window.scrollY - target) > 1 && Date.now() < deadline) {
+              setTimeout(step, 200);
+            }
+          };
+          step();
+        })();
+      `
+      )
+      .catch((error) => {
+        logger.warn('Failed to restore the scroll position:', error);
+      });
+  });
+}
+
+// The page to come back to after a crash, as long as it is still trusted
+function getRecoveryUrl(win) {
+  const { defaultOrigin, trustedOrigins } = getServiceOrigins();
+  return win._lastUrl && isTrustedUrl(win._lastUrl, trustedOrigins)
+    ? win._lastUrl
+    : defaultOrigin;
+}
+
+// Remember where the page was, and restart a renderer that stays hung
+function trackCrashRecovery(win) {
+  const rememberUrl = (event, url) => {
+    win._lastUrl = url;
+    if (
+      settingsStore.get('restoreLastRoute') &&
+      !win._loadFailed &&
+      isTrustedUrl(url, getServiceOrigins().trustedOrigins)
+    ) {
+      lastRouteStore.set(win._accountId, url);
+    }
+  };
+  win.webContents.on('did-navigate', rememberUrl);
+  win.webContents.on('did-navigate-in-page', (event, url, isMainFrame) => {
+    if (isMainFrame) {
+      rememberUrl(event, url);
+    }
+  });
+
+  win.webContents.on('unresponsive', () => {
+    if (!win._unresponsiveTimeout) {
+      win._unresponsiveTimeout = setTimeout(() => {
+        win._unresponsiveTimeout = null;
+        if (!win.isDestroyed()) {
+          // Reported as render-process-gone, which reloads the page
+          win.webContents.forcefullyCrashRenderer();
+        }
+      }, UNRESPONSIVE_TIMEOUT_MS);
+    }
+  });
+  win.webContents.on('responsive', () => {
+    if (win._unresponsiveTimeout) {
+      clearTimeout(win._unresponsiveTimeout);
+      win._unresponsiveTimeout = null;
+    }
+  });
+}
+
+// Reload the last page after a renderer crash, waiting longer after each
+// one. A crash loop switches to safe mode and starts over in a fresh window.
+function recoverFromCrash(win, reason) {
+  const { count, enteredSafeMode } = crashGuard.recordCrash();
+  logger.warn(`Renderer crash ${count} (${reason}), reloading the page`);
+
+  setTimeout(
+    () => {
+      if (win.isDestroyed()) {
+        return;
+      }
+      if (enteredSafeMode) {
+        rebuildFilterMatcher();
+        reopenMainWindow(getRecoveryUrl(win));
+        updateTrayMenu();
+        updateTrayTooltip();
+        showSafeModeNotice();
+        return;
+      }
+      const url = getRecoveryUrl(win);
+      if (win._lastScroll && win._lastScroll.url === url) {
+        restoreScrollPosition(win, url, win._lastScroll.scrollY);
+      }
+      win.loadURL(url).catch(() => {});
+    },
+    getRetryDelay(count - 1, 1000, 30000)
+  );
+}
+
+function showSafeModeNotice() {
+  dialog.showMessageBox({
+    type: 'warning',
+    title: 'Safe Mode',
+    message: 'Bluesky Client is running in safe mode',
+    detail: `${crashGuard.getSafeModeReason()} Scroll refresh, saved zoom levels, the minimum font size and your own filter lists are turned off until you choose Exit Safe Mode in the tray menu.`,
+  });
+}
+
+function exitSafeMode() {
+  crashGuard.exitSafeMode();
+  rebuildFilterMatcher();
+  reopenMainWindow(
+    mainWindow && !mainWindow.isDestroyed()
+      ? getRecoveryUrl(mainWindow)
+      : undefined
+  );
+  updateTrayMenu();
+  updateTrayTooltip();
+}
+
+function getWindowStatePath() {
+  return path.join(app.getPath('userData'), 'window-state.json');
+}
+
+// Save geometry, display and pinned state so the next launch can restore them
+function persistWindowState(win) {
+  if (!win || win.isDestroyed()) {
+    return;
+  }
+
+  const bounds = win.getNormalBounds();
+  try {
+    saveWindowState(getWindowStatePath(), {
+      bounds,
+      displayId: screen.getDisplayMatching(bounds).id,
+      isMaximized: win.isMaximized(),
+      isFullScreen: win.isFullScreen(),
+      alwaysOnTop: win.isAlwaysOnTop(),
+    });
+  } catch (error) {
+    logger.warn('Failed to save window state:', sanitizeError(error));
+  }
+}
+
+function trackWindowState(win) {
+  let saveTimeout = null;
+
+  // Debounce move/resize bursts into a single write
+  const scheduleSave = () => {
+    if (saveTimeout) {
+      clearTimeout(saveTimeout);
+    }
+    saveTimeout = setTimeout(() => {
+      saveTimeout = null;
+      persistWindowState(win);
+    }, 500);
+  };
+
+  ['resize', 'move'].forEach((event) => win.on(event, scheduleSave));
+  [
+    'maximize',
+    'unmaximize',
+    'enter-full-screen',
+    'leave-full-screen',
+    'always-on-top-changed',
+  ].forEach((event) => win.on(event, () => persistWindowState(win)));
+
+  win.on('closed', () => {
+    if (saveTimeout) {
+      clearTimeout(saveTimeout);
+      saveTimeout = null;
     }
   });
 }
@@ -902,134 +1466,1499 @@ function createTray() {
   const iconPath = path.join(__dirname, 'icon.png');
 
   if (!fs.existsSync(iconPath)) {
-    console.error('Tray icon file not found:', iconPath);
+    logger.error('Tray icon file not found:', iconPath);
     // Create a simple fallback icon or continue without tray
-    const trayIcon = nativeImage.createEmpty();
-    tray = new Tray(trayIcon);
+    trayBaseIcon = nativeImage.createEmpty();
+    tray = new Tray(trayBaseIcon);
   } else {
-    const trayIcon = nativeImage
+    trayBaseIcon = nativeImage
       .createFromPath(iconPath)
       .resize({ width: 16, height: 16 });
-    tray = new Tray(trayIcon);
+    tray = new Tray(trayBaseIcon);
   }
-  tray.setToolTip('Bluesky Client');
-
-  // Create tray context menu
-  const trayMenu = Menu.buildFromTemplate([
-    {
-      label: 'Show/Hide',
-      click: () => {
-        if (mainWindow.isVisible()) {
-          mainWindow.hide();
-        } else {
-          mainWindow.show();
-          mainWindow.focus();
-        }
-      },
-    },
-    { type: 'separator' },
-    {
-      label: 'Refresh',
-      accelerator: 'F5',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.webContents.reload();
-        }
-      },
-    },
-    {
-      label: 'Open Bluesky in Browser',
-      click: () => {
-        shell.openExternal('https://bsky.app');
-      },
-    },
-    { type: 'separator' },
-    {
-      label: 'Exit',
-      accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Ctrl+Q',
-      click: () => {
-        willQuit = true;
-        app.quit();
-      },
-    },
-  ]);
-
-  tray.setContextMenu(trayMenu);
+  updateTrayTooltip();
+  updateTrayMenu();
 
   // Double-click to show window
   tray.on('double-click', () => {
-    mainWindow.show();
-    mainWindow.focus();
+    showMainWindow();
   });
 }
 
-function cleanupApp() {
-  // Clean up all app event listeners
-  appEventListeners.forEach(({ event, listener }) => {
-    app.off(event, listener);
-  });
-  appEventListeners = [];
-
-  // Force garbage collection if available
-  if (global.gc) {
-    global.gc();
+function updateTrayTooltip() {
+  if (!tray) {
+    return;
   }
 
-  // Clean up tray
-  if (tray) {
-    tray.destroy();
-    tray = null;
+  const details = [];
+  if (unreadCounts.notifications > 0) {
+    details.push(
+      `${formatUnreadCount(unreadCounts.notifications)} unread notifications`
+    );
   }
+  if (unreadCounts.chats > 0) {
+    details.push(`${formatUnreadCount(unreadCounts.chats)} unread messages`);
+  }
+  if (isSafeMode()) {
+    details.push('safe mode');
+  }
+  if (updateState.status === 'downloaded') {
+    details.push('update ready');
+  }
+  if (blockedRequestCount > 0) {
+    details.push(`${blockedRequestCount} trackers blocked`);
+  }
+  const downloadProgress = downloadManager && downloadManager.getProgress();
+  if (downloadProgress) {
+    details.push(
+      downloadProgress.fraction === null
+        ? `${downloadProgress.count} downloading`
+        : `${downloadProgress.count} downloading (${Math.floor(downloadProgress.fraction * 100)}%)`
+    );
+  }
+  tray.setToolTip(
+    details.length > 0
+      ? `Bluesky Client — ${details.join(', ')}`
+      : 'Bluesky Client'
+  );
 }
 
-// Safe event listener registration
-function addAppListener(event, listener) {
-  app.on(event, listener);
-  appEventListeners.push({ event, listener });
+function getFilterListsDir() {
+  return path.join(app.getPath('userData'), 'filter-lists');
 }
 
-// IPC handler for toggle always on top
-ipcMain.on('toggle-always-on-top', () => {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    const currentState = mainWindow.isAlwaysOnTop();
-    mainWindow.setAlwaysOnTop(!currentState);
+// Compile the enabled lists into the matcher used for every request
+function rebuildFilterMatcher() {
+  const disabled = new Set(settingsStore.get('disabledFilterLists'));
+  filterMatcher = createFilterMatcher(
+    filterLists.filter(
+      (list) =>
+        !disabled.has(list.id) &&
+        (!isSafeMode() || list.id.startsWith('bundled:'))
+    )
+  );
+}
 
-    // Notify renderer about the state change
-    mainWindow.webContents.send('always-on-top-changed', !currentState);
+function updateRequestFilterSettings() {
+  requestFilterSettings = {
+    enabled: settingsStore.get('requestFiltering'),
+    trustedOrigins: getServiceOrigins().trustedOrigins,
+  };
+}
+
+function reloadFilterLists() {
+  filterLists = loadFilterLists(getFilterListsDir(), logger);
+  rebuildFilterMatcher();
+  updateTrayMenu();
+}
+
+// Runs from timers and settings changes, so failures are logged here
+async function refreshFilterSubscriptions() {
+  try {
+    const changed = await updateSubscriptions(
+      getFilterListsDir(),
+      settingsStore.get('filterListSubscriptions'),
+      (...args) => net.fetch(...args),
+      Date.now(),
+      logger
+    );
+    if (changed) {
+      reloadFilterLists();
+    }
+  } catch (error) {
+    logger.warn('Failed to refresh filter list subscriptions:', error);
   }
-});
+}
 
-// Register app events with cleanup tracking
-addAppListener('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
-    cleanupApp();
-    app.quit();
+function shouldBlockRequest(details) {
+  if (!filterMatcher || !requestFilterSettings.enabled) {
+    return false;
+  }
+  const type = toRequestType(details.resourceType);
+  // Never block pages themselves or the service the app is built on
+  if (
+    type === 'document' ||
+    isTrustedUrl(details.url, requestFilterSettings.trustedOrigins)
+  ) {
+    return false;
   }
-});
 
-addAppListener('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
-    createWindow();
+  let documentUrl = details.referrer || null;
+  try {
+    if (details.webContents && !details.webContents.isDestroyed()) {
+      documentUrl = details.webContents.getURL() || documentUrl;
+    }
+  } catch {
+    // Keep the referrer
   }
-});
+  return filterMatcher.match({ url: details.url, type, documentUrl }) !== null;
+}
 
-addAppListener('before-quit', () => {
-  willQuit = true;
-});
+// Each account has its own session, so every window installs the filter
+function applyRequestFilter(ses) {
+  ses.webRequest.onBeforeRequest(
+    { urls: ['http://*/*', 'https://*/*', 'ws://*/*', 'wss://*/*'] },
+    (details, callback) => {
+      const cancel = shouldBlockRequest(details);
+      if (cancel) {
+        blockedRequestCount += 1;
+        // Blocked requests come in bursts, update the tooltip once per burst
+        if (!blockedCountTimeout) {
+          blockedCountTimeout = setTimeout(() => {
+            blockedCountTimeout = null;
+            updateTrayTooltip();
+          }, 1000);
+        }
+      }
+      callback({ cancel });
+    }
+  );
+}
 
-// Security: Handle uncaught exceptions safely with graceful shutdown
-addAppListener('uncaughtException', (error) => {
-  const sanitizedError = sanitizeError(error);
-  console.error('Uncaught Exception:', sanitizedError);
+function getPermissionDecision(permission, requestingUrl, topLevelUrl) {
+  return decidePermission({
+    permission,
+    requestingUrl,
+    topLevelUrl,
+    trustedOrigins: getServiceOrigins().trustedOrigins,
+    decisions: settingsStore.get('permissionDecisions'),
+  });
+}
+
+// Ask the user with a native dialog, remembering the answer when asked to
+function promptForPermission(webContents, origin, permission) {
+  const key = `${origin} ${permission}`;
+  if (!pendingPermissionPrompts.has(key)) {
+    const prompt = dialog
+      .showMessageBox(BrowserWindow.fromWebContents(webContents), {
+        type: 'question',
+        buttons: ['Allow', 'Deny'],
+        defaultId: 1,
+        cancelId: 1,
+        message: `${origin} wants to ${describePermission(permission)}`,
+        detail: 'You can change this later under Preferences → Privacy.',
+        checkboxLabel: 'Remember this decision',
+        checkboxChecked: true,
+      })
+      .then(({ response, checkboxChecked }) => {
+        const decision = response === 0 ? 'allow' : 'deny';
+        if (checkboxChecked) {
+          settingsStore.update({
+            permissionDecisions: withPermissionDecision(
+              settingsStore.get('permissionDecisions'),
+              origin,
+              permission,
+              decision
+            ),
+          });
+        }
+        return decision === 'allow';
+      })
+      .catch(() => false)
+      .finally(() => pendingPermissionPrompts.delete(key));
+    pendingPermissionPrompts.set(key, prompt);
+  }
+  return pendingPermissionPrompts.get(key);
+}
+
+// Security: Deny every permission the app does not need, ask for the rest
+function applyPermissionHandlers(ses) {
+  ses.setPermissionRequestHandler(
+    (webContents, permission, callback, details) => {
+      const decision = getPermissionDecision(
+        permission,
+        details.requestingUrl,
+        webContents.getURL()
+      );
+      // Security: A prompt needs an origin to show, so deny without one
+      const origin = getOrigin(details.requestingUrl);
+      if (decision !== 'prompt' || !origin) {
+        callback(decision === 'allow');
+        return;
+      }
+      promptForPermission(webContents, origin, permission).then(callback);
+    }
+  );
+
+  // Checks never prompt; undecided permissions report as not granted
+  ses.setPermissionCheckHandler(
+    (webContents, permission, requestingOrigin, details) =>
+      getPermissionDecision(
+        permission,
+        details.requestingUrl || requestingOrigin,
+        webContents ? webContents.getURL() : details.embeddingOrigin
+      ) === 'allow'
+  );
+}
+
+function setFilterListEnabled(listId, enabled) {
+  const disabled = settingsStore
+    .get('disabledFilterLists')
+    .filter((id) => id !== listId);
+  settingsStore.update({
+    disabledFilterLists: enabled ? disabled : [...disabled, listId],
+  });
+}
+
+function buildContentBlockingMenu() {
+  const disabled = new Set(settingsStore.get('disabledFilterLists'));
+  const isFiltering = settingsStore.get('requestFiltering');
+
+  return [
+    {
+      label: 'Block Trackers',
+      type: 'checkbox',
+      checked: isFiltering,
+      click: (menuItem) => {
+        settingsStore.update({ requestFiltering: menuItem.checked });
+      },
+    },
+    { type: 'separator' },
+    ...(filterLists.length > 0
+      ? filterLists.map((list) => ({
+          label: `${list.title} (${list.filters.length})`,
+          type: 'checkbox',
+          checked: !disabled.has(list.id),
+          enabled: isFiltering,
+          click: (menuItem) => setFilterListEnabled(list.id, menuItem.checked),
+        }))
+      : [{ label: 'No filter lists found', enabled: false }]),
+    { type: 'separator' },
+    {
+      label: 'Open Filter Lists Folder',
+      click: () => {
+        fs.mkdirSync(getFilterListsDir(), { recursive: true });
+        shell.openPath(getFilterListsDir());
+      },
+    },
+    {
+      label: 'Reload Filter Lists',
+      click: () => reloadFilterLists(),
+    },
+  ];
+}
+
+function getDownloadDirectory() {
+  return settingsStore.get('downloadDirectory') || app.getPath('downloads');
+}
+
+function applyDownloadHandler(ses) {
+  if (downloadSessions.has(ses)) {
+    return;
+  }
+  downloadSessions.add(ses);
+  ses.on('will-download', (event, item) => {
+    downloadManager.handleDownload(item);
+  });
+}
+
+// Show overall progress on the taskbar or dock and in the tray
+function updateDownloadIndicators() {
+  const progress = downloadManager.getProgress();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    // Values above 1 show an indeterminate bar, -1 removes it
+    let value = -1;
+    if (progress) {
+      value = progress.fraction === null ? 2 : progress.fraction;
+    }
+    mainWindow.setProgressBar(value);
+  }
+  updateTrayTooltip();
+  updateTrayMenu();
+}
+
+function handleDownloadChange(entry) {
+  if (
+    entry &&
+    entry.state === 'completed' &&
+    process.platform === 'darwin' &&
+    app.dock
+  ) {
+    app.dock.downloadFinished(entry.savePath);
+  }
+
+  // Progress ticks arrive many times a second, state changes show at once
+  if (entry && entry.state === 'progressing') {
+    if (!downloadUpdateTimeout) {
+      downloadUpdateTimeout = setTimeout(() => {
+        downloadUpdateTimeout = null;
+        updateDownloadIndicators();
+      }, 500);
+    }
+    return;
+  }
+  updateDownloadIndicators();
+}
+
+function buildDownloadEntryMenu(entry) {
+  if (entry.state === 'progressing' || entry.state === 'paused') {
+    return [{ label: 'Cancel', click: () => downloadManager.cancel(entry.id) }];
+  }
+  if (entry.state === 'completed') {
+    return [
+      {
+        label: 'Show in Folder',
+        enabled: Boolean(entry.savePath) && fs.existsSync(entry.savePath),
+        click: () => shell.showItemInFolder(entry.savePath),
+      },
+    ];
+  }
+  return [{ label: 'Retry', click: () => downloadManager.retry(entry.id) }];
+}
+
+function buildDownloadsMenu() {
+  const entries = downloadManager.list();
+  const recentEntries = entries.slice(0, 10);
+
+  return [
+    ...(recentEntries.length > 0
+      ? recentEntries.map((entry) => ({
+          label: describeDownload(entry),
+          submenu: buildDownloadEntryMenu(entry),
+        }))
+      : [{ label: 'No downloads', enabled: false }]),
+    { type: 'separator' },
+    {
+      label: 'Open Downloads Folder',
+      click: () => {
+        fs.mkdirSync(getDownloadDirectory(), { recursive: true });
+        shell.openPath(getDownloadDirectory());
+      },
+    },
+    {
+      label: 'Clear Download History',
+      enabled: entries.some(
+        (entry) => entry.state !== 'progressing' && entry.state !== 'paused'
+      ),
+      click: () => downloadManager.clearHistory(),
+    },
+  ];
+}
+
+// Reflect unread counts on the tray icon, taskbar overlay and app badge
+function updateUnreadIndicators() {
+  const total = settingsStore.get('showUnreadBadge')
+    ? unreadCounts.notifications + unreadCounts.chats
+    : 0;
+
+  if (tray && trayBaseIcon && !trayBaseIcon.isEmpty()) {
+    tray.setImage(
+      total > 0
+        ? createBadgedImage(nativeImage, trayBaseIcon, total)
+        : trayBaseIcon
+    );
+  }
+
+  // Dock badge on macOS, launcher count on Linux desktops using Unity
+  app.setBadgeCount(total);
+
+  if (process.platform === 'win32' && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.setOverlayIcon(
+      total > 0 ? createBadgeImage(nativeImage, total) : null,
+      total > 0 ? `${formatUnreadCount(total)} unread` : ''
+    );
+  }
+
+  updateTrayTooltip();
+  updateTrayMenu();
+}
+
+// Read the signed-in session from the page, but only on a trusted origin
+function getPageSession() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return null;
+  }
+  const { trustedOrigins } = getServiceOrigins();
+  if (!isTrustedUrl(mainWindow.webContents.getURL(), trustedOrigins)) {
+    return null;
+  }
+  return readPageSession(mainWindow.webContents);
+}
+
+function showMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+function navigateHistory(direction) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  const history = mainWindow.webContents.navigationHistory;
+  if (direction === 'back' && history.canGoBack()) {
+    history.goBack();
+  } else if (direction === 'forward' && history.canGoForward()) {
+    history.goForward();
+  }
+}
+
+async function openOwnProfile() {
+  const pageSession = await getPageSession();
+  if (pageSession) {
+    showMainWindow();
+    navigateInApp(`/profile/${pageSession.did}`);
+  }
+}
+
+function getClickedLinkText(urlString) {
+  return lastClickedLink &&
+    lastClickedLink.href === urlString &&
+    Date.now() - lastClickedLink.time < 5000
+    ? lastClickedLink.text
+    : null;
+}
+
+// Show the real destination of a suspicious link and let the user decide
+async function confirmSuspiciousLink(win, url, warnings) {
+  const { response } = await dialog.showMessageBox(win, {
+    type: 'warning',
+    buttons: ['Cancel', 'Open Anyway'],
+    defaultId: 0,
+    cancelId: 0,
+    message: 'This link may not lead where it appears to',
+    detail: `${warnings.map((warning) => warning.message).join('\n')}\n\nReal destination:\n${url.toString()}`,
+  });
+  return response === 1;
+}
+
+// Open a link wherever the link rules send it, after unwrapping redirects,
+// removing tracking parameters and checking for lookalike addresses.
+// `external` sends links the rules allow to the browser, e.g. when the user
+// explicitly asked for that; blocked links stay blocked.
+async function openLink(win, urlString, { external = false } = {}) {
+  const inspection = inspectLink(urlString, {
+    linkText: getClickedLinkText(urlString),
+    stripTracking: settingsStore.get('stripTrackingParameters'),
+  });
+  const route = routeLink(
+    inspection.url ? inspection.url.toString() : urlString,
+    {
+      rules: settingsStore.get('linkRules'),
+      trustedOrigins: getServiceOrigins().trustedOrigins,
+    }
+  );
+  const { url } = route;
+  const action =
+    external && route.action !== 'block' ? 'external' : route.action;
+
+  if (
+    (action === 'external' || action === 'popup') &&
+    inspection.warnings.length > 0 &&
+    settingsStore.get('warnSuspiciousLinks') &&
+    !(await confirmSuspiciousLink(win, url, inspection.warnings))
+  ) {
+    return;
+  }
+  if (win.isDestroyed()) {
+    return;
+  }
+
+  // Security: Validate URL before opening externally
+  if (action === 'external' && isSafeUrl(url.toString())) {
+    shell.openExternal(url.toString());
+  } else if (action === 'in-app') {
+    // Failed loads show the offline page through did-fail-load
+    win.loadURL(url.toString()).catch(() => {});
+  } else if (action === 'popup') {
+    openLinkPopup(url, win);
+  } else {
+    logger.warn(`Blocked potentially unsafe URL: ${urlString}`);
+    showPageToast(
+      win,
+      url && url.host
+        ? `Blocked a link to ${url.host}`
+        : 'Blocked a link that cannot be opened safely'
+    );
+  }
+}
+
+// Chromium looks for hunspell dictionaries here before downloading them
+function getDictionariesDir() {
+  return path.join(app.getPath('userData'), 'Dictionaries');
+}
+
+function applySpellCheckerSettings(ses) {
+  applySpellChecker(ses, {
+    enabled: settingsStore.get('spellcheck'),
+    languages: settingsStore.get('spellcheckLanguages'),
+    words: settingsStore.get('customDictionaryWords'),
+    dictionaryUrl: settingsStore.get('spellcheckDictionaryUrl'),
+  })
+    .then((missing) => {
+      if (missing.length > 0) {
+        logger.warn('No spellchecker dictionary for:', missing.join(', '));
+      }
+    })
+    .catch((error) => {
+      logger.warn('Failed to configure the spellchecker:', error.message);
+    });
+}
+
+function addWordToDictionary(word) {
+  const words = settingsStore.get('customDictionaryWords');
+  if (isValidDictionaryWord(word) && !words.includes(word)) {
+    settingsStore.update({ customDictionaryWords: [...words, word] });
+  }
+}
+
+function showContextMenu(win, params) {
+  // The preload reports the post just before the menu opens
+  const post =
+    lastContextMenuPost && Date.now() - lastContextMenuPost.time < 2000
+      ? lastContextMenuPost
+      : null;
+  lastContextMenuPost = null;
+
+  const ses = win.webContents.session;
+  const template = buildContextMenuTemplate(params, {
+    post,
+    spelling: {
+      enabled: settingsStore.get('spellcheck'),
+      languages: ses.getSpellCheckerLanguages(),
+      availableLanguages:
+        process.platform === 'darwin' ? [] : ses.availableSpellCheckerLanguages,
+    },
+    isSafeUrl,
+    trustedOrigins: getServiceOrigins().trustedOrigins,
+    actions: {
+      copyText: (text) => clipboard.writeText(text),
+      // Through the link rules and checks like every other link
+      openLink: (url) => {
+        openLink(win, url, { external: true }).catch((error) => {
+          logger.warn('Failed to open link:', sanitizeError(error));
+        });
+      },
+      saveImage: (url) => win.webContents.downloadURL(url),
+      copyImage: (x, y) => win.webContents.copyImageAt(x, y),
+      openImage: (url) => openLinkPopup(new URL(url), win),
+      replaceMisspelling: (word) => win.webContents.replaceMisspelling(word),
+      addToDictionary: addWordToDictionary,
+      setSpellCheckerEnabled: (enabled) => {
+        settingsStore.update({ spellcheck: enabled });
+      },
+      setSpellCheckerLanguage: (language, enabled) => {
+        settingsStore.update({
+          spellcheckLanguages: withSpellCheckerLanguage(
+            settingsStore.get('spellcheckLanguages'),
+            language,
+            enabled
+          ),
+        });
+      },
+      openDictionariesFolder: () => {
+        fs.mkdirSync(getDictionariesDir(), { recursive: true });
+        shell.openPath(getDictionariesDir());
+      },
+    },
+  });
+  if (template.length > 0) {
+    Menu.buildFromTemplate(template).popup({ window: win });
+  }
+}
+
+// Show a short notice at the bottom of the page
+function showPageToast(win, message) {
+  if (!win || win.isDestroyed()) {
+    return;
+  }
+  win.webContents
+    .executeJavaScript(
+      `
+      (() => {
+        const previous = document.getElementById('bluesky-client-toast');
+        if (previous) previous.remove();
+
+        const toast = document.createElement('div');
+        toast.id = 'bluesky-client-toast';
+        toast.setAttribute('role', 'status');
+        // Security: The message is inserted as text, never as markup
+        toast.textContent = ${JSON.stringify(message)};
+        Object.assign(toast.style, {
+          position: 'fixed',
+          left: '50%',
+          bottom: '24px',
+          transform: 'translateX(-50%)',
+          maxWidth: '80vw',
+          padding: '10px 16px',
+          borderRadius: '8px',
+          background: 'rgba(32, 32, 32, 0.92)',
+          color: '#fff',
+          font: '14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+          zIndex: '2147483647',
+          pointerEvents: 'none',
+        });
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), 4000);
+      })();
+    `
+    )
+    .catch((error) => {
+      logger.warn('Failed to show notice:', error);
+    });
+}
+
+// Zoom is remembered only for trusted origins
+function getZoomOrigin(win) {
+  try {
+    const { origin } = new URL(win.webContents.getURL());
+    return getServiceOrigins().trustedOrigins.includes(origin) ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+function restorePageZoom(win) {
+  const origin = isSafeMode() ? null : getZoomOrigin(win);
+  win.webContents.setZoomFactor(
+    origin ? zoomStore.get(win._accountId, origin) : 1
+  );
+}
+
+// Zoom the page one step 'in' or 'out', or 'reset' it, and remember it
+function changePageZoom(win, direction) {
+  if (!win || win.isDestroyed()) {
+    return;
+  }
+  const factor =
+    direction === 'reset'
+      ? 1
+      : getNextZoomFactor(win.webContents.getZoomFactor(), direction);
+  win.webContents.setZoomFactor(factor);
+
+  const origin = getZoomOrigin(win);
+  if (origin) {
+    zoomStore.set(win._accountId, origin, factor);
+  }
+}
+
+function withFindBar(callback) {
+  if (mainWindow && !mainWindow.isDestroyed() && mainWindow._findBar) {
+    showMainWindow();
+    callback(mainWindow._findBar);
+  }
+}
+
+// Rebuild the application menu, e.g. after its accelerators were changed
+function updateApplicationMenu() {
+  const template = buildAppMenuTemplate({
+    appName: app.getName(),
+    accelerators: resolveMenuAccelerators(
+      settingsStore.get('menuAccelerators')
+    ),
+    commands: {
+      navigate: (routePath) => {
+        showMainWindow();
+        navigateInApp(routePath);
+      },
+      goBack: () => navigateHistory('back'),
+      goForward: () => navigateHistory('forward'),
+      openProfile: openOwnProfile,
+      openPreferences: () => openPreferencesWindow(),
+      openInBrowser: () =>
+        shell.openExternal(getServiceOrigins().defaultOrigin),
+      find: () => withFindBar((findBar) => findBar.open()),
+      findNext: () => withFindBar((findBar) => findBar.findNext()),
+      findPrevious: () => withFindBar((findBar) => findBar.findPrevious()),
+      zoom: (direction) => changePageZoom(mainWindow, direction),
+    },
+  });
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
+// Hide the window only when it is already in front, otherwise bring it up
+function toggleMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createWindow();
+    return;
+  }
+  if (mainWindow.isVisible() && mainWindow.isFocused()) {
+    mainWindow.hide();
+  } else {
+    showMainWindow();
+  }
+}
+
+function toggleAlwaysOnTop() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    const currentState = mainWindow.isAlwaysOnTop();
+    mainWindow.setAlwaysOnTop(!currentState);
+
+    // Notify renderer about the state change
+    mainWindow.webContents.send('always-on-top-changed', !currentState);
+  }
+}
+
+// The web app opens its composer on the "n" key while no field has focus
+function openComposer() {
+  showMainWindow();
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+
+  const { webContents } = mainWindow;
+  webContents
+    .executeJavaScript(
+      'document.activeElement && document.activeElement.blur && document.activeElement.blur();'
+    )
+    .then(() => {
+      ['keyDown', 'char', 'keyUp'].forEach((type) =>
+        webContents.sendInputEvent({ type, keyCode: 'n' })
+      );
+    })
+    .catch((error) => {
+      logger.warn('Failed to open the composer:', error);
+    });
+}
+
+const SHORTCUT_HANDLERS = {
+  toggleWindow: toggleMainWindow,
+  openComposer,
+  showNotifications: () => {
+    showMainWindow();
+    navigateInApp('/notifications');
+  },
+  toggleAlwaysOnTop,
+};
+
+const SHORTCUT_FAILURE_REASONS = {
+  invalid: 'is not a valid shortcut',
+  conflict: 'is assigned to more than one action',
+  unavailable: 'is already in use by another application',
+};
+
+// (Re-)register the configured global shortcuts and report any that failed
+function registerShortcuts() {
+  const failures = registerGlobalShortcuts(
+    globalShortcut,
+    getShortcutBindings(settingsStore.getAll()),
+    SHORTCUT_HANDLERS
+  );
+  if (failures.length === 0) {
+    return;
+  }
+
+  const details = failures.map(
+    ({ accelerator, reason }) =>
+      `${accelerator} ${SHORTCUT_FAILURE_REASONS[reason]}`
+  );
+  logger.warn('Some global shortcuts were not registered:', details);
+  try {
+    if (Notification.isSupported()) {
+      new Notification({
+        title: 'Some keyboard shortcuts are unavailable',
+        body: details.join('\n'),
+      }).show();
+    }
+  } catch (notificationError) {
+    logger.warn('Failed to show notification:', notificationError);
+  }
+}
+
+// Open a route of the web app, staying on the current origin when trusted
+function navigateInApp(routePath) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+
+  const { defaultOrigin, trustedOrigins } = getServiceOrigins();
+  let origin = defaultOrigin;
+  try {
+    const currentOrigin = new URL(mainWindow.webContents.getURL()).origin;
+    if (trustedOrigins.includes(currentOrigin)) {
+      origin = currentOrigin;
+    }
+  } catch {
+    // Keep the default origin when nothing is loaded yet
+  }
+  mainWindow.loadURL(new URL(routePath, origin).toString()).catch(() => {});
+}
+
+function isNotificationReasonEnabled(reason) {
+  const key = `notifyOn${reason.charAt(0).toUpperCase()}${reason.slice(1)}`;
+  return (
+    settingsStore.get('desktopNotifications') === true &&
+    settingsStore.get(key) === true
+  );
+}
+
+async function loadNotificationIcon(iconUrl) {
+  // Security: Only fetch avatars over HTTPS
+  if (!iconUrl || !isSafeUrl(iconUrl)) {
+    return undefined;
+  }
+
+  try {
+    const response = await net.fetch(iconUrl, {
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      return undefined;
+    }
+    const image = nativeImage.createFromBuffer(
+      Buffer.from(await response.arrayBuffer())
+    );
+    return image.isEmpty() ? undefined : image;
+  } catch {
+    return undefined;
+  }
+}
+
+async function showDesktopNotification(payload) {
+  if (!Notification.isSupported()) {
+    return;
+  }
+
+  const notification = new Notification({
+    title: payload.title,
+    body: payload.body,
+    icon: await loadNotificationIcon(payload.iconUrl),
+  });
+  const release = () => activeNotifications.delete(notification);
+
+  notification.on('click', () => {
+    release();
+    showMainWindow();
+    if (payload.path) {
+      navigateInApp(payload.path);
+    }
+  });
+  notification.on('close', release);
+  activeNotifications.add(notification);
+  notification.show();
+}
+
+// Open an AT URI, app link or trusted web link inside the client
+function openDeepLink(link) {
+  const routePath = parseDeepLink(link, getTrustedOriginsForLinks());
+  if (!routePath) {
+    logger.warn('Ignored invalid deep link');
+    return;
+  }
+
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    if (app.isReady() && settingsStore) {
+      createWindow(routePath);
+    } else {
+      pendingDeepLinkPath = routePath;
+    }
+    return;
+  }
+  showMainWindow();
+  navigateInApp(routePath);
+}
+
+// `--account=<name or id>` picks the account to show
+function getLaunchRequest(args) {
+  const request = resolveLaunchRequest(args, {
+    findAccount: (nameOrId) => accountStore.find(nameOrId),
+    trustedOrigins: getServiceOrigins().trustedOrigins,
+  });
+  if (request.unknownAccount) {
+    logger.warn('Unknown account requested on the command line');
+  }
+  return request;
+}
+
+// Arguments forwarded from a second launch: account, deep link, or just focus
+function handleLaunchArgs(args) {
+  if (!accountStore) {
+    return;
+  }
+
+  const { account, routePath } = getLaunchRequest(args);
+  if (account) {
+    switchAccount(account.id);
+  }
+
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createWindow(routePath);
+    return;
+  }
+  showMainWindow();
+  if (routePath) {
+    navigateInApp(routePath);
+  }
+}
+
+// Links may arrive before the settings are loaded, fall back to the default
+function getTrustedOriginsForLinks() {
+  return settingsStore
+    ? getServiceOrigins().trustedOrigins
+    : [DEFAULT_SERVICE_ORIGIN];
+}
+
+// Register as the OS handler for the app scheme and at:// URIs
+function registerProtocolHandlers() {
+  [APP_PROTOCOL, 'at'].forEach((protocol) => {
+    // Development runs need the script path to relaunch `electron .`
+    const registered = process.defaultApp
+      ? app.setAsDefaultProtocolClient(protocol, process.execPath, [
+          path.resolve(process.argv[1]),
+        ])
+      : app.setAsDefaultProtocolClient(protocol);
+    if (!registered) {
+      logger.warn(`Could not register as handler for ${protocol}: links`);
+    }
+  });
+}
+
+function configureUpdater() {
+  updater.configure({
+    enabled: settingsStore.get('checkForUpdates'),
+    feedUrl: settingsStore.get('updateFeedUrl'),
+    channel: settingsStore.get('updateChannel'),
+  });
+}
+
+// Progress events arrive often; the tray only changes with the status
+function handleUpdateChange(state) {
+  const statusChanged = state.status !== updateState.status;
+  updateState = state;
+  if (!statusChanged) {
+    return;
+  }
+  updateTrayMenu();
+  updateTrayTooltip();
+
+  if (state.status === 'downloaded') {
+    promptRestartToUpdate(state.version);
+  } else if (state.userInitiated && state.status === 'not-available') {
+    dialog.showMessageBox({
+      type: 'info',
+      title: 'Check for Updates',
+      message: 'You’re up to date',
+      detail: `Bluesky Client ${app.getVersion()} is the newest version on the ${settingsStore.get('updateChannel')} channel.`,
+    });
+  } else if (state.userInitiated && state.status === 'error') {
+    dialog.showMessageBox({
+      type: 'warning',
+      title: 'Check for Updates',
+      message: 'The update check failed',
+      detail: 'Check your connection or the update feed URL in Preferences.',
+    });
+  }
+}
+
+async function promptRestartToUpdate(version) {
+  const { response } = await dialog.showMessageBox({
+    type: 'info',
+    buttons: ['Restart Now', 'Later'],
+    defaultId: 0,
+    cancelId: 1,
+    title: 'Update Ready',
+    message: `Bluesky Client ${version} is ready to install`,
+    detail:
+      'Restart now to update, or choose Restart to Update in the tray menu later. The update is also installed when you quit.',
+  });
+  if (response === 0) {
+    restartToUpdate();
+  }
+}
+
+function restartToUpdate() {
+  willQuit = true;
+  updater.quitAndInstall();
+}
+
+function checkForUpdatesNow() {
+  if (!updater.check()) {
+    dialog.showMessageBox({
+      type: 'info',
+      title: 'Check for Updates',
+      message: 'Updates are not available in development builds',
+      detail:
+        'Set an update feed URL in Preferences to test against a local server.',
+    });
+  }
+}
+
+function buildUpdateMenuItem() {
+  const { status, version } = updateState;
+  if (status === 'downloaded') {
+    return { label: `Restart to Update (${version})`, click: restartToUpdate };
+  }
+  return {
+    label:
+      status === 'downloading'
+        ? `Downloading Update ${version}…`
+        : 'Check for Updates…',
+    enabled: !['checking', 'downloading'].includes(status),
+    click: () => checkForUpdatesNow(),
+  };
+}
+
+// Rebuild the tray menu, e.g. after the account list changed
+function updateTrayMenu() {
+  if (!tray) {
+    return;
+  }
+
+  // Create tray context menu
+  const trayMenu = Menu.buildFromTemplate([
+    {
+      label: 'Show/Hide',
+      click: () => toggleMainWindow(),
+    },
+    ...(isSafeMode()
+      ? [
+          {
+            label: safeModeSwitch
+              ? 'Safe Mode (started with --safe-mode)'
+              : 'Exit Safe Mode',
+            enabled: !safeModeSwitch,
+            click: () => exitSafeMode(),
+          },
+        ]
+      : []),
+    { type: 'separator' },
+    {
+      label: 'Accounts',
+      submenu: buildAccountMenu(),
+    },
+    { type: 'separator' },
+    {
+      label: 'Refresh',
+      accelerator: 'F5',
+      click: () => {
+        if (mainWindow) {
+          mainWindow.webContents.reload();
+        }
+      },
+    },
+    {
+      label: 'Downloads',
+      submenu: buildDownloadsMenu(),
+    },
+    {
+      label: 'Content Blocking',
+      submenu: buildContentBlockingMenu(),
+    },
+    {
+      label: 'Mark All as Read',
+      enabled: unreadCounts.notifications + unreadCounts.chats > 0,
+      click: () => {
+        unreadTracker.markAllRead();
+      },
+    },
+    {
+      label: 'Preferences…',
+      click: () => openPreferencesWindow(),
+    },
+    buildUpdateMenuItem(),
+    {
+      label: 'Export Diagnostics…',
+      click: () => exportDiagnostics(),
+    },
+    {
+      label: 'Open Bluesky in Browser',
+      click: () => {
+        shell.openExternal(getServiceOrigins().defaultOrigin);
+      },
+    },
+    { type: 'separator' },
+    {
+      label: 'Exit',
+      accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Ctrl+Q',
+      click: () => {
+        willQuit = true;
+        app.quit();
+      },
+    },
+  ]);
+
+  tray.setContextMenu(trayMenu);
+}
+
+function buildAccountMenu() {
+  const accounts = accountStore.list();
+  const activeAccount = accountStore.getActive();
+
+  return [
+    ...accounts.map((account) => ({
+      label: account.name,
+      type: 'radio',
+      checked: account.id === activeAccount.id,
+      click: () => switchAccount(account.id),
+    })),
+    { type: 'separator' },
+    {
+      label: 'Add Account…',
+      click: () => addAccount(),
+    },
+    {
+      label: 'Rename Current Account…',
+      click: () => renameActiveAccount(),
+    },
+    {
+      label: 'Remove Current Account…',
+      enabled: accounts.length > 1,
+      click: () => removeActiveAccount(),
+    },
+  ];
+}
+
+// Each account owns its own partition, so switching means a fresh window
+function reopenMainWindow(initialPath) {
+  const previousWindow = mainWindow;
+  persistWindowState(previousWindow);
+  lastRouteStore.flush();
+  unreadTracker.reset();
+  createWindow(initialPath);
+  if (previousWindow && !previousWindow.isDestroyed()) {
+    previousWindow.destroy();
+  }
+}
+
+function switchAccount(accountId) {
+  if (accountStore.getActive().id === accountId) {
+    return;
+  }
+
+  try {
+    accountStore.setActive(accountId);
+  } catch (error) {
+    showAccountError(error);
+    return;
+  }
+  reopenMainWindow();
+  updateTrayMenu();
+}
+
+async function addAccount() {
+  const name = await showPrompt(mainWindow, {
+    title: 'Add Account',
+    label: 'Name for the new account:',
+  });
+  if (name === null) {
+    return;
+  }
+
+  try {
+    const account = accountStore.add(name);
+    switchAccount(account.id);
+  } catch (error) {
+    showAccountError(error);
+  }
+  updateTrayMenu();
+}
+
+async function renameActiveAccount() {
+  const activeAccount = accountStore.getActive();
+  const name = await showPrompt(mainWindow, {
+    title: 'Rename Account',
+    label: 'New name for this account:',
+    value: activeAccount.name,
+  });
+  if (name === null) {
+    return;
+  }
+
+  try {
+    accountStore.rename(activeAccount.id, name);
+  } catch (error) {
+    showAccountError(error);
+  }
+  updateTrayMenu();
+}
+
+async function removeActiveAccount() {
+  const activeAccount = accountStore.getActive();
+  const { response } = await dialog.showMessageBox({
+    type: 'warning',
+    buttons: ['Remove', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: `Remove the account "${activeAccount.name}"?`,
+    detail:
+      'Its login and local data will be deleted. Other accounts are not affected.',
+  });
+  if (response !== 0) {
+    return;
+  }
+
+  let removedAccount;
+  try {
+    removedAccount = accountStore.remove(activeAccount.id);
+  } catch (error) {
+    showAccountError(error);
+    return;
+  }
+
+  // Move to the remaining account first so the removed partition is idle
+  reopenMainWindow();
+  updateTrayMenu();
+  zoomStore.removeAccount(removedAccount.id);
+  lastRouteStore.removeAccount(removedAccount.id);
+
+  const removedSession = session.fromPartition(removedAccount.partition);
+  try {
+    await removedSession.clearStorageData();
+    await removedSession.clearCache();
+  } catch (error) {
+    logger.warn('Failed to clear removed account data:', sanitizeError(error));
+  }
+}
+
+function showAccountError(error) {
+  dialog.showMessageBox({
+    type: 'warning',
+    message: 'Account change failed',
+    detail: error instanceof Error ? error.message : 'Unknown error',
+  });
+}
+
+// Security: The bundle holds logs, process metrics, GPU status, versions,
+// the redacted settings and the crash counter; never cookies, tokens or
+// page content. Paths and account names are left out as well.
+async function exportDiagnostics() {
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title: 'Export Diagnostics',
+    defaultPath: path.join(
+      app.getPath('downloads'),
+      `bluesky-diagnostics-${timestamp}.zip`
+    ),
+    filters: [{ name: 'Zip Archives', extensions: ['zip'] }],
+  });
+  if (canceled || !filePath) {
+    return;
+  }
+
+  try {
+    logger.info('Exporting diagnostics');
+    const gpuInfo = await app.getGPUInfo('basic').catch(() => null);
+    const entries = collectDiagnostics({
+      versions: {
+        app: app.getVersion(),
+        electron: process.versions.electron,
+        chromium: process.versions.chrome,
+        node: process.versions.node,
+        v8: process.versions.v8,
+      },
+      system: {
+        platform: process.platform,
+        arch: process.arch,
+        osRelease: os.release(),
+        locale: app.getLocale(),
+        isPackaged: app.isPackaged,
+        uptimeSeconds: Math.round(process.uptime()),
+        logLevel: logger.getLevel(),
+        accountCount: accountStore.list().length,
+      },
+      metrics: app.getAppMetrics(),
+      gpuFeatureStatus: app.getGPUFeatureStatus(),
+      gpuInfo,
+      settings: settingsStore.getAll(),
+      crashes: {
+        recent: crashGuard.getRecentCrashCount(),
+        safeMode: isSafeMode(),
+        safeModeSwitch,
+        safeModeReason: crashGuard.getSafeModeReason(),
+      },
+      logDir: path.dirname(logger.getFilePath()),
+    });
+    await fs.promises.writeFile(filePath, createZip(entries));
+    shell.showItemInFolder(filePath);
+  } catch (error) {
+    logger.error('Failed to export diagnostics:', error);
+    dialog.showMessageBox({
+      type: 'warning',
+      message: 'Diagnostics could not be exported',
+      detail: 'Check that the chosen folder is writable and try again.',
+    });
+  }
+}
+
+function cleanupApp() {
+  // Clean up all app event listeners
+  appEventListeners.forEach(({ event, listener }) => {
+    app.off(event, listener);
+  });
+  appEventListeners = [];
+
+  // Force garbage collection if available
+  if (global.gc) {
+    global.gc();
+  }
+
+  if (unreadTracker) {
+    unreadTracker.stop();
+  }
+  if (notificationService) {
+    notificationService.stop();
+  }
+
+  if (updater) {
+    updater.stop();
+  }
+
+  if (subscriptionInterval) {
+    clearInterval(subscriptionInterval);
+    subscriptionInterval = null;
+  }
+  if (blockedCountTimeout) {
+    clearTimeout(blockedCountTimeout);
+    blockedCountTimeout = null;
+  }
+  if (downloadUpdateTimeout) {
+    clearTimeout(downloadUpdateTimeout);
+    downloadUpdateTimeout = null;
+  }
+
+  // Global shortcuts outlive the windows and must be released explicitly
+  if (app.isReady()) {
+    globalShortcut.unregisterAll();
+  }
+
+  // Clean up tray
+  if (tray) {
+    tray.destroy();
+    tray = null;
+  }
+}
+
+// Safe event listener registration
+function addAppListener(event, listener) {
+  app.on(event, listener);
+  appEventListeners.push({ event, listener });
+}
+
+// Security: Only the main window reports link clicks, and only as plain text
+ipcMain.on('link-clicked', (event, link) => {
+  if (
+    !mainWindow ||
+    mainWindow.isDestroyed() ||
+    event.sender !== mainWindow.webContents ||
+    !link ||
+    typeof link.href !== 'string' ||
+    typeof link.text !== 'string'
+  ) {
+    return;
+  }
+  lastClickedLink = {
+    href: link.href.slice(0, 2048),
+    text: link.text.slice(0, 500),
+    time: Date.now(),
+  };
+});
+
+// Messages from the scripts injected into the page
+ipcMain.on('renderer-log', (event, level, message) => {
+  if (
+    !mainWindow ||
+    mainWindow.isDestroyed() ||
+    event.sender !== mainWindow.webContents ||
+    !isValidLogLevel(level) ||
+    typeof message !== 'string'
+  ) {
+    return;
+  }
+  // The page can reach this too, so it may not flood the log
+  const now = Date.now();
+  if (now - rendererLogWindowStart > RENDERER_LOG_WINDOW_MS) {
+    rendererLogWindowStart = now;
+    rendererLogCount = 0;
+  }
+  rendererLogCount += 1;
+  if (rendererLogCount <= RENDERER_LOG_LIMIT) {
+    rendererLogger[level](message.slice(0, 500));
+  }
+});
+
+ipcMain.on('context-menu-post', (event, post) => {
+  if (
+    !mainWindow ||
+    mainWindow.isDestroyed() ||
+    event.sender !== mainWindow.webContents
+  ) {
+    return;
+  }
+  lastContextMenuPost =
+    post && typeof post.href === 'string' && typeof post.text === 'string'
+      ? {
+          href: post.href.slice(0, 2048),
+          text: post.text.slice(0, 3000),
+          time: Date.now(),
+        }
+      : null;
+});
+
+// Security: Only the main window reports its scroll position
+ipcMain.on('page-scroll', (event, position) => {
+  if (
+    !mainWindow ||
+    mainWindow.isDestroyed() ||
+    event.sender !== mainWindow.webContents ||
+    !position ||
+    typeof position.url !== 'string' ||
+    !Number.isFinite(position.scrollY)
+  ) {
+    return;
+  }
+  mainWindow._lastScroll = {
+    url: position.url.slice(0, 2048),
+    scrollY: Math.max(0, position.scrollY),
+  };
+  if (settingsStore.get('restoreLastRoute')) {
+    lastRouteStore.setScrollY(
+      mainWindow._accountId,
+      position.url,
+      position.scrollY
+    );
+  }
+});
+
+// IPC handler for toggle always on top
+ipcMain.on('toggle-always-on-top', () => {
+  toggleAlwaysOnTop();
+});
+
+// Register app events with cleanup tracking
+addAppListener('window-all-closed', () => {
+  if (process.platform !== 'darwin') {
+    cleanupApp();
+    app.quit();
+  }
+});
+
+addAppListener('activate', () => {
+  if (BrowserWindow.getAllWindows().length === 0) {
+    createWindow();
+  }
+});
+
+// macOS delivers deep links to the running app through open-url
+addAppListener('open-url', (event, url) => {
+  event.preventDefault();
+  openDeepLink(url);
+});
+
+addAppListener('before-quit', () => {
+  willQuit = true;
+  if (lastRouteStore) {
+    lastRouteStore.flush();
+  }
+});
+
+// Security: Handle uncaught exceptions safely with graceful shutdown
+addAppListener('uncaughtException', (error) => {
+  const sanitizedError = sanitizeError(error);
+  logger.error('Uncaught Exception:', sanitizedError);
 
   // Attempt graceful cleanup
   performGracefulCleanup()
     .then(() => {
-      console.log('Graceful cleanup completed');
+      logger.info('Graceful cleanup completed');
       process.exit(1);
     })
     .catch((cleanupError) => {
-      console.error('Cleanup failed:', cleanupError);
+      logger.error('Cleanup failed:', cleanupError);
       // Force exit after timeout if cleanup fails
       setTimeout(() => process.exit(1), 5000);
     });
@@ -1038,7 +2967,7 @@ addAppListener('uncaughtException', (error) => {
 // Security: Handle unhandled rejections safely with cleanup
 addAppListener('unhandledRejection', (reason, promise) => {
   const sanitizedReason = sanitizeError(reason);
-  console.error('Unhandled Rejection at:', promise, 'reason:', sanitizedReason);
+  logger.error('Unhandled Rejection at:', promise, 'reason:', sanitizedReason);
 
   // Attempt cleanup if window exists (non-blocking for rejections)
   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -1048,13 +2977,13 @@ addAppListener('unhandledRejection', (reason, promise) => {
           'if(window.scrollRefreshCleanup) window.scrollRefreshCleanup()'
         )
         .catch((error) => {
-          console.warn(
+          logger.warn(
             'JavaScript cleanup failed during unhandled rejection:',
             error
           );
         });
     } catch (error) {
-      console.warn(
+      logger.warn(
         'Failed to execute JavaScript cleanup during unhandled rejection:',
         error
       );
@@ -1077,11 +3006,11 @@ async function performGracefulCleanup() {
             )
             .then(() => resolve())
             .catch((error) => {
-              console.warn('JavaScript cleanup failed:', error);
+              logger.warn('JavaScript cleanup failed:', error);
               resolve(); // Continue even if cleanup fails
             });
         } catch (error) {
-          console.warn('Failed to execute JavaScript cleanup:', error);
+          logger.warn('Failed to execute JavaScript cleanup:', error);
           resolve(); // Continue even if cleanup fails
         }
       })
@@ -1100,11 +3029,198 @@ async function performGracefulCleanup() {
   try {
     cleanupApp();
   } catch (cleanupError) {
-    console.error('App cleanup failed:', cleanupError);
+    logger.error('App cleanup failed:', cleanupError);
   }
 }
 
+// Apply preference changes to the running app
+function handleSettingsChange(settings, changedKeys) {
+  if (changedKeys.includes('unreadPollIntervalSeconds')) {
+    unreadTracker.start(settings.unreadPollIntervalSeconds * 1000);
+    notificationService.start(settings.unreadPollIntervalSeconds * 1000);
+  }
+  if (changedKeys.includes('showUnreadBadge')) {
+    updateUnreadIndicators();
+  }
+  if (changedKeys.some((key) => SHORTCUT_SETTING_KEYS.includes(key))) {
+    registerShortcuts();
+  }
+  if (changedKeys.includes('menuAccelerators')) {
+    updateApplicationMenu();
+  }
+  if (
+    ['requestFiltering', 'trustedOrigins', 'defaultOrigin'].some((key) =>
+      changedKeys.includes(key)
+    )
+  ) {
+    updateRequestFilterSettings();
+  }
+  if (
+    changedKeys.includes('requestFiltering') ||
+    changedKeys.includes('disabledFilterLists')
+  ) {
+    rebuildFilterMatcher();
+    updateTrayMenu();
+  }
+  if (changedKeys.includes('filterListSubscriptions')) {
+    refreshFilterSubscriptions();
+  }
+  if (changedKeys.some((key) => UPDATE_SETTING_KEYS.includes(key))) {
+    configureUpdater();
+    updateTrayMenu();
+  }
+
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+
+  if (changedKeys.some((key) => SPELLCHECK_SETTING_KEYS.includes(key))) {
+    applySpellCheckerSettings(mainWindow.webContents.session);
+  }
+
+  // Leave an origin that is no longer trusted
+  if (
+    changedKeys.includes('trustedOrigins') ||
+    changedKeys.includes('defaultOrigin')
+  ) {
+    const { defaultOrigin, trustedOrigins } = getServiceOrigins();
+    if (!isTrustedUrl(mainWindow.webContents.getURL(), trustedOrigins)) {
+      mainWindow.loadURL(defaultOrigin).catch(() => {});
+      return;
+    }
+  }
+
+  if (changedKeys.includes('autoHideMenuBar')) {
+    mainWindow.setAutoHideMenuBar(settings.autoHideMenuBar);
+    mainWindow.setMenuBarVisibility(!settings.autoHideMenuBar);
+  }
+
+  if (
+    mainWindow._applySettings &&
+    changedKeys.some((key) => PAGE_SETTING_KEYS.includes(key))
+  ) {
+    mainWindow._applySettings();
+  }
+}
+
+// Only one instance may own the persist: partitions and the tray icon.
+// A second launch hands its arguments to the first one and exits.
+const hasSingleInstanceLock = app.requestSingleInstanceLock({
+  argv: process.argv,
+});
+if (!hasSingleInstanceLock) {
+  app.quit();
+}
+
+addAppListener(
+  'second-instance',
+  (event, commandLine, workingDirectory, additionalData) => {
+    handleLaunchArgs(getForwardedArgs(commandLine, additionalData));
+  }
+);
+
 app.whenReady().then(() => {
-  createWindow();
+  if (!hasSingleInstanceLock) {
+    return;
+  }
+
+  accountStore = createAccountStore(
+    path.join(app.getPath('userData'), 'accounts.json')
+  );
+  settingsStore = createSettingsStore(
+    path.join(app.getPath('userData'), 'settings.json')
+  );
+  zoomStore = createZoomStore(
+    path.join(app.getPath('userData'), 'zoom-levels.json')
+  );
+  lastRouteStore = createLastRouteStore(
+    path.join(app.getPath('userData'), 'last-routes.json'),
+    { logger }
+  );
+  crashGuard = createCrashGuard(
+    path.join(app.getPath('userData'), 'crash-state.json'),
+    { logger }
+  );
+  safeModeSwitch = hasSwitch(process.argv.slice(1), 'safe-mode');
+  registerPreferencesIpc(settingsStore);
+  downloadManager = createDownloadManager({
+    filePath: path.join(app.getPath('userData'), 'downloads.json'),
+    getSaveDirectory: getDownloadDirectory,
+    shouldAsk: () => settingsStore.get('askWhereToSave'),
+    downloadURL: (url) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.downloadURL(url);
+      }
+    },
+    onChange: handleDownloadChange,
+    logger,
+  });
+  updater = createUpdater({
+    autoUpdater,
+    isPackaged: app.isPackaged,
+    onChange: handleUpdateChange,
+    logger: logger.scope('updater'),
+  });
+  configureUpdater();
+
+  const xrpcClient = createXrpcClient({
+    getSession: getPageSession,
+    fetch: (...args) => net.fetch(...args),
+  });
+  notificationService = createNotificationService({
+    client: xrpcClient,
+    getViewerDid: async () => {
+      const pageSession = await getPageSession();
+      return pageSession ? pageSession.did : null;
+    },
+    isReasonEnabled: isNotificationReasonEnabled,
+    notify: showDesktopNotification,
+  });
+  unreadTracker = createUnreadTracker({
+    client: xrpcClient,
+    onChange: (counts) => {
+      const hasNewItems =
+        counts.notifications > unreadCounts.notifications ||
+        counts.chats > unreadCounts.chats;
+      unreadCounts = counts;
+      updateUnreadIndicators();
+
+      // Rising counts mean there is something new to announce
+      if (hasNewItems) {
+        notificationService.poll();
+      }
+    },
+  });
+  settingsStore.onDidChange(handleSettingsChange);
+  registerProtocolHandlers();
+  updateRequestFilterSettings();
+  reloadFilterLists();
+
+  const launchRequest = getLaunchRequest(process.argv.slice(1));
+  if (launchRequest.account) {
+    accountStore.setActive(launchRequest.account.id);
+  }
+
+  // Windows and Linux pass deep links as command-line arguments
+  const launchPath = pendingDeepLinkPath || launchRequest.routePath;
+  pendingDeepLinkPath = null;
+  updateApplicationMenu();
+  createWindow(launchPath);
   createTray();
+  if (crashGuard.isSafeMode()) {
+    showSafeModeNotice();
+  }
+  registerShortcuts();
+  unreadTracker.start(settingsStore.get('unreadPollIntervalSeconds') * 1000);
+  // Polls on its own as well, so it knows what exists before counts rise
+  notificationService.start(
+    settingsStore.get('unreadPollIntervalSeconds') * 1000
+  );
+
+  // Subscriptions refresh daily; checking more often only reads file dates
+  refreshFilterSubscriptions();
+  subscriptionInterval = setInterval(
+    refreshFilterSubscriptions,
+    6 * 60 * 60 * 1000
+  );
 });
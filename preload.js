@@ -2,6 +2,11 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 // Securely expose specific functionality to the renderer process
 contextBridge.exposeInMainWorld('electronAPI', {
+  // Write to the app log; level is 'error', 'warn', 'info' or 'debug'
+  log: (level, message) => {
+    ipcRenderer.send('renderer-log', level, String(message));
+  },
+
   // Toggle always on top state
   toggleAlwaysOnTop: () => {
     ipcRenderer.send('toggle-always-on-top');
@@ -28,3 +33,58 @@ contextBridge.exposeInMainWorld('electronAPI', {
 ipcRenderer.on('always-on-top-changed', (event, isAlwaysOnTop) => {
   window.electronAPI.updatePinButton(isAlwaysOnTop);
 });
+
+// Report the visible text of clicked links so the main process can compare
+// it with the real destination before opening it
+function reportLinkClick(event) {
+  const anchor =
+    event.target instanceof Element ? event.target.closest('a[href]') : null;
+  if (anchor) {
+    ipcRenderer.send('link-clicked', {
+      href: anchor.href,
+      text: (anchor.textContent || '').trim().slice(0, 500),
+    });
+  }
+}
+
+window.addEventListener('click', reportLinkClick, true);
+window.addEventListener('auxclick', reportLinkClick, true);
+
+// Report the post under the cursor on right-click, so the context menu can
+// offer copying its link and text
+function reportContextMenuPost(event) {
+  const post =
+    event.target instanceof Element
+      ? event.target.closest(
+          '[data-testid^="feedItem-by-"], [data-testid^="postThreadItem-by-"]'
+        )
+      : null;
+  const postLink = post ? post.querySelector('a[href*="/post/"]') : null;
+  const postText = post ? post.querySelector('[data-testid="postText"]') : null;
+  ipcRenderer.send(
+    'context-menu-post',
+    postLink
+      ? {
+          href: postLink.href,
+          text: postText ? postText.innerText.trim().slice(0, 3000) : '',
+        }
+      : null
+  );
+}
+
+window.addEventListener('contextmenu', reportContextMenuPost, true);
+
+// Report how far the page is scrolled, so the last route can reopen at the
+// same position
+let scrollReportTimeout = null;
+function reportScroll() {
+  clearTimeout(scrollReportTimeout);
+  scrollReportTimeout = setTimeout(() => {
+    ipcRenderer.send('page-scroll', {
+      url: window.location.href,
+      scrollY: window.scrollY,
+    });
+  }, 500);
+}
+
+window.addEventListener('scroll', reportScroll, { passive: true });
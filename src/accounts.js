@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// The original single-account partition; kept so existing logins survive
+const DEFAULT_PARTITION = 'persist:bluesky-client-session';
+const ACCOUNT_PARTITION_PREFIX = 'persist:bluesky-account-';
+const MAX_ACCOUNT_NAME_LENGTH = 40;
+const STORE_VERSION = 1;
+
+function createDefaultData() {
+  return {
+    version: STORE_VERSION,
+    activeId: 'default',
+    accounts: [
+      { id: 'default', name: 'Default', partition: DEFAULT_PARTITION },
+    ],
+  };
+}
+
+// Security: Account names end up in menus and dialogs, keep them plain text
+function normalizeAccountName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  // eslint-disable-next-line no-control-regex
+  const trimmed = name.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  if (!trimmed || trimmed.length > MAX_ACCOUNT_NAME_LENGTH) {
+    return null;
+  }
+  return trimmed;
+}
+
+function isValidAccount(account) {
+  return (
+    account &&
+    typeof account.id === 'string' &&
+    /^[a-z0-9-]{1,64}$/.test(account.id) &&
+    normalizeAccountName(account.name) !== null &&
+    (account.partition === DEFAULT_PARTITION ||
+      account.partition === ACCOUNT_PARTITION_PREFIX + account.id)
+  );
+}
+
+// Drop anything malformed so a hand-edited file cannot point at foreign partitions
+function sanitizeAccountData(data) {
+  if (!data || !Array.isArray(data.accounts)) {
+    return createDefaultData();
+  }
+
+  const seenIds = new Set();
+  const accounts = data.accounts.filter((account) => {
+    if (!isValidAccount(account) || seenIds.has(account.id)) {
+      return false;
+    }
+    seenIds.add(account.id);
+    return true;
+  });
+
+  if (accounts.length === 0) {
+    return createDefaultData();
+  }
+
+  const activeId = seenIds.has(data.activeId) ? data.activeId : accounts[0].id;
+  return {
+    version: STORE_VERSION,
+    activeId,
+    accounts: accounts.map(({ id, name, partition }) => ({
+      id,
+      name: normalizeAccountName(name),
+      partition,
+    })),
+  };
+}
+
+function createAccountStore(filePath) {
+  const data = sanitizeAccountData(readJsonFile(filePath, null));
+
+  const save = () => writeJsonFile(filePath, data);
+  const find = (id) => data.accounts.find((account) => account.id === id);
+  const isNameTaken = (name, exceptId) =>
+    data.accounts.some(
+      (account) =>
+        account.id !== exceptId &&
+        account.name.toLowerCase() === name.toLowerCase()
+    );
+
+  return {
+    list() {
+      return data.accounts.map((account) => ({ ...account }));
+    },
+
+    // Look an account up by id or by name, ignoring case
+    find(nameOrId) {
+      const normalized = normalizeAccountName(nameOrId);
+      const account =
+        find(nameOrId) ||
+        (normalized &&
+          data.accounts.find(
+            (entry) => entry.name.toLowerCase() === normalized.toLowerCase()
+          ));
+      return account ? { ...account } : null;
+    },
+
+    getActive() {
+      return { ...find(data.activeId) };
+    },
+
+    setActive(id) {
+      if (!find(id)) {
+        throw new Error('Unknown account');
+      }
+      data.activeId = id;
+      save();
+      return this.getActive();
+    },
+
+    add(name) {
+      const normalized = normalizeAccountName(name);
+      if (!normalized) {
+        throw new Error('Invalid account name');
+      }
+      if (isNameTaken(normalized)) {
+        throw new Error('An account with this name already exists');
+      }
+
+      const id = crypto.randomUUID();
+      const account = {
+        id,
+        name: normalized,
+        partition: ACCOUNT_PARTITION_PREFIX + id,
+      };
+      data.accounts.push(account);
+      save();
+      return { ...account };
+    },
+
+    rename(id, name) {
+      const account = find(id);
+      const normalized = normalizeAccountName(name);
+      if (!account) {
+        throw new Error('Unknown account');
+      }
+      if (!normalized) {
+        throw new Error('Invalid account name');
+      }
+      if (isNameTaken(normalized, id)) {
+        throw new Error('An account with this name already exists');
+      }
+      account.name = normalized;
+      save();
+      return { ...account };
+    },
+
+    // Returns the removed account so the caller can clear its partition only
+    remove(id) {
+      const account = find(id);
+      if (!account) {
+        throw new Error('Unknown account');
+      }
+      if (data.accounts.length === 1) {
+        throw new Error('Cannot remove the last account');
+      }
+      data.accounts = data.accounts.filter((entry) => entry.id !== id);
+      if (data.activeId === id) {
+        data.activeId = data.accounts[0].id;
+      }
+      save();
+      return { ...account };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_PARTITION,
+  createAccountStore,
+  normalizeAccountName,
+  sanitizeAccountData,
+};
@@ -0,0 +1,238 @@
+const { normalizeAccelerator } = require('./shortcuts');
+
+// Menu commands whose accelerators can be overridden in the preferences.
+// Defaults may differ on macOS, where Cmd+[ and Cmd+] are the usual history keys.
+const MENU_COMMANDS = {
+  back: { label: 'Back', accelerator: 'Alt+Left', mac: 'Command+[' },
+  forward: { label: 'Forward', accelerator: 'Alt+Right', mac: 'Command+]' },
+  home: { label: 'Home', accelerator: 'CommandOrControl+1', route: '/' },
+  notifications: {
+    label: 'Notifications',
+    accelerator: 'CommandOrControl+2',
+    route: '/notifications',
+  },
+  chat: {
+    label: 'Chat',
+    accelerator: 'CommandOrControl+3',
+    route: '/messages',
+  },
+  search: {
+    label: 'Search',
+    accelerator: 'CommandOrControl+4',
+    route: '/search',
+  },
+  profile: { label: 'Profile', accelerator: 'CommandOrControl+5' },
+  settings: {
+    label: 'Settings',
+    accelerator: 'CommandOrControl+6',
+    route: '/settings',
+  },
+  preferences: { label: 'Preferences…', accelerator: 'CommandOrControl+,' },
+  find: { label: 'Find…', accelerator: 'CommandOrControl+F' },
+  findNext: { label: 'Find Next', accelerator: 'F3', mac: 'Command+G' },
+  findPrevious: {
+    label: 'Find Previous',
+    accelerator: 'Shift+F3',
+    mac: 'Command+Shift+G',
+  },
+  reload: {
+    label: 'Reload',
+    accelerator: 'CommandOrControl+R',
+    role: 'reload',
+  },
+  forceReload: {
+    label: 'Force Reload',
+    accelerator: 'CommandOrControl+Shift+R',
+    role: 'forceReload',
+  },
+  zoomIn: { label: 'Zoom In', accelerator: 'CommandOrControl+Plus' },
+  zoomOut: { label: 'Zoom Out', accelerator: 'CommandOrControl+-' },
+  resetZoom: { label: 'Actual Size', accelerator: 'CommandOrControl+0' },
+  toggleFullScreen: {
+    label: 'Toggle Full Screen',
+    accelerator: 'F11',
+    mac: 'Control+Command+F',
+    role: 'togglefullscreen',
+  },
+  toggleDevTools: {
+    label: 'Toggle Developer Tools',
+    accelerator: 'Control+Shift+I',
+    mac: 'Alt+Command+I',
+    role: 'toggleDevTools',
+  },
+};
+
+// Validate the preferences value: { command: accelerator }, '' removes one
+function isValidMenuAcceleratorMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  return Object.keys(value).every(
+    (command) =>
+      Object.prototype.hasOwnProperty.call(MENU_COMMANDS, command) &&
+      normalizeAccelerator(value[command]) !== null
+  );
+}
+
+// Merge user overrides over the platform defaults
+function resolveMenuAccelerators(overrides, platform = process.platform) {
+  const validOverrides = isValidMenuAcceleratorMap(overrides) ? overrides : {};
+  const accelerators = {};
+  Object.keys(MENU_COMMANDS).forEach((command) => {
+    const descriptor = MENU_COMMANDS[command];
+    const accelerator = Object.prototype.hasOwnProperty.call(
+      validOverrides,
+      command
+    )
+      ? normalizeAccelerator(validOverrides[command])
+      : (platform === 'darwin' && descriptor.mac) || descriptor.accelerator;
+    accelerators[command] = accelerator || undefined;
+  });
+  return accelerators;
+}
+
+// Build the application menu template. `commands` supplies the handlers:
+// navigate(route), goBack(), goForward(), openProfile(), openPreferences(),
+// openInBrowser(), find(), findNext(), findPrevious() and zoom(direction)
+// with 'in', 'out' or 'reset'.
+function buildAppMenuTemplate({
+  appName,
+  platform = process.platform,
+  accelerators,
+  commands,
+}) {
+  const isMac = platform === 'darwin';
+
+  const item = (command, click) => {
+    const descriptor = MENU_COMMANDS[command];
+    const menuItem = {
+      label: descriptor.label,
+      accelerator: accelerators[command],
+    };
+    if (descriptor.role) {
+      menuItem.role = descriptor.role;
+    } else {
+      menuItem.click = click;
+    }
+    // Without an accelerator a role falls back to its default keys, so keep
+    // it from registering them
+    if (!menuItem.accelerator) {
+      delete menuItem.accelerator;
+      if (menuItem.role) {
+        menuItem.registerAccelerator = false;
+      }
+    }
+    return menuItem;
+  };
+  const routeItem = (command) =>
+    item(command, () => commands.navigate(MENU_COMMANDS[command].route));
+
+  const template = [];
+  if (isMac) {
+    template.push({
+      label: appName,
+      submenu: [
+        { role: 'about' },
+        { type: 'separator' },
+        item('preferences', () => commands.openPreferences()),
+        { type: 'separator' },
+        { role: 'services' },
+        { type: 'separator' },
+        { role: 'hide' },
+        { role: 'hideOthers' },
+        { role: 'unhide' },
+        { type: 'separator' },
+        { role: 'quit' },
+      ],
+    });
+  }
+
+  template.push(
+    {
+      label: '&File',
+      submenu: [
+        ...(isMac
+          ? []
+          : [
+              item('preferences', () => commands.openPreferences()),
+              { type: 'separator' },
+            ]),
+        {
+          label: 'Open Bluesky in Browser',
+          click: () => commands.openInBrowser(),
+        },
+        { type: 'separator' },
+        isMac ? { role: 'close' } : { role: 'quit', label: 'E&xit' },
+      ],
+    },
+    {
+      label: '&Edit',
+      submenu: [
+        { role: 'undo' },
+        { role: 'redo' },
+        { type: 'separator' },
+        { role: 'cut' },
+        { role: 'copy' },
+        { role: 'paste' },
+        ...(isMac ? [{ role: 'pasteAndMatchStyle' }] : []),
+        { role: 'delete' },
+        { type: 'separator' },
+        { role: 'selectAll' },
+        { type: 'separator' },
+        item('find', () => commands.find()),
+        item('findNext', () => commands.findNext()),
+        item('findPrevious', () => commands.findPrevious()),
+      ],
+    },
+    {
+      label: '&View',
+      submenu: [
+        item('reload'),
+        item('forceReload'),
+        { type: 'separator' },
+        item('resetZoom', () => commands.zoom('reset')),
+        item('zoomIn', () => commands.zoom('in')),
+        // Plus needs Shift on most layouts, so also accept the = key
+        ...(accelerators.zoomIn === 'CommandOrControl+Plus'
+          ? [
+              {
+                label: 'Zoom In',
+                accelerator: 'CommandOrControl+=',
+                visible: false,
+                acceleratorWorksWhenHidden: true,
+                click: () => commands.zoom('in'),
+              },
+            ]
+          : []),
+        item('zoomOut', () => commands.zoom('out')),
+        { type: 'separator' },
+        item('toggleFullScreen'),
+        item('toggleDevTools'),
+      ],
+    },
+    {
+      label: '&Go',
+      submenu: [
+        item('back', () => commands.goBack()),
+        item('forward', () => commands.goForward()),
+        { type: 'separator' },
+        routeItem('home'),
+        routeItem('notifications'),
+        routeItem('chat'),
+        routeItem('search'),
+        item('profile', () => commands.openProfile()),
+        routeItem('settings'),
+      ],
+    },
+    { role: 'windowMenu' }
+  );
+
+  return template;
+}
+
+module.exports = {
+  MENU_COMMANDS,
+  buildAppMenuTemplate,
+  isValidMenuAcceleratorMap,
+  resolveMenuAccelerators,
+};
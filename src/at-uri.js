@@ -0,0 +1,147 @@
+// Syntax checks follow the AT Protocol specs for identifiers and record keys
+const DID_PATTERN = /^did:[a-z]+:[a-zA-Z0-9._:%-]*[a-zA-Z0-9._-]$/;
+const HANDLE_PATTERN =
+  /^([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+const NSID_PATTERN =
+  /^[a-zA-Z]([a-zA-Z0-9-]{0,62})?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,62})?)+$/;
+const RECORD_KEY_PATTERN = /^[a-zA-Z0-9._:~-]{1,512}$/;
+
+function isValidDid(value) {
+  return (
+    typeof value === 'string' && value.length <= 2048 && DID_PATTERN.test(value)
+  );
+}
+
+function isValidHandle(value) {
+  return (
+    typeof value === 'string' &&
+    value.length <= 253 &&
+    HANDLE_PATTERN.test(value)
+  );
+}
+
+function isValidRecordKey(value) {
+  return (
+    typeof value === 'string' &&
+    value !== '.' &&
+    value !== '..' &&
+    RECORD_KEY_PATTERN.test(value)
+  );
+}
+
+// Split at://authority[/collection[/rkey]] into validated parts
+function parseAtUri(uri) {
+  if (
+    typeof uri !== 'string' ||
+    uri.length > 8192 ||
+    !uri.startsWith('at://')
+  ) {
+    return null;
+  }
+
+  const [authority, collection, rkey, ...rest] = uri
+    .slice('at://'.length)
+    .split(/[?#]/)[0]
+    .split('/');
+  if (
+    rest.length > 0 ||
+    (!isValidDid(authority) && !isValidHandle(authority))
+  ) {
+    return null;
+  }
+  if (collection !== undefined && !NSID_PATTERN.test(collection)) {
+    return null;
+  }
+  if (rkey !== undefined && !isValidRecordKey(rkey)) {
+    return null;
+  }
+
+  return {
+    authority: authority.startsWith('did:')
+      ? authority
+      : authority.toLowerCase(),
+    collection: collection || null,
+    rkey: rkey || null,
+  };
+}
+
+// Map an AT URI to the matching route of the web app, or null if there is none
+function atUriToPath(uri) {
+  const parsed = parseAtUri(uri);
+  if (!parsed) {
+    return null;
+  }
+
+  // Validated identifiers only contain characters that are safe in a path
+  const actor = parsed.authority;
+  const rkey = parsed.rkey;
+  if (!parsed.collection) {
+    return `/profile/${actor}`;
+  }
+  if (!rkey) {
+    return null;
+  }
+
+  switch (parsed.collection) {
+    case 'app.bsky.actor.profile':
+      return `/profile/${actor}`;
+    case 'app.bsky.feed.post':
+      return `/profile/${actor}/post/${rkey}`;
+    case 'app.bsky.feed.generator':
+      return `/profile/${actor}/feed/${rkey}`;
+    case 'app.bsky.graph.list':
+      return `/profile/${actor}/lists/${rkey}`;
+    case 'app.bsky.graph.starterpack':
+      return `/starter-pack/${actor}/${rkey}`;
+    default:
+      return null;
+  }
+}
+
+const ROUTE_COLLECTIONS = {
+  post: 'app.bsky.feed.post',
+  feed: 'app.bsky.feed.generator',
+  lists: 'app.bsky.graph.list',
+};
+
+// The inverse of atUriToPath: the AT URI behind a web app route, or null
+function pathToAtUri(pathname) {
+  const segments = String(pathname || '')
+    .replace(/\/$/, '')
+    .split('/')
+    .slice(1);
+  const [first, actor, route, rkey, ...rest] = segments;
+  if (rest.length > 0 || !(isValidDid(actor) || isValidHandle(actor))) {
+    return null;
+  }
+  const authority = actor.startsWith('did:') ? actor : actor.toLowerCase();
+
+  if (first === 'starter-pack' && segments.length === 3) {
+    return isValidRecordKey(route)
+      ? `at://${authority}/app.bsky.graph.starterpack/${route}`
+      : null;
+  }
+  if (first !== 'profile') {
+    return null;
+  }
+  if (segments.length === 2) {
+    return `at://${authority}`;
+  }
+  if (
+    segments.length === 4 &&
+    Object.prototype.hasOwnProperty.call(ROUTE_COLLECTIONS, route) &&
+    isValidRecordKey(rkey)
+  ) {
+    return `at://${authority}/${ROUTE_COLLECTIONS[route]}/${rkey}`;
+  }
+  return null;
+}
+
+module.exports = {
+  atUriToPath,
+  isValidDid,
+  isValidHandle,
+  isValidRecordKey,
+  parseAtUri,
+  pathToAtUri,
+};
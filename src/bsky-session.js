@@ -0,0 +1,69 @@
+const { normalizeOrigin } = require('./origins');
+const { isValidDid } = require('./at-uri');
+
+// Runs in the page: read the signed-in account from the web app's storage
+const READ_SESSION_SCRIPT = `
+  (() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem('BSKY_STORAGE') || 'null');
+      const session = stored && stored.session;
+      const current = session && session.currentAccount;
+      if (!current || !Array.isArray(session.accounts)) {
+        return null;
+      }
+      const account = session.accounts.find((entry) => entry.did === current.did);
+      if (!account || !account.accessJwt) {
+        return null;
+      }
+      return {
+        did: account.did,
+        handle: account.handle,
+        service: account.pdsUrl || account.service,
+        accessJwt: account.accessJwt,
+      };
+    } catch {
+      return null;
+    }
+  })()
+`;
+
+// Security: The page controls this data, so validate it before use
+function validatePageSession(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  const service = normalizeOrigin(
+    typeof value.service === 'string' ? value.service.replace(/\/+$/, '') : ''
+  );
+  if (
+    !service ||
+    !isValidDid(value.did) ||
+    typeof value.accessJwt !== 'string' ||
+    value.accessJwt.length > 8192
+  ) {
+    return null;
+  }
+
+  return {
+    did: value.did,
+    handle: typeof value.handle === 'string' ? value.handle : null,
+    service,
+    accessJwt: value.accessJwt,
+  };
+}
+
+// Read the current web app session. Tokens stay in memory and are never logged.
+async function readPageSession(webContents) {
+  if (!webContents || webContents.isDestroyed()) {
+    return null;
+  }
+  try {
+    return validatePageSession(
+      await webContents.executeJavaScript(READ_SESSION_SCRIPT)
+    );
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { readPageSession, validatePageSession };
@@ -0,0 +1,49 @@
+const { findDeepLinkInArgv } = require('./deep-link');
+
+// Read `--name=value` switches from an argv array. Only the `=` form is
+// supported so a switch can never swallow a following positional argument.
+function getSwitchValue(argv, name) {
+  const prefix = `--${name}=`;
+  const match = (argv || []).find(
+    (arg) => typeof arg === 'string' && arg.startsWith(prefix)
+  );
+  return match ? match.slice(prefix.length) : null;
+}
+
+function hasSwitch(argv, name) {
+  return (argv || []).some(
+    (arg) => arg === `--${name}` || getSwitchValue([arg], name) !== null
+  );
+}
+
+// The arguments a second launch forwarded, without the executable.
+// additionalData keeps the original order, commandLine may be rewritten.
+function getForwardedArgs(commandLine, additionalData) {
+  const argv =
+    additionalData &&
+    Array.isArray(additionalData.argv) &&
+    additionalData.argv.every((arg) => typeof arg === 'string')
+      ? additionalData.argv
+      : commandLine;
+  return (Array.isArray(argv) ? argv : []).slice(1);
+}
+
+// What a launch asks for: the account from `--account=` (looked up with
+// `findAccount`) and the route of the first trusted deep link. An account
+// that does not exist is reported by name in `unknownAccount`.
+function resolveLaunchRequest(args, { findAccount, trustedOrigins }) {
+  const requested = getSwitchValue(args, 'account');
+  const account = requested ? findAccount(requested) : null;
+  return {
+    account: account || null,
+    unknownAccount: requested && !account ? requested : null,
+    routePath: findDeepLinkInArgv(args, trustedOrigins),
+  };
+}
+
+module.exports = {
+  getForwardedArgs,
+  getSwitchValue,
+  hasSwitch,
+  resolveLaunchRequest,
+};
@@ -0,0 +1,176 @@
+const { URL } = require('url');
+const { pathToAtUri } = require('./at-uri');
+const { isTrustedUrl } = require('./origins');
+
+// The AT URI of a link to a profile, post, feed, list or starter pack
+function getLinkAtUri(linkUrl, trustedOrigins) {
+  if (!isTrustedUrl(linkUrl, trustedOrigins)) {
+    return null;
+  }
+  return pathToAtUri(new URL(linkUrl).pathname);
+}
+
+// Suggestions for the misspelled word under the cursor
+function buildSpellingGroup(params, { spelling, actions }) {
+  if (!spelling || !params.isEditable || !params.misspelledWord) {
+    return [];
+  }
+  const suggestions = (params.dictionarySuggestions || []).slice(0, 5);
+  return [
+    ...(suggestions.length > 0
+      ? suggestions.map((suggestion) => ({
+          label: suggestion,
+          click: () => actions.replaceMisspelling(suggestion),
+        }))
+      : [{ label: 'No Guesses Found', enabled: false }]),
+    { type: 'separator' },
+    {
+      label: 'Add to Dictionary',
+      click: () => actions.addToDictionary(params.misspelledWord),
+    },
+  ];
+}
+
+function buildSpellingSubmenu({ spelling, actions }) {
+  const languages = spelling.availableLanguages.map((language) => ({
+    label: language,
+    type: 'checkbox',
+    checked: spelling.languages.includes(language),
+    enabled: spelling.enabled,
+    click: (menuItem) =>
+      actions.setSpellCheckerLanguage(language, menuItem.checked),
+  }));
+  return [
+    {
+      label: 'Check Spelling While Typing',
+      type: 'checkbox',
+      checked: spelling.enabled,
+      click: (menuItem) => actions.setSpellCheckerEnabled(menuItem.checked),
+    },
+    ...(languages.length > 0 ? [{ type: 'separator' }, ...languages] : []),
+    { type: 'separator' },
+    {
+      label: 'Open Dictionaries Folder',
+      click: () => actions.openDictionariesFolder(),
+    },
+  ];
+}
+
+function buildEditGroup(params, options) {
+  const flags = params.editFlags || {};
+  if (params.isEditable) {
+    return [
+      { label: 'Cut', role: 'cut', enabled: Boolean(flags.canCut) },
+      { label: 'Copy', role: 'copy', enabled: Boolean(flags.canCopy) },
+      { label: 'Paste', role: 'paste', enabled: Boolean(flags.canPaste) },
+      { type: 'separator' },
+      {
+        label: 'Select All',
+        role: 'selectAll',
+        enabled: Boolean(flags.canSelectAll),
+      },
+      ...(options.spelling
+        ? [
+            { type: 'separator' },
+            { label: 'Spelling', submenu: buildSpellingSubmenu(options) },
+          ]
+        : []),
+    ];
+  }
+  return params.selectionText && params.selectionText.trim()
+    ? [{ label: 'Copy', role: 'copy' }]
+    : [];
+}
+
+function buildLinkGroup(params, { isSafeUrl, trustedOrigins, actions }) {
+  const linkUrl = params.linkURL;
+  if (!linkUrl || !isSafeUrl(linkUrl)) {
+    return [];
+  }
+
+  const atUri = getLinkAtUri(linkUrl, trustedOrigins);
+  return [
+    { label: 'Copy Link', click: () => actions.copyText(linkUrl) },
+    {
+      label: 'Open Link in Browser',
+      click: () => actions.openLink(linkUrl),
+    },
+    ...(atUri
+      ? [{ label: 'Copy AT-URI', click: () => actions.copyText(atUri) }]
+      : []),
+  ];
+}
+
+function buildImageGroup(params, { isSafeUrl, actions }) {
+  if (params.mediaType !== 'image') {
+    return [];
+  }
+
+  // blob: and data: images can still be copied from the page itself
+  const srcUrl =
+    params.srcURL &&
+    params.srcURL.startsWith('https://') &&
+    isSafeUrl(params.srcURL)
+      ? params.srcURL
+      : null;
+  return [
+    {
+      label: 'Save Image…',
+      enabled: srcUrl !== null,
+      click: () => actions.saveImage(srcUrl),
+    },
+    {
+      label: 'Copy Image',
+      enabled: Boolean(params.hasImageContents),
+      click: () => actions.copyImage(params.x, params.y),
+    },
+    {
+      label: 'Open Image in Viewer',
+      enabled: srcUrl !== null,
+      click: () => actions.openImage(srcUrl),
+    },
+  ];
+}
+
+function buildPostGroup(post, { isSafeUrl, trustedOrigins, actions }) {
+  if (!post) {
+    return [];
+  }
+  const hasLink =
+    isSafeUrl(post.href) && isTrustedUrl(post.href, trustedOrigins);
+  return [
+    ...(hasLink
+      ? [{ label: 'Copy Post Link', click: () => actions.copyText(post.href) }]
+      : []),
+    ...(post.text
+      ? [{ label: 'Copy Post Text', click: () => actions.copyText(post.text) }]
+      : []),
+  ];
+}
+
+// Build the right-click menu from Electron's context-menu params. `post` is
+// the post under the cursor as reported by the preload ({ href, text }),
+// `spelling` the spellchecker state ({ enabled, languages,
+// availableLanguages }) and `actions` holds the callbacks main implements:
+// copyText, openLink (through the app's link checks and rules), saveImage,
+// copyImage, openImage and the spelling ones. Every URL passes `isSafeUrl`
+// first.
+function buildContextMenuTemplate(
+  params,
+  { post = null, spelling = null, isSafeUrl, trustedOrigins = [], actions }
+) {
+  const options = { spelling, isSafeUrl, trustedOrigins, actions };
+  const groups = [
+    buildSpellingGroup(params, options),
+    buildEditGroup(params, options),
+    buildLinkGroup(params, options),
+    buildImageGroup(params, options),
+    buildPostGroup(post, options),
+  ].filter((group) => group.length > 0);
+
+  return groups.flatMap((group, index) =>
+    index === 0 ? group : [{ type: 'separator' }, ...group]
+  );
+}
+
+module.exports = { buildContextMenuTemplate };
@@ -0,0 +1,83 @@
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const STATE_VERSION = 1;
+// Three renderer crashes within five minutes count as a crash loop
+const MAX_CRASHES = 3;
+const CRASH_WINDOW_MS = 5 * 60 * 1000;
+
+function loadState(filePath) {
+  const data = readJsonFile(filePath, null);
+  const crashes =
+    data && Array.isArray(data.crashes)
+      ? data.crashes.filter((time) => Number.isFinite(time))
+      : [];
+  const safeMode =
+    data &&
+    data.safeMode &&
+    typeof data.safeMode.reason === 'string' &&
+    Number.isFinite(data.safeMode.since)
+      ? { reason: data.safeMode.reason, since: data.safeMode.since }
+      : null;
+  return { crashes, safeMode };
+}
+
+// Count renderer crashes on disk, so a crash loop is noticed across
+// restarts, and switch to safe mode once there are too many too quickly.
+// Safe mode stays on until exitSafeMode() is called.
+function createCrashGuard(
+  filePath,
+  {
+    maxCrashes = MAX_CRASHES,
+    windowMs = CRASH_WINDOW_MS,
+    now = Date.now,
+    logger = console,
+  } = {}
+) {
+  let state = loadState(filePath);
+
+  const save = () => {
+    try {
+      writeJsonFile(filePath, { version: STATE_VERSION, ...state });
+    } catch (error) {
+      logger.warn('Failed to save crash state:', error.message);
+    }
+  };
+
+  return {
+    // Returns { count, enteredSafeMode } for the crashes in the window
+    recordCrash() {
+      const time = now();
+      const crashes = [
+        ...state.crashes.filter((crashTime) => time - crashTime < windowMs),
+        time,
+      ];
+      const enteredSafeMode = !state.safeMode && crashes.length >= maxCrashes;
+      state = {
+        crashes,
+        safeMode: enteredSafeMode
+          ? {
+              reason: `The page crashed ${crashes.length} times within ${Math.round(windowMs / 60000)} minutes.`,
+              since: time,
+            }
+          : state.safeMode,
+      };
+      save();
+      return { count: crashes.length, enteredSafeMode };
+    },
+
+    // Crashes still inside the window, e.g. for a diagnostics report
+    getRecentCrashCount: () =>
+      state.crashes.filter((crashTime) => now() - crashTime < windowMs).length,
+
+    isSafeMode: () => state.safeMode !== null,
+
+    getSafeModeReason: () => (state.safeMode ? state.safeMode.reason : null),
+
+    exitSafeMode() {
+      state = { crashes: [], safeMode: null };
+      save();
+    },
+  };
+}
+
+module.exports = { createCrashGuard };
@@ -0,0 +1,175 @@
+const { URL } = require('url');
+const {
+  atUriToPath,
+  isValidDid,
+  isValidHandle,
+  isValidRecordKey,
+} = require('./at-uri');
+
+// Custom scheme registered with the OS, e.g. bluesky-client://profile/alice.bsky.social
+const APP_PROTOCOL = 'bluesky-client';
+const MAX_LINK_LENGTH = 2048;
+const MAX_SEARCH_QUERY_LENGTH = 300;
+
+const TOP_LEVEL_ROUTES = new Set([
+  'notifications',
+  'messages',
+  'search',
+  'feeds',
+  'lists',
+  'settings',
+]);
+const PROFILE_TABS = new Set([
+  'followers',
+  'follows',
+  'known-followers',
+  'likes',
+  'media',
+  'replies',
+]);
+const PROFILE_RECORD_ROUTES = new Set(['post', 'feed', 'lists']);
+
+function isValidActor(value) {
+  return isValidDid(value) || isValidHandle(value);
+}
+
+// Security: Only a fixed set of web app routes may be opened from outside
+function normalizeRoute(pathname, searchParams) {
+  const segments = pathname.split('/').slice(1);
+  if (segments.some((segment) => segment === '' || segment.includes('%'))) {
+    return pathname === '/' ? '/' : null;
+  }
+
+  const [first, second, third, fourth, ...rest] = segments;
+  if (rest.length > 0) {
+    return null;
+  }
+
+  if (segments.length === 1 && TOP_LEVEL_ROUTES.has(first)) {
+    if (first === 'search') {
+      const query = searchParams.get('q');
+      if (query && query.length <= MAX_SEARCH_QUERY_LENGTH) {
+        return `/search?${new URLSearchParams({ q: query })}`;
+      }
+    }
+    return `/${first}`;
+  }
+
+  if (first === 'messages' && segments.length === 2) {
+    return isValidRecordKey(second) ? `/messages/${second}` : null;
+  }
+
+  if (first === 'hashtag' && segments.length === 2) {
+    return /^[\p{L}\p{N}_]{1,64}$/u.test(second) ? `/hashtag/${second}` : null;
+  }
+
+  if (first === 'starter-pack' && segments.length === 3) {
+    return isValidActor(second) && isValidRecordKey(third)
+      ? `/starter-pack/${second}/${third}`
+      : null;
+  }
+
+  if (first === 'profile' && isValidActor(second)) {
+    if (segments.length === 2) {
+      return `/profile/${second}`;
+    }
+    if (segments.length === 3 && PROFILE_TABS.has(third)) {
+      return `/profile/${second}/${third}`;
+    }
+    if (
+      segments.length === 4 &&
+      PROFILE_RECORD_ROUTES.has(third) &&
+      isValidRecordKey(fourth)
+    ) {
+      return `/profile/${second}/${third}/${fourth}`;
+    }
+  }
+
+  return null;
+}
+
+function decodeHashtag(pathname) {
+  // Hashtags arrive percent-encoded when they contain non-ASCII letters
+  const match = /^\/hashtag\/([^/]+)$/.exec(pathname);
+  if (!match) {
+    return pathname;
+  }
+  try {
+    return `/hashtag/${decodeURIComponent(match[1])}`;
+  } catch {
+    return pathname;
+  }
+}
+
+// Translate an AT URI, app link, trusted web link, handle or DID into an
+// in-app route such as /profile/alice.bsky.social/post/3k..., or null.
+function parseDeepLink(input, trustedOrigins = []) {
+  if (typeof input !== 'string' || input.length > MAX_LINK_LENGTH) {
+    return null;
+  }
+  const value = input.trim();
+  // eslint-disable-next-line no-control-regex
+  if (!value || /[\u0000-\u001f\u007f\s]/.test(value)) {
+    return null;
+  }
+
+  if (value.startsWith('at://')) {
+    return atUriToPath(value);
+  }
+  if (value.startsWith('@') && isValidHandle(value.slice(1))) {
+    return `/profile/${value.slice(1).toLowerCase()}`;
+  }
+  if (isValidDid(value)) {
+    return `/profile/${value}`;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  if (url.username || url.password) {
+    return null;
+  }
+
+  if (url.protocol === `${APP_PROTOCOL}:`) {
+    // bluesky-client://open?url=<AT URI or trusted web link>
+    if (url.hostname === 'open') {
+      const target = url.searchParams.get('url');
+      return target && !target.startsWith(`${APP_PROTOCOL}:`)
+        ? parseDeepLink(target, trustedOrigins)
+        : null;
+    }
+    // bluesky-client://profile/alice.bsky.social -> /profile/alice.bsky.social
+    const pathname = url.hostname
+      ? `/${url.hostname}${url.pathname === '/' ? '' : url.pathname}`
+      : '/';
+    return normalizeRoute(decodeHashtag(pathname), url.searchParams);
+  }
+
+  if (
+    (url.protocol === 'https:' || url.protocol === 'http:') &&
+    trustedOrigins.includes(url.origin)
+  ) {
+    return normalizeRoute(decodeHashtag(url.pathname), url.searchParams);
+  }
+
+  return null;
+}
+
+// Find the first argument that is a deep link, e.g. in process.argv
+function findDeepLinkInArgv(argv, trustedOrigins = []) {
+  for (const arg of argv || []) {
+    if (typeof arg !== 'string' || arg.startsWith('--')) {
+      continue;
+    }
+    const route = parseDeepLink(arg, trustedOrigins);
+    if (route) {
+      return route;
+    }
+  }
+  return null;
+}
+
+module.exports = { APP_PROTOCOL, findDeepLinkInArgv, parseDeepLink };
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { SETTINGS_SCHEMA, getDefaultSettings } = require('./settings');
+const { redact } = require('./logger');
+
+const LOG_FILE_PATTERN = /^[\w-]+(\.\d+)?\.log$/;
+const METRIC_FIELDS = [
+  'pid',
+  'type',
+  'serviceName',
+  'creationTime',
+  'cpu',
+  'memory',
+  'sandboxed',
+];
+
+// Security: Like sanitizeError, keep the shape and drop the content. Numbers,
+// switches and choices are kept; free-form values (origins, link rules,
+// dictionary words, folders) only show whether they differ from the default.
+function redactSettings(settings, schema = SETTINGS_SCHEMA) {
+  const defaults = getDefaultSettings(schema);
+  return Object.fromEntries(
+    Object.keys(schema).map((key) => {
+      const value = settings[key];
+      if (['number', 'boolean', 'enum'].includes(schema[key].type)) {
+        return [key, value];
+      }
+      if (JSON.stringify(value) === JSON.stringify(defaults[key])) {
+        return [key, '[default]'];
+      }
+      return [
+        key,
+        Array.isArray(value)
+          ? `[customized, ${value.length} entries]`
+          : '[customized]',
+      ];
+    })
+  );
+}
+
+// Keep the numbers of app.getAppMetrics(); process names can carry URLs
+function summarizeMetrics(metrics) {
+  return metrics.map((metric) =>
+    Object.fromEntries(
+      METRIC_FIELDS.filter((field) => field in metric).map((field) => [
+        field,
+        metric[field],
+      ])
+    )
+  );
+}
+
+// The log files, newest first: main.log, main.1.log...
+function listLogFiles(dir) {
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((name) => LOG_FILE_PATTERN.test(name))
+      .sort((a, b) => {
+        const index = (name) => Number((name.match(/\.(\d+)\.log$/) || [])[1]);
+        return (index(a) || 0) - (index(b) || 0) || a.localeCompare(b);
+      });
+  } catch {
+    return [];
+  }
+}
+
+// Collect the files of a diagnostics bundle as [{ name, data }]. Logs are
+// redacted when they are written; every other value passes redact() here,
+// so URLs keep only their origin and token-like strings are dropped.
+function collectDiagnostics({
+  versions,
+  system,
+  metrics,
+  gpuFeatureStatus,
+  gpuInfo,
+  settings,
+  schema = SETTINGS_SCHEMA,
+  crashes,
+  logDir,
+  now = new Date(),
+}) {
+  const json = (value) => `${JSON.stringify(redact(value), null, 2)}\n`;
+  const logFiles = logDir ? listLogFiles(logDir) : [];
+  return [
+    {
+      name: 'summary.json',
+      data: json({
+        createdAt: now.toISOString(),
+        versions,
+        system,
+        crashes,
+        logFiles,
+      }),
+    },
+    { name: 'metrics.json', data: json(summarizeMetrics(metrics)) },
+    {
+      name: 'gpu.json',
+      data: json({ featureStatus: gpuFeatureStatus, gpuInfo }),
+    },
+    { name: 'settings.json', data: json(redactSettings(settings, schema)) },
+    ...logFiles.map((name) => ({
+      name: `logs/${name}`,
+      data: fs.readFileSync(path.join(logDir, name)),
+    })),
+  ];
+}
+
+module.exports = {
+  collectDiagnostics,
+  listLogFiles,
+  redactSettings,
+  summarizeMetrics,
+};
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const HISTORY_VERSION = 1;
+const MAX_HISTORY_ENTRIES = 50;
+const MAX_FILENAME_LENGTH = 200;
+const MAX_EXTENSION_LENGTH = 20;
+const DOWNLOAD_STATES = [
+  'progressing',
+  'paused',
+  'interrupted',
+  'completed',
+  'cancelled',
+];
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+// Make a server-supplied name safe to create on every platform: no folders,
+// control or reserved characters, bidi overrides that disguise the
+// extension, Windows device names or hidden files
+function sanitizeFilename(name, fallback = 'download') {
+  let filename = String(name || '')
+    .split(/[/\\]/)
+    .pop()
+    .normalize('NFC')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u001f\u007f-\u009f]/g, '')
+    .replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, '')
+    .replace(/[<>:"|?*]/g, '_')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+
+  let extension = path.extname(filename);
+  if (extension.length > MAX_EXTENSION_LENGTH) {
+    extension = '';
+  }
+  let stem = filename.slice(0, filename.length - extension.length);
+  if (WINDOWS_RESERVED_NAMES.test(stem)) {
+    stem = `_${stem}`;
+  }
+  if (stem.length + extension.length > MAX_FILENAME_LENGTH) {
+    stem = stem.slice(0, MAX_FILENAME_LENGTH - extension.length).trim();
+  }
+  filename = stem + extension;
+  return stem ? filename : fallback + extension;
+}
+
+// Pick "name (1).ext", "name (2).ext"... when the name is already taken
+function getUniquePath(dir, filename, exists = fs.existsSync) {
+  const extension = path.extname(filename);
+  const stem = filename.slice(0, filename.length - extension.length);
+  let candidate = path.join(dir, filename);
+  for (let index = 1; exists(candidate); index += 1) {
+    candidate = path.join(dir, `${stem} (${index})${extension}`);
+  }
+  return candidate;
+}
+
+function isValidEntry(entry) {
+  return (
+    entry &&
+    typeof entry.id === 'string' &&
+    typeof entry.url === 'string' &&
+    /^https?:\/\//.test(entry.url) &&
+    typeof entry.filename === 'string' &&
+    typeof entry.savePath === 'string' &&
+    DOWNLOAD_STATES.includes(entry.state) &&
+    Number.isFinite(entry.receivedBytes) &&
+    Number.isFinite(entry.totalBytes) &&
+    Number.isFinite(entry.startTime)
+  );
+}
+
+// Menu label, e.g. "photo.jpg — 45%" or "video.mp4 — Failed"
+function describeDownload(entry) {
+  switch (entry.state) {
+    case 'progressing':
+      return entry.totalBytes > 0
+        ? `${entry.filename} — ${Math.floor((entry.receivedBytes / entry.totalBytes) * 100)}%`
+        : `${entry.filename} — Downloading`;
+    case 'paused':
+      return `${entry.filename} — Paused`;
+    case 'interrupted':
+      return `${entry.filename} — Failed`;
+    case 'cancelled':
+      return `${entry.filename} — Cancelled`;
+    default:
+      return entry.filename;
+  }
+}
+
+// Downloads still running when the app quit can only be retried
+function loadHistory(filePath) {
+  const data = readJsonFile(filePath, null);
+  const entries = data && Array.isArray(data.downloads) ? data.downloads : [];
+  return entries
+    .filter(isValidEntry)
+    .slice(0, MAX_HISTORY_ENTRIES)
+    .map((entry) =>
+      entry.state === 'progressing' || entry.state === 'paused'
+        ? { ...entry, state: 'interrupted' }
+        : entry
+    );
+}
+
+// Track session downloads and keep a history in `filePath`, newest first.
+// Electron specifics stay in main: `getSaveDirectory()` and `shouldAsk()`
+// read the settings, `downloadURL(url)` starts a download for retries and
+// `onChange(entry)` fires on every progress or state change.
+function createDownloadManager({
+  filePath,
+  getSaveDirectory,
+  shouldAsk,
+  downloadURL,
+  onChange = () => {},
+  now = Date.now,
+  logger = console,
+}) {
+  let entries = loadHistory(filePath);
+  const items = new Map();
+
+  const save = () => {
+    entries = entries.slice(0, MAX_HISTORY_ENTRIES);
+    try {
+      writeJsonFile(filePath, { version: HISTORY_VERSION, downloads: entries });
+    } catch (error) {
+      logger.warn('Failed to save download history:', error.message);
+    }
+  };
+
+  const updateFromItem = (entry, item) => {
+    const savePath = item.getSavePath();
+    if (savePath) {
+      entry.savePath = savePath;
+      entry.filename = path.basename(savePath);
+    }
+    entry.receivedBytes = item.getReceivedBytes();
+    entry.totalBytes = item.getTotalBytes();
+  };
+
+  return {
+    // The session's will-download handler
+    handleDownload(item) {
+      const directory = getSaveDirectory();
+      const filename = sanitizeFilename(item.getFilename());
+      if (shouldAsk()) {
+        // Electron shows the save dialog when no path is set
+        item.setSaveDialogOptions({
+          defaultPath: path.join(directory, filename),
+        });
+      } else {
+        try {
+          fs.mkdirSync(directory, { recursive: true });
+          item.setSavePath(getUniquePath(directory, filename));
+        } catch (error) {
+          // E.g. a removed drive or a read-only folder: let the user pick
+          logger.warn('Failed to use the download folder:', error.message);
+          item.setSaveDialogOptions({ defaultPath: filename });
+        }
+      }
+
+      const entry = {
+        id: crypto.randomUUID(),
+        url: item.getURL(),
+        filename,
+        savePath: '',
+        state: 'progressing',
+        receivedBytes: 0,
+        totalBytes: 0,
+        startTime: now(),
+      };
+      updateFromItem(entry, item);
+      entries.unshift(entry);
+      items.set(entry.id, item);
+      save();
+      onChange(entry);
+
+      item.on('updated', (event, state) => {
+        updateFromItem(entry, item);
+        if (state === 'interrupted') {
+          entry.state = 'interrupted';
+        } else {
+          entry.state = item.isPaused() ? 'paused' : 'progressing';
+        }
+        onChange(entry);
+      });
+      item.once('done', (event, state) => {
+        updateFromItem(entry, item);
+        entry.state = DOWNLOAD_STATES.includes(state) ? state : 'interrupted';
+        items.delete(entry.id);
+        save();
+        onChange(entry);
+      });
+      return entry;
+    },
+
+    list() {
+      return entries.map((entry) => ({ ...entry }));
+    },
+
+    cancel(id) {
+      const item = items.get(id);
+      if (item) {
+        item.cancel();
+      }
+    },
+
+    // Resume in place when Chromium still can, otherwise download again
+    retry(id) {
+      const item = items.get(id);
+      if (item && item.canResume()) {
+        item.resume();
+        return;
+      }
+      const entry = entries.find((candidate) => candidate.id === id);
+      if (
+        !entry ||
+        entry.state === 'completed' ||
+        (item && entry.state === 'progressing')
+      ) {
+        return;
+      }
+      entries = entries.filter((candidate) => candidate !== entry);
+      save();
+      if (item) {
+        items.delete(id);
+        item.cancel();
+      }
+      downloadURL(entry.url);
+    },
+
+    // Forget finished downloads; the files themselves stay
+    clearHistory() {
+      entries = entries.filter((entry) => items.has(entry.id));
+      save();
+      onChange(null);
+    },
+
+    // Overall progress of running downloads: null when none are running,
+    // fraction null when a size is unknown
+    getProgress() {
+      const active = entries.filter((entry) => items.has(entry.id));
+      if (active.length === 0) {
+        return null;
+      }
+      const total = active.reduce((sum, entry) => sum + entry.totalBytes, 0);
+      const received = active.reduce(
+        (sum, entry) => sum + entry.receivedBytes,
+        0
+      );
+      const isKnown = active.every((entry) => entry.totalBytes > 0);
+      return {
+        count: active.length,
+        fraction: isKnown ? Math.min(received / total, 1) : null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createDownloadManager,
+  describeDownload,
+  getUniquePath,
+  sanitizeFilename,
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseFilterList } = require('./filter-list');
+
+const MAX_LIST_BYTES = 10 * 1024 * 1024;
+const SUBSCRIPTIONS_DIR = 'subscriptions';
+const SUBSCRIPTION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Lists shipped with the app, e.g. the basic tracker list
+const BUNDLED_LISTS_DIR = path.join(__dirname, 'filter-lists');
+
+function readdirSafe(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+function readListFiles(dir, idPrefix, logger) {
+  return readdirSafe(dir)
+    .filter((name) => name.endsWith('.txt'))
+    .sort()
+    .flatMap((name) => {
+      const filePath = path.join(dir, name);
+      try {
+        if (fs.statSync(filePath).size > MAX_LIST_BYTES) {
+          logger.warn('Skipping oversized filter list:', name);
+          return [];
+        }
+        const parsed = parseFilterList(fs.readFileSync(filePath, 'utf8'));
+        return [
+          {
+            id: `${idPrefix}${name}`,
+            title: parsed.title || name.replace(/\.txt$/, ''),
+            filters: parsed.filters,
+            skipped: parsed.skipped,
+          },
+        ];
+      } catch (error) {
+        logger.warn('Failed to read filter list:', name, error.message);
+        return [];
+      }
+    });
+}
+
+// Every available list: bundled ones, files the user placed in `dir` and
+// downloaded subscriptions. Ids are stable so toggles survive restarts.
+function loadFilterLists(dir, logger = console) {
+  return [
+    ...readListFiles(BUNDLED_LISTS_DIR, 'bundled:', logger),
+    ...readListFiles(dir, 'file:', logger),
+    ...readListFiles(
+      path.join(dir, SUBSCRIPTIONS_DIR),
+      'subscription:',
+      logger
+    ),
+  ];
+}
+
+function getSubscriptionPath(dir, url) {
+  const hash = crypto.createHash('sha256').update(url).digest('hex');
+  return path.join(dir, SUBSCRIPTIONS_DIR, `${hash.slice(0, 16)}.txt`);
+}
+
+// Download subscribed lists that are missing or older than a day.
+// Resolves with true when any list changed on disk.
+async function updateSubscriptions(
+  dir,
+  urls,
+  fetch,
+  now = Date.now(),
+  logger = console
+) {
+  let changed = false;
+
+  for (const url of urls) {
+    const filePath = getSubscriptionPath(dir, url);
+    try {
+      if (now - fs.statSync(filePath).mtimeMs < SUBSCRIPTION_MAX_AGE_MS) {
+        continue;
+      }
+    } catch {
+      // Not downloaded yet
+    }
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const text = await response.text();
+      if (text.length > MAX_LIST_BYTES) {
+        throw new Error('List too large');
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, text, 'utf8');
+      fs.renameSync(tempPath, filePath);
+      changed = true;
+    } catch (error) {
+      logger.warn('Failed to update filter list subscription:', error.message);
+    }
+  }
+
+  // Forget downloads of lists that are no longer subscribed
+  const wanted = new Set(urls.map((url) => getSubscriptionPath(dir, url)));
+  readdirSafe(path.join(dir, SUBSCRIPTIONS_DIR)).forEach((name) => {
+    const filePath = path.join(dir, SUBSCRIPTIONS_DIR, name);
+    if (name.endsWith('.txt') && !wanted.has(filePath)) {
+      try {
+        fs.rmSync(filePath, { force: true });
+        changed = true;
+      } catch (error) {
+        // E.g. Windows still holding the file open, try again next time
+        logger.warn('Failed to remove filter list download:', error.message);
+      }
+    }
+  });
+  return changed;
+}
+
+// Security: Subscriptions are fetched over HTTPS only
+function isValidSubscriptionList(urls) {
+  return (
+    Array.isArray(urls) &&
+    urls.length <= 20 &&
+    urls.every((value) => {
+      try {
+        const url = new URL(value);
+        return url.protocol === 'https:' && !url.username && !url.password;
+      } catch {
+        return false;
+      }
+    })
+  );
+}
+
+module.exports = {
+  isValidSubscriptionList,
+  loadFilterLists,
+  updateSubscriptions,
+};
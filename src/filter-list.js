@@ -0,0 +1,381 @@
+// Parser and matcher for the network part of Adblock Plus / EasyList /
+// uBlock Origin filter lists. Cosmetic filters (##), regular expression
+// filters and options this client cannot honour are skipped, never guessed.
+
+const RESOURCE_TYPES = {
+  script: 'script',
+  image: 'image',
+  stylesheet: 'stylesheet',
+  css: 'stylesheet',
+  xmlhttprequest: 'xmlhttprequest',
+  xhr: 'xmlhttprequest',
+  subdocument: 'subdocument',
+  frame: 'subdocument',
+  font: 'font',
+  media: 'media',
+  object: 'object',
+  ping: 'ping',
+  beacon: 'ping',
+  websocket: 'websocket',
+  other: 'other',
+};
+
+// Electron's webRequest resourceType to filter list request types
+const ELECTRON_RESOURCE_TYPES = {
+  mainFrame: 'document',
+  subFrame: 'subdocument',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  object: 'object',
+  xhr: 'xmlhttprequest',
+  ping: 'ping',
+  cspReport: 'other',
+  media: 'media',
+  webSocket: 'websocket',
+  other: 'other',
+};
+
+// Second-level labels under which sites register, e.g. example.co.uk
+const SHARED_SECOND_LEVEL = new Set([
+  'ac',
+  'co',
+  'com',
+  'edu',
+  'gov',
+  'go',
+  'ne',
+  'net',
+  'or',
+  'org',
+]);
+
+const MAX_FILTER_LENGTH = 2048;
+
+function toRequestType(resourceType) {
+  return ELECTRON_RESOURCE_TYPES[resourceType] || 'other';
+}
+
+// Approximate the registrable domain without the public suffix list
+function getSiteKey(hostname) {
+  const host = String(hostname || '')
+    .toLowerCase()
+    .replace(/\.$/, '');
+  if (/^[\d.]+$/.test(host) || host.includes(':')) {
+    return host;
+  }
+  const labels = host.split('.');
+  const count =
+    labels.length > 2 &&
+    labels[labels.length - 1].length === 2 &&
+    SHARED_SECOND_LEVEL.has(labels[labels.length - 2])
+      ? 3
+      : 2;
+  return labels.slice(-count).join('.');
+}
+
+function isThirdPartyRequest(requestHost, documentHost) {
+  return (
+    Boolean(documentHost) &&
+    getSiteKey(requestHost) !== getSiteKey(documentHost)
+  );
+}
+
+function isSubdomainOf(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+function escapeRegExp(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+// Translate the filter syntax into a regular expression source:
+// || anchors at a (sub)domain, | at the start or end, * is any text and ^ a
+// separator (anything but a letter, digit, _ - . % or the end of the URL)
+function toRegExpSource(pattern) {
+  let rest = pattern;
+  let prefix = '';
+  let suffix = '';
+  if (rest.startsWith('||')) {
+    prefix = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^/?#@]*\\.)?';
+    rest = rest.slice(2);
+  } else if (rest.startsWith('|')) {
+    prefix = '^';
+    rest = rest.slice(1);
+  }
+  if (rest.endsWith('|')) {
+    suffix = '$';
+    rest = rest.slice(0, -1);
+  }
+
+  const body = rest
+    .replace(/^\*+|\*+$/g, '')
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '^') {
+        return '(?:[^\\w\\-.%]|$)';
+      }
+      return escapeRegExp(char);
+    })
+    .join('');
+  return prefix + body + suffix;
+}
+
+// The longest run of letters and digits that every matching URL must
+// contain in full. Runs touching a wildcard or an unanchored edge may be
+// cut off in the URL, so they cannot be used.
+function findToken(pattern) {
+  let best = '';
+  const runs = /[a-z0-9%]+/g;
+  let match;
+  while ((match = runs.exec(pattern)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const before = start === 0 ? '' : pattern[start - 1];
+    const after = end === pattern.length ? '' : pattern[end];
+    const closedStart = start === 0 ? false : before !== '*';
+    const closedEnd = end === pattern.length ? false : after !== '*';
+    if (closedStart && closedEnd && match[0].length > best.length) {
+      best = match[0];
+    }
+  }
+  return best.length >= 2 ? best : '';
+}
+
+function parseOptions(optionText) {
+  const options = {
+    thirdParty: null,
+    includeDomains: [],
+    excludeDomains: [],
+    types: null,
+    excludedTypes: [],
+    matchCase: false,
+  };
+
+  for (const rawOption of optionText.split(',')) {
+    const option = rawOption.trim().toLowerCase();
+    if (!option) {
+      continue;
+    }
+    const negated = option.startsWith('~');
+    const name = negated ? option.slice(1) : option;
+
+    if (name === 'third-party' || name === '3p') {
+      options.thirdParty = !negated;
+    } else if (name === 'first-party' || name === '1p') {
+      options.thirdParty = negated;
+    } else if (option.startsWith('domain=')) {
+      option
+        .slice('domain='.length)
+        .split('|')
+        .filter(Boolean)
+        .forEach((domain) => {
+          if (domain.startsWith('~')) {
+            options.excludeDomains.push(domain.slice(1));
+          } else {
+            options.includeDomains.push(domain);
+          }
+        });
+    } else if (Object.prototype.hasOwnProperty.call(RESOURCE_TYPES, name)) {
+      if (negated) {
+        options.excludedTypes.push(RESOURCE_TYPES[name]);
+      } else {
+        options.types = options.types || [];
+        options.types.push(RESOURCE_TYPES[name]);
+      }
+    } else if (name === 'match-case') {
+      options.matchCase = true;
+    } else if (name !== 'important' && name !== 'all') {
+      // e.g. redirect=, csp=, removeparam=, popup or document
+      return null;
+    }
+  }
+  return options;
+}
+
+// Parse one line into a network filter, or null when it is not one we support
+function parseFilter(line) {
+  const text = line.trim();
+  if (
+    !text ||
+    text.length > MAX_FILTER_LENGTH ||
+    text.startsWith('!') ||
+    text.startsWith('[') ||
+    /#[@?$%]?#|#\+js\(/.test(text)
+  ) {
+    return null;
+  }
+
+  const isException = text.startsWith('@@');
+  let pattern = isException ? text.slice(2) : text;
+  let options = parseOptions('');
+  const optionIndex = pattern.lastIndexOf('$');
+  if (optionIndex !== -1 && !/^\/.*\/$/.test(pattern)) {
+    options = parseOptions(pattern.slice(optionIndex + 1));
+    pattern = pattern.slice(0, optionIndex);
+  }
+
+  // Regular expression filters are too slow to run on every request
+  if (!options || !pattern || pattern === '*' || /^\/.*\/$/.test(pattern)) {
+    return null;
+  }
+  const normalizedPattern = options.matchCase ? pattern : pattern.toLowerCase();
+  return {
+    text,
+    isException,
+    source: toRegExpSource(normalizedPattern),
+    token: findToken(pattern.toLowerCase()),
+    regexp: null,
+    ...options,
+  };
+}
+
+// Read the list title and every supported filter
+function parseFilterList(text) {
+  const filters = [];
+  let title = null;
+  let skipped = 0;
+
+  String(text || '')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const titleMatch = /^!\s*Title:\s*(.+)$/i.exec(line.trim());
+      if (titleMatch && !title) {
+        title = titleMatch[1].trim().slice(0, 100);
+        return;
+      }
+      const filter = parseFilter(line);
+      if (filter) {
+        filters.push(filter);
+      } else if (line.trim() && !/^[![]/.test(line.trim())) {
+        skipped += 1;
+      }
+    });
+  return { title, filters, skipped };
+}
+
+function matchesFilter(filter, request) {
+  if (
+    filter.thirdParty !== null &&
+    filter.thirdParty !== request.isThirdParty
+  ) {
+    return false;
+  }
+  if (filter.types && !filter.types.includes(request.type)) {
+    return false;
+  }
+  if (filter.excludedTypes.includes(request.type)) {
+    return false;
+  }
+  if (filter.includeDomains.length > 0 || filter.excludeDomains.length > 0) {
+    const host = request.documentHost;
+    if (
+      filter.includeDomains.length > 0 &&
+      !(
+        host &&
+        filter.includeDomains.some((domain) => isSubdomainOf(host, domain))
+      )
+    ) {
+      return false;
+    }
+    if (
+      host &&
+      filter.excludeDomains.some((domain) => isSubdomainOf(host, domain))
+    ) {
+      return false;
+    }
+  }
+
+  if (!filter.regexp) {
+    filter.regexp = new RegExp(filter.source, filter.matchCase ? '' : 'i');
+  }
+  return filter.regexp.test(request.url);
+}
+
+function createIndex() {
+  const byToken = new Map();
+  const untokened = [];
+  return {
+    add(filter) {
+      if (!filter.token) {
+        untokened.push(filter);
+        return;
+      }
+      if (!byToken.has(filter.token)) {
+        byToken.set(filter.token, []);
+      }
+      byToken.get(filter.token).push(filter);
+    },
+    // Only filters whose token occurs in the URL can possibly match it
+    find(request, tokens) {
+      for (const token of tokens) {
+        const candidates = byToken.get(token);
+        if (candidates) {
+          const found = candidates.find((filter) =>
+            matchesFilter(filter, request)
+          );
+          if (found) {
+            return found;
+          }
+        }
+      }
+      return untokened.find((filter) => matchesFilter(filter, request)) || null;
+    },
+  };
+}
+
+// Compile parsed lists into a matcher. match() takes { url, type,
+// documentUrl } and returns the blocking filter, or null to allow.
+function createFilterMatcher(lists) {
+  const blocking = createIndex();
+  const exceptions = createIndex();
+  let size = 0;
+
+  lists.forEach((list) => {
+    list.filters.forEach((filter) => {
+      (filter.isException ? exceptions : blocking).add(filter);
+      size += 1;
+    });
+  });
+
+  return {
+    size,
+
+    match({ url, type = 'other', documentUrl = null }) {
+      let requestUrl;
+      let documentHost = null;
+      try {
+        requestUrl = new URL(url);
+        documentHost = documentUrl ? new URL(documentUrl).hostname : null;
+      } catch {
+        return null;
+      }
+
+      const request = {
+        url,
+        type,
+        documentHost,
+        isThirdParty: isThirdPartyRequest(requestUrl.hostname, documentHost),
+      };
+      const tokens = new Set(url.toLowerCase().match(/[a-z0-9%]+/g) || []);
+      const filter = blocking.find(request, tokens);
+      if (!filter || exceptions.find(request, tokens)) {
+        return null;
+      }
+      return filter;
+    },
+  };
+}
+
+module.exports = {
+  createFilterMatcher,
+  getSiteKey,
+  isThirdPartyRequest,
+  parseFilter,
+  parseFilterList,
+  toRequestType,
+};
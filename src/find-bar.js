@@ -0,0 +1,158 @@
+const { WebContentsView, ipcMain } = require('electron');
+const path = require('path');
+
+const BAR_WIDTH = 380;
+const BAR_HEIGHT = 44;
+const BAR_MARGIN = 12;
+const MAX_QUERY_LENGTH = 500;
+
+// Security: The bar lives in its own view instead of the page DOM, so scripts
+// on the page can neither read the query nor fake the controls.
+function createFindBar(win) {
+  const target = win.webContents;
+  const view = new WebContentsView({
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      webSecurity: true,
+      preload: path.join(__dirname, 'ui', 'find-bar-preload.js'),
+    },
+  });
+  let isOpen = false;
+  let lastQuery = null;
+
+  view.webContents.on('will-navigate', (event) => event.preventDefault());
+  view.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  view.webContents.loadFile(path.join(__dirname, 'ui', 'find-bar.html'));
+
+  const isBarSender = (event) => event.sender === view.webContents;
+
+  function updateBounds() {
+    const { width } = win.getContentBounds();
+    view.setBounds({
+      x: Math.max(0, width - BAR_WIDTH - BAR_MARGIN),
+      y: BAR_MARGIN,
+      width: Math.min(BAR_WIDTH, width),
+      height: BAR_HEIGHT,
+    });
+  }
+
+  // A changed query or case setting starts a new search session
+  function find(text, { forward = true, matchCase = false } = {}) {
+    if (typeof text !== 'string' || text.length > MAX_QUERY_LENGTH) {
+      return;
+    }
+    if (!text) {
+      lastQuery = null;
+      target.stopFindInPage('clearSelection');
+      view.webContents.send('find-bar:result', { active: 0, matches: 0 });
+      return;
+    }
+
+    const query = { text, matchCase: matchCase === true };
+    const findNext =
+      !lastQuery ||
+      lastQuery.text !== query.text ||
+      lastQuery.matchCase !== query.matchCase;
+    lastQuery = query;
+    target.findInPage(text, {
+      forward: forward !== false,
+      findNext,
+      matchCase: query.matchCase,
+    });
+  }
+
+  function open() {
+    if (!isOpen) {
+      isOpen = true;
+      updateBounds();
+      win.contentView.addChildView(view);
+    }
+    view.webContents.focus();
+    view.webContents.send('find-bar:open');
+  }
+
+  function close() {
+    if (!isOpen) {
+      return;
+    }
+    isOpen = false;
+    lastQuery = null;
+    target.stopFindInPage('keepSelection');
+    win.contentView.removeChildView(view);
+    target.focus();
+  }
+
+  // Repeat the last search from the menu, or open the bar to start one
+  function findAgain(forward) {
+    if (!isOpen || !lastQuery) {
+      open();
+      return;
+    }
+    find(lastQuery.text, { forward, matchCase: lastQuery.matchCase });
+  }
+
+  const handleFind = (event, text, options) => {
+    if (isBarSender(event)) {
+      find(text, options && typeof options === 'object' ? options : {});
+    }
+  };
+  const handleClose = (event) => {
+    if (isBarSender(event)) {
+      close();
+    }
+  };
+  ipcMain.on('find-bar:find', handleFind);
+  ipcMain.on('find-bar:close', handleClose);
+
+  target.on('found-in-page', (event, result) => {
+    if (isOpen && lastQuery) {
+      view.webContents.send('find-bar:result', {
+        active: result.activeMatchOrdinal || 0,
+        matches: result.matches || 0,
+      });
+    }
+  });
+
+  // Results are tied to the page, start over after navigating, including
+  // route changes within the single-page app
+  target.on('did-navigate', () => close());
+  target.on('did-navigate-in-page', (event, url, isMainFrame) => {
+    if (isMainFrame) {
+      close();
+    }
+  });
+
+  // Escape in the page closes the bar as well
+  target.on('before-input-event', (event, input) => {
+    if (isOpen && input.type === 'keyDown' && input.key === 'Escape') {
+      event.preventDefault();
+      close();
+    }
+  });
+
+  win.on('resize', () => {
+    if (isOpen) {
+      updateBounds();
+    }
+  });
+
+  win.on('closed', () => {
+    ipcMain.removeListener('find-bar:find', handleFind);
+    ipcMain.removeListener('find-bar:close', handleClose);
+    if (!view.webContents.isDestroyed()) {
+      view.webContents.close();
+    }
+  });
+
+  return {
+    open,
+    close,
+    findNext: () => findAgain(true),
+    findPrevious: () => findAgain(false),
+    isOpen: () => isOpen,
+  };
+}
+
+module.exports = { createFindBar };
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+// Read a JSON file, falling back when it is missing or unreadable
+function readJsonFile(filePath, fallback) {
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+// Write a JSON file atomically so a crash never leaves a half-written file
+function writeJsonFile(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
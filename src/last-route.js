@@ -0,0 +1,126 @@
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const STORE_VERSION = 2;
+const MAX_URL_LENGTH = 2048;
+const MAX_SCROLL_Y = 10000000;
+// The single-page app changes route on nearly every click
+const SAVE_DELAY_MS = 2000;
+
+function isStorableUrl(value) {
+  return (
+    typeof value === 'string' &&
+    value.length <= MAX_URL_LENGTH &&
+    /^https?:\/\/[^/]+/.test(value)
+  );
+}
+
+function isScrollPosition(value) {
+  return Number.isFinite(value) && value >= 0 && value <= MAX_SCROLL_Y;
+}
+
+// Version 1 stored only the URL of each route
+function readRoute(value) {
+  const route = typeof value === 'string' ? { url: value, scrollY: 0 } : value;
+  if (!route || !isStorableUrl(route.url)) {
+    return null;
+  }
+  return {
+    url: route.url,
+    scrollY: isScrollPosition(route.scrollY) ? Math.round(route.scrollY) : 0,
+  };
+}
+
+// The page each account was on last and how far it was scrolled, so a
+// restart can open it again. Callers still check the URL against the trusted
+// origins before loading.
+// Route changes are written after `saveDelayMs`; call flush() before quitting.
+function createLastRouteStore(
+  filePath,
+  {
+    saveDelayMs = SAVE_DELAY_MS,
+    logger = console,
+    timers = { setTimeout, clearTimeout },
+  } = {}
+) {
+  const data = readJsonFile(filePath, null);
+  const hasRoutes = data && data.routes && typeof data.routes === 'object';
+  const routes = new Map(
+    hasRoutes
+      ? Object.entries(data.routes)
+          .map(([accountId, value]) => [accountId, readRoute(value)])
+          .filter(([, route]) => route)
+      : []
+  );
+
+  let saveTimeout = null;
+
+  const save = () => {
+    timers.clearTimeout(saveTimeout);
+    saveTimeout = null;
+    try {
+      writeJsonFile(filePath, {
+        version: STORE_VERSION,
+        routes: Object.fromEntries(routes),
+      });
+    } catch (error) {
+      logger.warn('Failed to save last routes:', error.message);
+    }
+  };
+
+  const saveSoon = () => {
+    if (!saveTimeout) {
+      saveTimeout = timers.setTimeout(save, saveDelayMs);
+    }
+  };
+
+  return {
+    get(accountId) {
+      const route = routes.get(accountId);
+      return route ? route.url : null;
+    },
+
+    getScrollY(accountId) {
+      const route = routes.get(accountId);
+      return route ? route.scrollY : 0;
+    },
+
+    // A new route starts at the top of the page
+    set(accountId, url) {
+      const route = routes.get(accountId);
+      if (!isStorableUrl(url) || (route && route.url === url)) {
+        return;
+      }
+      routes.set(accountId, { url, scrollY: 0 });
+      saveSoon();
+    },
+
+    // Ignored unless `url` is still the account's route, since the page can
+    // report a position after it has moved on
+    setScrollY(accountId, url, scrollY) {
+      const route = routes.get(accountId);
+      if (!route || route.url !== url || !isScrollPosition(scrollY)) {
+        return;
+      }
+      const rounded = Math.round(scrollY);
+      if (route.scrollY !== rounded) {
+        route.scrollY = rounded;
+        saveSoon();
+      }
+    },
+
+    removeAccount(accountId) {
+      if (routes.delete(accountId)) {
+        save();
+      }
+    },
+
+    // Write a pending change now
+    flush() {
+      if (saveTimeout) {
+        save();
+      }
+    },
+  };
+}
+
+module.exports = { createLastRouteStore };
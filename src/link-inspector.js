@@ -0,0 +1,205 @@
+const { URL, domainToUnicode } = require('url');
+
+const MAX_REDIRECT_DEPTH = 5;
+
+// Query parameters that only identify the click for analytics
+const TRACKING_PARAMS = new Set([
+  'fbclid',
+  'gclid',
+  'dclid',
+  'gbraid',
+  'wbraid',
+  'msclkid',
+  'yclid',
+  'twclid',
+  'ttclid',
+  'igshid',
+  'igsh',
+  'mc_cid',
+  'mc_eid',
+  '_hsenc',
+  '_hsmi',
+  'mkt_tok',
+  'oly_anon_id',
+  'oly_enc_id',
+  'vero_id',
+  'rb_clickid',
+  's_cid',
+]);
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+
+// Redirect services that carry the real destination in a query parameter
+const REDIRECTORS = [
+  { host: /^(www\.)?google\.[a-z.]+$/, path: '/url', params: ['q', 'url'] },
+  { host: /^(l|lm)\.facebook\.com$/, path: '/l.php', params: ['u'] },
+  { host: /^l\.instagram\.com$/, path: '/', params: ['u'] },
+  { host: /^out\.reddit\.com$/, params: ['url'] },
+  { host: /^(www\.)?youtube\.com$/, path: '/redirect', params: ['q'] },
+  { host: /^t\.umblr\.com$/, path: '/redirect', params: ['z'] },
+  { host: /^slack-redir\.net$/, path: '/link', params: ['url'] },
+  {
+    host: /^([a-z0-9-]+\.)?safelinks\.protection\.outlook\.com$/,
+    params: ['url'],
+  },
+  { host: /^steamcommunity\.com$/, path: '/linkfilter/', params: ['u', 'url'] },
+];
+
+// Cyrillic and Greek letters that render like Latin ones
+const LATIN_LOOKALIKES = new Set('аеорсухіјѕԁһԛԝӏѵοαιυνρκ'.split(''));
+const CONFUSABLE_SCRIPTS = ['Latin', 'Cyrillic', 'Greek'];
+const SCRIPT_PATTERNS = CONFUSABLE_SCRIPTS.map((script) => ({
+  script,
+  pattern: new RegExp(`\\p{Script=${script}}`, 'u'),
+}));
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return (
+    TRACKING_PARAMS.has(lower) ||
+    TRACKING_PARAM_PREFIXES.some((prefix) => lower.startsWith(prefix))
+  );
+}
+
+// Remove tracking parameters in place and return their names
+function stripTrackingParams(url) {
+  const removed = [...new Set(url.searchParams.keys())].filter(isTrackingParam);
+  removed.forEach((name) => url.searchParams.delete(name));
+  return removed;
+}
+
+function parseWebUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+// Follow known redirector links to the URL they forward to
+function unwrapRedirect(url) {
+  let current = url;
+  for (let depth = 0; depth < MAX_REDIRECT_DEPTH; depth++) {
+    const hostname = current.hostname.toLowerCase();
+    const redirector = REDIRECTORS.find(
+      (entry) =>
+        entry.host.test(hostname) &&
+        (!entry.path || current.pathname === entry.path)
+    );
+    const target =
+      redirector &&
+      redirector.params
+        .map((name) => parseWebUrl(current.searchParams.get(name)))
+        .find(Boolean);
+    if (!target) {
+      break;
+    }
+    current = target;
+  }
+  return current;
+}
+
+function getLetterScripts(label) {
+  const scripts = new Set();
+  for (const char of label) {
+    if (!/\p{L}/u.test(char)) {
+      continue;
+    }
+    const match = SCRIPT_PATTERNS.find(({ pattern }) => pattern.test(char));
+    scripts.add(match ? match.script : 'Other');
+  }
+  return scripts;
+}
+
+// Flag internationalized host labels that could pass for Latin text: Latin
+// mixed with Cyrillic or Greek, or made only of Latin lookalike letters
+function findHomographLabels(hostname) {
+  return domainToUnicode(hostname)
+    .split('.')
+    .filter((label) => {
+      const scripts = getLetterScripts(label);
+      const confusable = CONFUSABLE_SCRIPTS.filter((script) =>
+        scripts.has(script)
+      );
+      if (confusable.length > 1) {
+        return true;
+      }
+      const letters = [...label].filter((char) => /\p{L}/u.test(char));
+      return (
+        (scripts.has('Cyrillic') || scripts.has('Greek')) &&
+        scripts.size === 1 &&
+        letters.every((char) => LATIN_LOOKALIKES.has(char.toLowerCase()))
+      );
+    });
+}
+
+function stripWww(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+// The host a link's visible text claims to lead to, e.g. "example.com/..."
+function getClaimedHost(linkText) {
+  if (typeof linkText !== 'string') {
+    return null;
+  }
+  const text = linkText.trim().replace(/(\.\.\.|…)$/, '');
+  if (
+    !text ||
+    /\s/.test(text) ||
+    !/^(https?:\/\/)?[^/\s]+\.[a-z]{2,}/i.test(text)
+  ) {
+    return null;
+  }
+  const url = parseWebUrl(
+    /^https?:\/\//i.test(text) ? text : `https://${text}`
+  );
+  return url ? stripWww(url.hostname) : null;
+}
+
+function isSameSite(claimedHost, hostname) {
+  const actual = stripWww(hostname);
+  return (
+    actual === claimedHost ||
+    actual.endsWith(`.${claimedHost}`) ||
+    claimedHost.endsWith(`.${actual}`)
+  );
+}
+
+// Inspect an outbound link before it is opened. Returns the cleaned URL
+// (redirects unwrapped, tracking parameters removed) and a list of warnings.
+function inspectLink(urlString, { linkText, stripTracking = true } = {}) {
+  const original = parseWebUrl(urlString);
+  if (!original) {
+    return { url: null, unwrapped: false, removedParams: [], warnings: [] };
+  }
+
+  const url = new URL(unwrapRedirect(original).toString());
+  const unwrapped = url.toString() !== original.toString();
+  const removedParams = stripTracking ? stripTrackingParams(url) : [];
+  const warnings = [];
+
+  const homographLabels = findHomographLabels(url.hostname);
+  if (homographLabels.length > 0) {
+    warnings.push({
+      type: 'homograph',
+      message: `The address uses characters that imitate other letters: ${homographLabels.join('.')} (${url.hostname})`,
+    });
+  }
+
+  const claimedHost = getClaimedHost(linkText);
+  if (claimedHost && !isSameSite(claimedHost, url.hostname)) {
+    warnings.push({
+      type: 'text-mismatch',
+      message: `The link text shows ${claimedHost} but it leads to ${url.hostname}`,
+    });
+  }
+
+  return { url, unwrapped, removedParams, warnings };
+}
+
+module.exports = {
+  findHomographLabels,
+  inspectLink,
+  stripTrackingParams,
+  unwrapRedirect,
+};
@@ -0,0 +1,61 @@
+const { BrowserWindow, shell } = require('electron');
+
+// In-memory partition shared by popups, never one of the account sessions
+const POPUP_PARTITION = 'link-popup';
+
+// Open a web link in a sandboxed window with no preload and no logins
+function openLinkPopup(url, parent) {
+  const popup = new BrowserWindow({
+    width: 1000,
+    height: 760,
+    show: false,
+    title: url.hostname,
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      webSecurity: true,
+      allowRunningInsecureContent: false,
+      partition: POPUP_PARTITION,
+    },
+  });
+  popup.setMenu(null);
+
+  // Security: Sites in popups get no permissions beyond full screen video
+  const popupSession = popup.webContents.session;
+  popupSession.setPermissionRequestHandler(
+    (webContents, permission, callback) => callback(permission === 'fullscreen')
+  );
+  popupSession.setPermissionCheckHandler(
+    (webContents, permission) => permission === 'fullscreen'
+  );
+
+  // Security: Popups stay on HTTPS and hand new windows to the OS browser
+  popup.webContents.on('will-navigate', (event, navigationUrl) => {
+    if (!navigationUrl.startsWith('https://')) {
+      event.preventDefault();
+    }
+  });
+  popup.webContents.setWindowOpenHandler(({ url: targetUrl }) => {
+    if (targetUrl.startsWith('https://')) {
+      shell.openExternal(targetUrl);
+    }
+    return { action: 'deny' };
+  });
+  popup.webContents.on('page-title-updated', (event, title) => {
+    event.preventDefault();
+    popup.setTitle(`${title} — ${new URL(popup.webContents.getURL()).host}`);
+  });
+
+  if (parent && !parent.isDestroyed()) {
+    const parentBounds = parent.getBounds();
+    popup.setPosition(parentBounds.x + 40, parentBounds.y + 40);
+  }
+  popup.once('ready-to-show', () => popup.show());
+  // A failed load leaves Chromium's error page in the popup
+  popup.loadURL(url.toString()).catch(() => {});
+  return popup;
+}
+
+module.exports = { openLinkPopup };
@@ -0,0 +1,111 @@
+const { URL } = require('url');
+
+// Where a link may be opened:
+// - 'in-app': the main window (only honoured for trusted origins)
+// - 'external': the default browser or mail/phone handler
+// - 'popup': a sandboxed in-app window without access to any account session
+// - 'block': nowhere, the user sees a short notice instead
+const LINK_ACTIONS = ['in-app', 'external', 'popup', 'block'];
+const MAX_RULES = 200;
+const MAX_PATTERN_LENGTH = 253;
+
+// Security: Only these schemes ever leave the app
+const ROUTABLE_PROTOCOLS = new Set(['https:', 'http:', 'mailto:', 'tel:']);
+
+// Patterns are a host with an optional path prefix:
+//   example.com          the host and all of its subdomains
+//   *.example.com        subdomains only
+//   example.com/watch    paths starting with /watch on the host and subdomains
+//   *                    every web link
+function parseLinkPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+    return null;
+  }
+  const value = pattern.trim().toLowerCase();
+  if (value === '*') {
+    return { any: true };
+  }
+
+  const slash = value.indexOf('/');
+  const hostPart = slash === -1 ? value : value.slice(0, slash);
+  const pathPrefix = slash === -1 ? '' : value.slice(slash);
+  const subdomainsOnly = hostPart.startsWith('*.');
+  const host = subdomainsOnly ? hostPart.slice(2) : hostPart;
+
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host) || /[\s?#]/.test(pathPrefix)) {
+    return null;
+  }
+  return { host, subdomainsOnly, pathPrefix };
+}
+
+function isValidLinkRules(rules) {
+  return (
+    Array.isArray(rules) &&
+    rules.length <= MAX_RULES &&
+    rules.every(
+      (rule) =>
+        rule &&
+        typeof rule === 'object' &&
+        LINK_ACTIONS.includes(rule.action) &&
+        parseLinkPattern(rule.match) !== null
+    )
+  );
+}
+
+function matchesPattern(pattern, url) {
+  if (pattern.any) {
+    return true;
+  }
+  const hostname = url.hostname.toLowerCase();
+  const isSubdomain = hostname.endsWith(`.${pattern.host}`);
+  const hostMatches = pattern.subdomainsOnly
+    ? isSubdomain
+    : hostname === pattern.host || isSubdomain;
+  return (
+    hostMatches && url.pathname.toLowerCase().startsWith(pattern.pathPrefix)
+  );
+}
+
+// Decide what to do with a link. Returns { action, url } where url is the
+// parsed URL, or null for links that could not be parsed.
+function routeLink(urlString, { rules = [], trustedOrigins = [] } = {}) {
+  let url;
+  try {
+    url = new URL(urlString);
+  } catch {
+    return { action: 'block', url: null };
+  }
+  if (!ROUTABLE_PROTOCOLS.has(url.protocol) || url.username || url.password) {
+    return { action: 'block', url };
+  }
+
+  const isTrusted = trustedOrigins.includes(url.origin);
+  // Security: Plain HTTP is limited to trusted local development servers
+  if (url.protocol === 'http:' && !isTrusted) {
+    return { action: 'block', url };
+  }
+
+  // Mail and phone links have no host to match, and only the OS handles them
+  if (url.protocol === 'mailto:' || url.protocol === 'tel:') {
+    return { action: 'external', url };
+  }
+
+  const rule = (isValidLinkRules(rules) ? rules : []).find((candidate) =>
+    matchesPattern(parseLinkPattern(candidate.match), url)
+  );
+  let action = rule ? rule.action : isTrusted ? 'in-app' : 'external';
+
+  // Security: The main window never leaves the trusted origins, so in-app
+  // rules for other sites fall back to the isolated popup
+  if (action === 'in-app' && !isTrusted) {
+    action = 'popup';
+  }
+  return { action, url };
+}
+
+module.exports = {
+  LINK_ACTIONS,
+  isValidLinkRules,
+  parseLinkPattern,
+  routeLink,
+};
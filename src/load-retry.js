@@ -0,0 +1,186 @@
+// Chromium net error codes, grouped into the classes the offline page shows
+const ERROR_CLASSES = {
+  offline: {
+    codes: [-106],
+    title: 'You’re offline',
+    message: 'The page loads again as soon as the network is back.',
+  },
+  dns: {
+    codes: [-105, -137],
+    title: 'Can’t find the server',
+    message: 'The address could not be resolved. Check your connection.',
+  },
+  timeout: {
+    codes: [-7, -118],
+    title: 'The connection timed out',
+    message: 'The server took too long to respond.',
+  },
+  connection: {
+    codes: [-15, -21, -100, -101, -102, -104, -109, -130, -324],
+    title: 'Can’t reach the server',
+    message: 'The connection was refused or dropped.',
+  },
+  server: {
+    codes: [-379],
+    title: 'The server is having problems',
+    message: 'Bluesky answered with an error. It is usually temporary.',
+  },
+};
+const FALLBACK_CLASS = {
+  title: 'The page couldn’t be loaded',
+  message: 'Something went wrong while loading the page.',
+};
+
+// Aborted loads are navigations the page or the user replaced
+const IGNORED_ERROR_CODES = new Set([-3]);
+// Chromium's code for pages answered with an HTTP error status
+const HTTP_ERROR_CODE = -379;
+
+// Describe a failed load: { type, title, message }, or null to ignore it
+function classifyLoadError(errorCode) {
+  if (IGNORED_ERROR_CODES.has(errorCode)) {
+    return null;
+  }
+  const type = Object.keys(ERROR_CLASSES).find((key) =>
+    ERROR_CLASSES[key].codes.includes(errorCode)
+  );
+  if (type) {
+    const { title, message } = ERROR_CLASSES[type];
+    return { type, title, message };
+  }
+  // -200 to -299 are certificate errors
+  if (errorCode <= -200 && errorCode > -300) {
+    return {
+      type: 'certificate',
+      title: 'The connection isn’t private',
+      message: 'The server’s certificate could not be verified.',
+    };
+  }
+  return { type: 'other', ...FALLBACK_CLASS };
+}
+
+// Exponential backoff: 2 s, 4 s, 8 s... capped at a minute
+function getRetryDelay(attempt, baseDelayMs = 2000, maxDelayMs = 60000) {
+  return Math.min(baseDelayMs * 2 ** Math.min(attempt, 20), maxDelayMs);
+}
+
+// Retry a failed page load with backoff. While it fails the network state is
+// polled with `isOnline()`: going offline pauses the countdown and coming
+// back online retries at once. `onChange(state)` receives { url, error,
+// description, attempt, retryAt, isOnline }, or null once a load succeeds.
+function createLoadRetry({
+  load,
+  isOnline,
+  onChange,
+  baseDelayMs = 2000,
+  maxDelayMs = 60000,
+  pollIntervalMs = 2000,
+  now = Date.now,
+  timers = { setTimeout, clearTimeout, setInterval, clearInterval },
+}) {
+  let state = null;
+  let retryTimeout = null;
+  let pollInterval = null;
+
+  const clearRetry = () => {
+    if (retryTimeout) {
+      timers.clearTimeout(retryTimeout);
+      retryTimeout = null;
+    }
+  };
+
+  const stopPolling = () => {
+    if (pollInterval) {
+      timers.clearInterval(pollInterval);
+      pollInterval = null;
+    }
+  };
+
+  const retryNow = () => {
+    if (!state) {
+      return;
+    }
+    clearRetry();
+    state = { ...state, attempt: state.attempt + 1, retryAt: null };
+    onChange(state);
+    load(state.url);
+  };
+
+  const schedule = () => {
+    clearRetry();
+    if (!state.isOnline) {
+      state = { ...state, retryAt: null };
+      return;
+    }
+    const delay = getRetryDelay(state.attempt, baseDelayMs, maxDelayMs);
+    state = { ...state, retryAt: now() + delay };
+    retryTimeout = timers.setTimeout(retryNow, delay);
+  };
+
+  const setOnline = (online) => {
+    if (!state || state.isOnline === online) {
+      return;
+    }
+    state = { ...state, isOnline: online };
+    if (online) {
+      retryNow();
+      return;
+    }
+    schedule();
+    onChange(state);
+  };
+
+  return {
+    // Returns false when the failure is not worth showing, e.g. an abort
+    fail(url, errorCode, description = '') {
+      const error = classifyLoadError(errorCode);
+      if (!error) {
+        return false;
+      }
+      const attempt = state && state.url === url ? state.attempt : 0;
+      state = {
+        url,
+        error,
+        description: String(description).slice(0, 200),
+        attempt,
+        retryAt: null,
+        isOnline: isOnline(),
+      };
+      schedule();
+      if (!pollInterval) {
+        pollInterval = timers.setInterval(
+          () => setOnline(isOnline()),
+          pollIntervalMs
+        );
+      }
+      onChange(state);
+      return true;
+    },
+
+    retryNow,
+
+    succeed() {
+      if (!state) {
+        return;
+      }
+      clearRetry();
+      stopPolling();
+      state = null;
+      onChange(null);
+    },
+
+    stop() {
+      clearRetry();
+      stopPolling();
+    },
+
+    getState: () => state,
+  };
+}
+
+module.exports = {
+  HTTP_ERROR_CODE,
+  classifyLoadError,
+  createLoadRetry,
+  getRetryDelay,
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+// Most severe first; a logger writes its own level and everything above it
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const DEFAULT_LOG_LEVEL = 'info';
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_FILES = 5;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_DETAIL_DEPTH = 4;
+
+const SECRET_KEY_PATTERN =
+  /token|password|secret|authorization|cookie|jwt|session/i;
+
+function isValidLogLevel(level) {
+  return LOG_LEVELS.includes(level);
+}
+
+// Security: Keep only the origin of URLs, since paths and queries name
+// people, posts and sometimes carry codes, and hide anything token-like
+function redactText(text) {
+  return String(text)
+    .replace(
+      /\b(https?|wss?):\/\/([^/\s?#'"]+)[^\s'"]*/gi,
+      (match, scheme, host) =>
+        `${scheme}://${host.replace(/^[^@]*@/, '')}/[redacted]`
+    )
+    .replace(/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, '[token]')
+    .replace(/\b(Bearer|Basic|DPoP)\s+[\w.~+/=-]+/gi, '$1 [token]')
+    .replace(
+      /\b(access_?token|refresh_?token|token|password|secret|code|key)=[^&\s'"]+/gi,
+      '$1=[redacted]'
+    )
+    .slice(0, MAX_MESSAGE_LENGTH);
+}
+
+// Make a log argument safe to write: errors keep their name, message and
+// stack, objects are copied without secret-looking keys
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactText(value.message),
+      stack: value.stack ? redactText(value.stack) : null,
+    };
+  }
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value === undefined ? null : value;
+  }
+  if (depth >= MAX_DETAIL_DEPTH) {
+    return '[object]';
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, 50).map((item) => redact(item, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.keys(value)
+      .slice(0, 50)
+      .map((key) => [
+        key,
+        SECRET_KEY_PATTERN.test(key)
+          ? '[redacted]'
+          : redact(value[key], depth + 1),
+      ])
+  );
+}
+
+function formatEntry(time, level, scope, message, details) {
+  const entry = { time: time.toISOString(), level, scope, message };
+  if (details.length > 0) {
+    entry.details = details;
+  }
+  return `${JSON.stringify(entry)}\n`;
+}
+
+// Shift main.log to main.1.log and so on, dropping the oldest file
+function rotate(filePath, maxFiles) {
+  const { dir, name, ext } = path.parse(filePath);
+  const numbered = (index) => path.join(dir, `${name}.${index}${ext}`);
+  fs.rmSync(numbered(maxFiles - 1), { force: true });
+  for (let index = maxFiles - 2; index >= 1; index -= 1) {
+    if (fs.existsSync(numbered(index))) {
+      fs.renameSync(numbered(index), numbered(index + 1));
+    }
+  }
+  fs.renameSync(filePath, numbered(1));
+}
+
+// Write JSON lines ({ time, level, scope, message, details }) to
+// `dir/fileName`, rotating once a file reaches `maxFileBytes`. `echo`
+// mirrors entries to the console, e.g. while developing.
+function createLogger({
+  dir,
+  fileName = 'main.log',
+  level = DEFAULT_LOG_LEVEL,
+  maxFileBytes = MAX_FILE_BYTES,
+  maxFiles = MAX_FILES,
+  echo = false,
+  now = () => new Date(),
+}) {
+  const filePath = path.join(dir, fileName);
+  let currentLevel = isValidLogLevel(level) ? level : DEFAULT_LOG_LEVEL;
+  let size = null;
+
+  const write = (line) => {
+    try {
+      if (size === null) {
+        fs.mkdirSync(dir, { recursive: true });
+        size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+      }
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxFileBytes) {
+        rotate(filePath, maxFiles);
+        size = 0;
+      }
+      fs.appendFileSync(filePath, line, 'utf8');
+      size += bytes;
+    } catch {
+      // Logging must never take the app down
+      size = null;
+    }
+  };
+
+  const log = (entryLevel, scope, message, details) => {
+    if (LOG_LEVELS.indexOf(entryLevel) > LOG_LEVELS.indexOf(currentLevel)) {
+      return;
+    }
+    const safeMessage = redactText(message);
+    const safeDetails = details.map((detail) => redact(detail));
+    write(formatEntry(now(), entryLevel, scope, safeMessage, safeDetails));
+    if (echo) {
+      // eslint-disable-next-line no-console
+      console[entryLevel === 'debug' ? 'log' : entryLevel](
+        `[${scope}] ${safeMessage}`,
+        ...safeDetails
+      );
+    }
+  };
+
+  // Loggers for a part of the app share the file and level
+  const createScope = (scope) => ({
+    error: (message, ...details) => log('error', scope, message, details),
+    warn: (message, ...details) => log('warn', scope, message, details),
+    info: (message, ...details) => log('info', scope, message, details),
+    debug: (message, ...details) => log('debug', scope, message, details),
+  });
+
+  return {
+    ...createScope('main'),
+    scope: createScope,
+    getLevel: () => currentLevel,
+    setLevel(nextLevel) {
+      if (isValidLogLevel(nextLevel)) {
+        currentLevel = nextLevel;
+      }
+    },
+    getFilePath: () => filePath,
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  isValidLogLevel,
+  redact,
+};
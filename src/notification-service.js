@@ -0,0 +1,254 @@
+const { CHAT_PROXY } = require('./xrpc-client');
+const { atUriToPath } = require('./at-uri');
+
+const NOTIFICATION_REASONS = [
+  'like',
+  'repost',
+  'follow',
+  'mention',
+  'reply',
+  'quote',
+  'chat',
+];
+const MAX_BODY_LENGTH = 200;
+const MAX_SEEN_IDS = 500;
+
+const REASON_TITLES = {
+  like: 'liked your post',
+  repost: 'reposted your post',
+  follow: 'followed you',
+  mention: 'mentioned you',
+  reply: 'replied to you',
+  quote: 'quoted your post',
+  chat: 'sent you a message',
+};
+
+function truncate(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  const trimmed = text.trim();
+  return trimmed.length > MAX_BODY_LENGTH
+    ? `${trimmed.slice(0, MAX_BODY_LENGTH - 1)}…`
+    : trimmed;
+}
+
+function getDisplayName(author) {
+  if (!author) {
+    return 'Someone';
+  }
+  const name =
+    typeof author.displayName === 'string' ? author.displayName.trim() : '';
+  return name || (author.handle ? `@${author.handle}` : 'Someone');
+}
+
+function getAvatarUrl(author) {
+  return author && typeof author.avatar === 'string' ? author.avatar : null;
+}
+
+// Insertion-ordered set that forgets the oldest IDs past a limit
+function createSeenSet() {
+  const ids = new Set();
+  return {
+    has: (id) => ids.has(id),
+    add(id) {
+      ids.add(id);
+      if (ids.size > MAX_SEEN_IDS) {
+        ids.delete(ids.values().next().value);
+      }
+    },
+    clear: () => ids.clear(),
+  };
+}
+
+// Poll notifications and chats, and hand new ones to `notify` as plain
+// payloads: { id, reason, title, body, iconUrl, path }. The first poll for an
+// account only records what already exists, so start() polls on its own
+// timer: otherwise the first new item would be taken as that baseline.
+function createNotificationService({
+  client,
+  getViewerDid,
+  isReasonEnabled,
+  notify,
+}) {
+  const seen = createSeenSet();
+  let viewerDid = null;
+  // Sources whose first poll succeeded, so later polls may announce
+  const baselines = new Set();
+  let polling = null;
+  let timer = null;
+
+  async function fetchSubjectTexts(notifications) {
+    const uris = [
+      ...new Set(
+        notifications
+          .filter((item) => ['like', 'repost'].includes(item.reason))
+          .map((item) => item.reasonSubject)
+          .filter((uri) => typeof uri === 'string')
+      ),
+    ].slice(0, 25);
+    if (uris.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const data = await client.query('app.bsky.feed.getPosts', { uris });
+      return new Map(
+        (Array.isArray(data.posts) ? data.posts : []).map((post) => [
+          post.uri,
+          post.record && post.record.text,
+        ])
+      );
+    } catch {
+      return new Map();
+    }
+  }
+
+  function toPayload(item, subjectTexts) {
+    const isSubjectReason = item.reason === 'like' || item.reason === 'repost';
+    const targetUri = isSubjectReason ? item.reasonSubject : item.uri;
+    return {
+      id: item.cid,
+      reason: item.reason,
+      title: `${getDisplayName(item.author)} ${REASON_TITLES[item.reason]}`,
+      body: truncate(
+        isSubjectReason
+          ? subjectTexts.get(item.reasonSubject)
+          : item.record && item.record.text
+      ),
+      iconUrl: getAvatarUrl(item.author),
+      path:
+        item.reason === 'follow'
+          ? atUriToPath(`at://${item.author && item.author.did}`)
+          : atUriToPath(targetUri),
+    };
+  }
+
+  async function pollNotifications(isFirstPoll) {
+    const data = await client.query('app.bsky.notification.listNotifications', {
+      limit: 30,
+    });
+    const notifications = (
+      Array.isArray(data.notifications) ? data.notifications : []
+    ).filter((item) => item && typeof item.cid === 'string');
+
+    const fresh = notifications.filter(
+      (item) =>
+        !seen.has(item.cid) &&
+        !item.isRead &&
+        Object.prototype.hasOwnProperty.call(REASON_TITLES, item.reason) &&
+        isReasonEnabled(item.reason)
+    );
+    notifications.forEach((item) => seen.add(item.cid));
+
+    // The first poll only learns what already exists
+    if (isFirstPoll || fresh.length === 0) {
+      return [];
+    }
+
+    const subjectTexts = await fetchSubjectTexts(fresh);
+    return fresh.reverse().map((item) => toPayload(item, subjectTexts));
+  }
+
+  async function pollChats(isFirstPoll) {
+    const data = await client.query(
+      'chat.bsky.convo.listConvos',
+      { limit: 20 },
+      { proxy: CHAT_PROXY }
+    );
+    const payloads = [];
+
+    (Array.isArray(data.convos) ? data.convos : []).forEach((convo) => {
+      const message = convo && convo.lastMessage;
+      if (!message || typeof message.id !== 'string') {
+        return;
+      }
+      const id = `chat:${convo.id}:${message.id}`;
+      const isNew =
+        !seen.has(id) &&
+        !convo.muted &&
+        convo.unreadCount > 0 &&
+        message.sender &&
+        message.sender.did !== viewerDid;
+      seen.add(id);
+
+      if (isNew && !isFirstPoll && isReasonEnabled('chat')) {
+        const sender = (Array.isArray(convo.members) ? convo.members : []).find(
+          (member) => member.did === message.sender.did
+        );
+        payloads.push({
+          id,
+          reason: 'chat',
+          title: `${getDisplayName(sender)} ${REASON_TITLES.chat}`,
+          body: truncate(message.text),
+          iconUrl: getAvatarUrl(sender),
+          path: `/messages/${encodeURIComponent(convo.id)}`,
+        });
+      }
+    });
+    return payloads;
+  }
+
+  async function runPoll() {
+    const did = await getViewerDid();
+    if (!did) {
+      return [];
+    }
+
+    // Start over for a different account so its backlog is not announced
+    if (did !== viewerDid) {
+      seen.clear();
+      baselines.clear();
+      viewerDid = did;
+    }
+
+    // A source stays in its first poll until one succeeds, e.g. when the
+    // app starts offline
+    const sources = [pollNotifications, pollChats];
+    const results = await Promise.allSettled(
+      sources.map((pollSource) => pollSource(!baselines.has(pollSource)))
+    );
+    const payloads = results.flatMap((result, index) => {
+      if (result.status !== 'fulfilled') {
+        return [];
+      }
+      baselines.add(sources.at(index));
+      return result.value;
+    });
+    payloads.forEach((payload) => notify(payload));
+    return payloads;
+  }
+
+  // Concurrent calls share one request cycle
+  function poll() {
+    if (!polling) {
+      polling = runPoll()
+        .catch(() => [])
+        .finally(() => {
+          polling = null;
+        });
+    }
+    return polling;
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    poll,
+
+    start(intervalMs) {
+      stop();
+      timer = setInterval(poll, intervalMs);
+      return poll();
+    },
+
+    stop,
+  };
+}
+
+module.exports = { NOTIFICATION_REASONS, createNotificationService };
@@ -0,0 +1,85 @@
+const { WebContentsView, ipcMain } = require('electron');
+const path = require('path');
+
+// A bundled page shown over the window while the service cannot be loaded.
+// The failed page stays underneath, so a successful retry simply removes it.
+function createOfflinePage(win, { onRetry }) {
+  const view = new WebContentsView({
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      webSecurity: true,
+      preload: path.join(__dirname, 'ui', 'offline-preload.js'),
+    },
+  });
+  let isShown = false;
+  let lastState = null;
+
+  view.webContents.on('will-navigate', (event) => event.preventDefault());
+  view.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  view.webContents.loadFile(path.join(__dirname, 'ui', 'offline.html'));
+
+  function updateBounds() {
+    const { width, height } = win.getContentBounds();
+    view.setBounds({ x: 0, y: 0, width, height });
+  }
+
+  // Only what the page displays: the error class and the retry schedule
+  function sendState() {
+    if (!lastState || view.webContents.isLoading()) {
+      return;
+    }
+    view.webContents.send('offline-page:state', {
+      title: lastState.error.title,
+      message: lastState.error.message,
+      description: lastState.description,
+      url: lastState.url,
+      isOnline: lastState.isOnline,
+      retryAt: lastState.retryAt,
+    });
+  }
+
+  function show(state) {
+    lastState = state;
+    if (!isShown) {
+      isShown = true;
+      updateBounds();
+      win.contentView.addChildView(view);
+    }
+    sendState();
+  }
+
+  function hide() {
+    lastState = null;
+    if (isShown) {
+      isShown = false;
+      win.contentView.removeChildView(view);
+    }
+  }
+
+  const handleRetry = (event) => {
+    if (event.sender === view.webContents && isShown) {
+      onRetry();
+    }
+  };
+  ipcMain.on('offline-page:retry', handleRetry);
+  view.webContents.on('did-finish-load', sendState);
+
+  win.on('resize', () => {
+    if (isShown) {
+      updateBounds();
+    }
+  });
+
+  win.on('closed', () => {
+    ipcMain.removeListener('offline-page:retry', handleRetry);
+    if (!view.webContents.isDestroyed()) {
+      view.webContents.close();
+    }
+  });
+
+  return { show, hide, isShown: () => isShown };
+}
+
+module.exports = { createOfflinePage };
@@ -0,0 +1,83 @@
+const { URL } = require('url');
+
+const DEFAULT_SERVICE_ORIGIN = 'https://bsky.app';
+const MAX_TRUSTED_ORIGINS = 20;
+// Plain HTTP is only accepted for local fixture and development servers
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Security: Reduce a user-supplied origin to scheme://host[:port] or reject it
+function normalizeOrigin(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  try {
+    const url = new URL(value.trim());
+    const isHttps = url.protocol === 'https:';
+    const isLocalHttp =
+      url.protocol === 'http:' && LOCAL_HOSTNAMES.has(url.hostname);
+    if (!isHttps && !isLocalHttp) {
+      return null;
+    }
+    if (url.username || url.password || url.search || url.hash) {
+      return null;
+    }
+    if (url.pathname !== '/' && url.pathname !== '') {
+      return null;
+    }
+    return url.origin;
+  } catch {
+    return null;
+  }
+}
+
+function isValidOriginList(origins) {
+  return (
+    Array.isArray(origins) &&
+    origins.length > 0 &&
+    origins.length <= MAX_TRUSTED_ORIGINS &&
+    origins.every((origin) => normalizeOrigin(origin) !== null)
+  );
+}
+
+// Combine the configured origins with an optional command-line override.
+// The override is trusted for this run only and becomes the default.
+function resolveServiceOrigins({ trustedOrigins, defaultOrigin }, override) {
+  const origins = [];
+  const addOrigin = (value) => {
+    const origin = normalizeOrigin(value);
+    if (origin && !origins.includes(origin)) {
+      origins.push(origin);
+    }
+    return origin;
+  };
+
+  (Array.isArray(trustedOrigins) ? trustedOrigins : []).forEach(addOrigin);
+  const overrideOrigin = override ? addOrigin(override) : null;
+  if (origins.length === 0) {
+    origins.push(DEFAULT_SERVICE_ORIGIN);
+  }
+
+  let resolvedDefault = overrideOrigin || normalizeOrigin(defaultOrigin);
+  if (!resolvedDefault || !origins.includes(resolvedDefault)) {
+    resolvedDefault = origins[0];
+  }
+
+  return { defaultOrigin: resolvedDefault, trustedOrigins: origins };
+}
+
+function isTrustedUrl(urlString, trustedOrigins) {
+  try {
+    return trustedOrigins.includes(new URL(urlString).origin);
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  DEFAULT_SERVICE_ORIGIN,
+  isTrustedUrl,
+  isValidOriginList,
+  normalizeOrigin,
+  resolveServiceOrigins,
+};
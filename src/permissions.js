@@ -0,0 +1,108 @@
+const { URL } = require('url');
+const { normalizeOrigin } = require('./origins');
+
+// Granted without asking, as long as the page itself is trusted
+const AUTO_GRANTED_PERMISSIONS = new Set([
+  // Copying a post link writes to the clipboard
+  'clipboard-sanitized-write',
+  // Full screen video, including embedded players
+  'fullscreen',
+]);
+
+// Asked for with a dialog; the answer may be remembered per origin
+const PROMPTABLE_PERMISSIONS = {
+  notifications: 'show notifications',
+  'clipboard-read': 'read your clipboard',
+};
+
+const DECISIONS = ['allow', 'deny'];
+
+// The origin of a URL, or null when it cannot be parsed
+function getOrigin(value) {
+  try {
+    return new URL(value).origin;
+  } catch {
+    return null;
+  }
+}
+
+// Validate the stored decisions: { origin: { permission: 'allow' | 'deny' } }
+function isValidPermissionDecisions(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  return Object.keys(value).every((origin) => {
+    const entry = value[origin];
+    return (
+      normalizeOrigin(origin) === origin &&
+      entry &&
+      typeof entry === 'object' &&
+      !Array.isArray(entry) &&
+      Object.keys(entry).every(
+        (permission) =>
+          Object.prototype.hasOwnProperty.call(
+            PROMPTABLE_PERMISSIONS,
+            permission
+          ) && DECISIONS.includes(entry[permission])
+      )
+    );
+  });
+}
+
+// Decide a permission request: 'allow', 'deny' or 'prompt' (ask the user).
+// Anything this client does not need is denied outright.
+function decidePermission({
+  permission,
+  requestingUrl,
+  topLevelUrl,
+  trustedOrigins = [],
+  decisions = {},
+}) {
+  const topOrigin = getOrigin(topLevelUrl || requestingUrl);
+  const requestingOrigin = getOrigin(requestingUrl);
+  if (!topOrigin || !trustedOrigins.includes(topOrigin)) {
+    return 'deny';
+  }
+
+  if (AUTO_GRANTED_PERMISSIONS.has(permission)) {
+    // Embedded players may go full screen, only the app may write the clipboard
+    return permission === 'fullscreen' ||
+      trustedOrigins.includes(requestingOrigin)
+      ? 'allow'
+      : 'deny';
+  }
+
+  if (
+    !Object.prototype.hasOwnProperty.call(PROMPTABLE_PERMISSIONS, permission) ||
+    !trustedOrigins.includes(requestingOrigin)
+  ) {
+    return 'deny';
+  }
+
+  const saved =
+    decisions &&
+    Object.prototype.hasOwnProperty.call(decisions, requestingOrigin) &&
+    decisions[requestingOrigin][permission];
+  return DECISIONS.includes(saved) ? saved : 'prompt';
+}
+
+// Return a copy of the decisions with one entry set
+function withPermissionDecision(decisions, origin, permission, decision) {
+  return {
+    ...decisions,
+    [origin]: { ...(decisions[origin] || {}), [permission]: decision },
+  };
+}
+
+// Human readable wording for the prompt, e.g. "show notifications"
+function describePermission(permission) {
+  return PROMPTABLE_PERMISSIONS[permission] || permission;
+}
+
+module.exports = {
+  decidePermission,
+  describePermission,
+  getOrigin,
+  isValidPermissionDecisions,
+  withPermissionDecision,
+};
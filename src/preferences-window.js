@@ -0,0 +1,87 @@
+const { BrowserWindow, ipcMain } = require('electron');
+const path = require('path');
+const { describeSettingsSchema } = require('./settings');
+
+let preferencesWindow = null;
+
+// Security: Settings IPC is only answered for the preferences window itself
+function isPreferencesSender(event) {
+  return (
+    preferencesWindow &&
+    !preferencesWindow.isDestroyed() &&
+    event.sender === preferencesWindow.webContents
+  );
+}
+
+function registerPreferencesIpc(settingsStore) {
+  ipcMain.handle('preferences:get', (event) => {
+    if (!isPreferencesSender(event)) {
+      return null;
+    }
+    return {
+      schema: describeSettingsSchema(),
+      settings: settingsStore.getAll(),
+    };
+  });
+
+  ipcMain.handle('preferences:update', (event, patch) => {
+    if (!isPreferencesSender(event) || !patch || typeof patch !== 'object') {
+      return null;
+    }
+    return settingsStore.update(patch);
+  });
+
+  ipcMain.handle('preferences:reset', (event) => {
+    if (!isPreferencesSender(event)) {
+      return null;
+    }
+    return { settings: settingsStore.reset(), errors: {} };
+  });
+
+  // Keep an open preferences window in sync with changes made elsewhere
+  settingsStore.onDidChange((settings) => {
+    if (preferencesWindow && !preferencesWindow.isDestroyed()) {
+      preferencesWindow.webContents.send('preferences:changed', settings);
+    }
+  });
+}
+
+function openPreferencesWindow() {
+  if (preferencesWindow && !preferencesWindow.isDestroyed()) {
+    preferencesWindow.show();
+    preferencesWindow.focus();
+    return preferencesWindow;
+  }
+
+  preferencesWindow = new BrowserWindow({
+    width: 560,
+    height: 640,
+    minWidth: 420,
+    minHeight: 360,
+    show: false,
+    title: 'Preferences',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      webSecurity: true,
+      preload: path.join(__dirname, 'ui', 'preferences-preload.js'),
+    },
+  });
+  preferencesWindow.setMenu(null);
+
+  preferencesWindow.webContents.on('will-navigate', (event) =>
+    event.preventDefault()
+  );
+  preferencesWindow.webContents.setWindowOpenHandler(() => ({
+    action: 'deny',
+  }));
+  preferencesWindow.once('ready-to-show', () => preferencesWindow.show());
+  preferencesWindow.on('closed', () => {
+    preferencesWindow = null;
+  });
+  preferencesWindow.loadFile(path.join(__dirname, 'ui', 'preferences.html'));
+  return preferencesWindow;
+}
+
+module.exports = { openPreferencesWindow, registerPreferencesIpc };
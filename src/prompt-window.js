@@ -0,0 +1,61 @@
+const { BrowserWindow, ipcMain } = require('electron');
+const path = require('path');
+
+// Electron has no native text prompt, so use a tiny sandboxed window instead
+function showPrompt(parent, { title, label, value = '' }) {
+  return new Promise((resolve) => {
+    const promptWindow = new BrowserWindow({
+      width: 380,
+      height: 170,
+      parent: parent && !parent.isDestroyed() ? parent : undefined,
+      modal: Boolean(parent && !parent.isDestroyed() && parent.isVisible()),
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      show: false,
+      title,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        webSecurity: true,
+        preload: path.join(__dirname, 'ui', 'prompt-preload.js'),
+      },
+    });
+    promptWindow.setMenu(null);
+
+    let settled = false;
+    const finish = (result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      ipcMain.removeListener('prompt-response', onResponse);
+      if (!promptWindow.isDestroyed()) {
+        promptWindow.destroy();
+      }
+      resolve(result);
+    };
+
+    const onResponse = (event, response) => {
+      // Security: Only accept answers from the prompt we opened
+      if (event.sender !== promptWindow.webContents) {
+        return;
+      }
+      finish(typeof response === 'string' ? response : null);
+    };
+
+    ipcMain.on('prompt-response', onResponse);
+    promptWindow.on('closed', () => finish(null));
+    promptWindow.webContents.on('will-navigate', (event) =>
+      event.preventDefault()
+    );
+    promptWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+    promptWindow.once('ready-to-show', () => promptWindow.show());
+    promptWindow.loadFile(path.join(__dirname, 'ui', 'prompt.html'), {
+      query: { title, label, value },
+    });
+  });
+}
+
+module.exports = { showPrompt };
@@ -0,0 +1,540 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const {
+  DEFAULT_SERVICE_ORIGIN,
+  isValidOriginList,
+  normalizeOrigin,
+} = require('./origins');
+const { isValidAccelerator } = require('./shortcuts');
+const { isValidMenuAcceleratorMap } = require('./app-menu');
+const { isValidLinkRules } = require('./link-router');
+const { isValidSubscriptionList } = require('./filter-list-store');
+const { isValidPermissionDecisions } = require('./permissions');
+const {
+  isValidDictionaryUrl,
+  isValidDictionaryWordList,
+  isValidLanguageList,
+} = require('./spellcheck');
+const { isValidUpdateFeedUrl } = require('./updater');
+
+const SETTINGS_VERSION = 1;
+
+// Every user-tunable knob, with the metadata the preferences window renders.
+// Types: 'number' (min/max, integer), 'boolean', 'string', 'enum' (options),
+// 'list' (array of strings) and 'json' (structured values). Entries may add a
+// `validate` function for checks the type alone cannot express.
+const SETTINGS_SCHEMA = {
+  wheelRefreshThreshold: {
+    section: 'Refresh',
+    label: 'Scroll distance to refresh at the top of a page (px)',
+    type: 'number',
+    default: 150,
+    min: 50,
+    max: 1000,
+    integer: true,
+  },
+  showRefreshButton: {
+    section: 'Refresh',
+    label: 'Show the floating refresh button',
+    type: 'boolean',
+    default: true,
+  },
+  showPinButton: {
+    section: 'Refresh',
+    label: 'Show the floating always-on-top button',
+    type: 'boolean',
+    default: true,
+  },
+  cacheClearIntervalMinutes: {
+    section: 'Performance',
+    label: 'Clear the HTTP cache every (minutes, 0 to disable)',
+    type: 'number',
+    default: 30,
+    min: 0,
+    max: 1440,
+    integer: true,
+  },
+  memoryMonitorIntervalSeconds: {
+    section: 'Performance',
+    label: 'Check page memory usage every (seconds)',
+    type: 'number',
+    default: 60,
+    min: 10,
+    max: 3600,
+    integer: true,
+  },
+  memoryHeapUsageThreshold: {
+    section: 'Performance',
+    label: 'Clean up when the page uses more of its heap than (%)',
+    type: 'number',
+    default: 80,
+    min: 50,
+    max: 95,
+    integer: true,
+  },
+  defaultOrigin: {
+    section: 'Service',
+    label: 'Open this origin at startup',
+    type: 'string',
+    default: DEFAULT_SERVICE_ORIGIN,
+    validate: (value) => normalizeOrigin(value) !== null,
+  },
+  trustedOrigins: {
+    section: 'Service',
+    label: 'Trusted origins (one per line)',
+    description:
+      'The window may only navigate within these origins. Plain HTTP is allowed for localhost only.',
+    type: 'list',
+    default: [DEFAULT_SERVICE_ORIGIN],
+    validate: isValidOriginList,
+  },
+  linkRules: {
+    section: 'Links',
+    label: 'Link rules',
+    description:
+      'Checked in order before the defaults (trusted origins in the app, everything else in the browser). Each rule is {"match": "example.com", "action": "..."} with action "in-app", "external", "popup" or "block". A match may be "example.com", "*.example.com", "example.com/path" or "*".',
+    type: 'json',
+    default: [],
+    validate: isValidLinkRules,
+  },
+  stripTrackingParameters: {
+    section: 'Links',
+    label: 'Remove tracking parameters such as utm_source and fbclid',
+    type: 'boolean',
+    default: true,
+  },
+  warnSuspiciousLinks: {
+    section: 'Links',
+    label: 'Ask before opening lookalike or mislabeled links',
+    type: 'boolean',
+    default: true,
+  },
+  requestFiltering: {
+    section: 'Privacy',
+    label: 'Block trackers with the enabled filter lists',
+    type: 'boolean',
+    default: true,
+  },
+  disabledFilterLists: {
+    section: 'Privacy',
+    label: 'Disabled filter lists (one id per line)',
+    description:
+      'Lists can also be turned on and off from the tray menu under Content Blocking.',
+    type: 'list',
+    default: [],
+  },
+  filterListSubscriptions: {
+    section: 'Privacy',
+    label: 'Filter list subscriptions (HTTPS URLs, one per line)',
+    description:
+      'Downloaded once a day, e.g. https://easylist.to/easylist/easyprivacy.txt',
+    type: 'list',
+    default: [],
+    validate: isValidSubscriptionList,
+  },
+  permissionDecisions: {
+    section: 'Privacy',
+    label: 'Remembered permission decisions',
+    description:
+      'Answers given to permission prompts, by origin, e.g. {"https://bsky.app": {"notifications": "deny"}}. Remove an entry to be asked again. Permissions the app does not need are always denied.',
+    type: 'json',
+    default: {},
+    validate: isValidPermissionDecisions,
+  },
+  downloadDirectory: {
+    section: 'Downloads',
+    label: 'Save downloads to (empty for the system Downloads folder)',
+    type: 'string',
+    default: '',
+    validate: (value) => value === '' || path.isAbsolute(value),
+  },
+  askWhereToSave: {
+    section: 'Downloads',
+    label: 'Ask where to save each download',
+    type: 'boolean',
+    default: false,
+  },
+  spellcheck: {
+    section: 'Spelling',
+    label: 'Check spelling while typing',
+    type: 'boolean',
+    default: true,
+  },
+  spellcheckLanguages: {
+    section: 'Spelling',
+    label: 'Spelling languages (one per line, e.g. en-US or de)',
+    description:
+      'Also selectable from the right-click menu of the post composer. macOS always uses the system languages.',
+    type: 'list',
+    default: ['en-US'],
+    validate: isValidLanguageList,
+  },
+  customDictionaryWords: {
+    section: 'Spelling',
+    label: 'Words added to the dictionary (one per line)',
+    type: 'list',
+    default: [],
+    validate: isValidDictionaryWordList,
+  },
+  spellcheckDictionaryUrl: {
+    section: 'Spelling',
+    label: 'Download dictionaries from (HTTPS folder URL, empty for Chromium)',
+    description:
+      'Dictionaries (.bdic files) already in the dictionaries folder are used without downloading, so spell checking works offline.',
+    type: 'string',
+    default: '',
+    validate: isValidDictionaryUrl,
+  },
+  checkForUpdates: {
+    section: 'Updates',
+    label: 'Check for updates automatically',
+    type: 'boolean',
+    default: true,
+  },
+  updateChannel: {
+    section: 'Updates',
+    label: 'Release channel',
+    type: 'enum',
+    default: 'stable',
+    options: [
+      { value: 'stable', label: 'Stable' },
+      { value: 'beta', label: 'Beta (early versions, may be unstable)' },
+    ],
+  },
+  updateFeedUrl: {
+    section: 'Updates',
+    label: 'Update feed URL (empty for the official releases)',
+    description:
+      'A folder serving latest.yml and the installers, e.g. a local static server over dist/ for testing. Plain HTTP is allowed for localhost only.',
+    type: 'string',
+    default: '',
+    validate: isValidUpdateFeedUrl,
+  },
+  showUnreadBadge: {
+    section: 'Notifications',
+    label: 'Show unread counts on the tray icon and app badge',
+    type: 'boolean',
+    default: true,
+  },
+  unreadPollIntervalSeconds: {
+    section: 'Notifications',
+    label: 'Check for unread notifications every (seconds)',
+    type: 'number',
+    default: 60,
+    min: 15,
+    max: 3600,
+    integer: true,
+  },
+  desktopNotifications: {
+    section: 'Notifications',
+    label: 'Show desktop notifications',
+    type: 'boolean',
+    default: true,
+  },
+  notifyOnLike: {
+    section: 'Notifications',
+    label: 'Notify about likes',
+    type: 'boolean',
+    default: false,
+  },
+  notifyOnRepost: {
+    section: 'Notifications',
+    label: 'Notify about reposts',
+    type: 'boolean',
+    default: false,
+  },
+  notifyOnFollow: {
+    section: 'Notifications',
+    label: 'Notify about new followers',
+    type: 'boolean',
+    default: true,
+  },
+  notifyOnMention: {
+    section: 'Notifications',
+    label: 'Notify about mentions',
+    type: 'boolean',
+    default: true,
+  },
+  notifyOnReply: {
+    section: 'Notifications',
+    label: 'Notify about replies',
+    type: 'boolean',
+    default: true,
+  },
+  notifyOnQuote: {
+    section: 'Notifications',
+    label: 'Notify about quote posts',
+    type: 'boolean',
+    default: true,
+  },
+  notifyOnChat: {
+    section: 'Notifications',
+    label: 'Notify about direct messages',
+    type: 'boolean',
+    default: true,
+  },
+  minimumFontSize: {
+    section: 'Window',
+    label: 'Minimum font size (px, 0 to turn off)',
+    description: 'Applies the next time the window opens.',
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 32,
+    integer: true,
+  },
+  restoreLastRoute: {
+    section: 'Window',
+    label: 'Reopen the last visited page and scroll position at startup',
+    type: 'boolean',
+    default: true,
+  },
+  autoHideMenuBar: {
+    section: 'Window',
+    label: 'Hide the menu bar until Alt is pressed (Windows and Linux)',
+    type: 'boolean',
+    default: false,
+  },
+  menuAccelerators: {
+    section: 'Window',
+    label: 'Menu shortcuts',
+    description:
+      'Override menu shortcuts by command, e.g. {"home": "CommandOrControl+H", "toggleDevTools": ""}. An empty value removes the shortcut. Commands: back, forward, home, notifications, chat, search, profile, settings, preferences, find, findNext, findPrevious, reload, forceReload, zoomIn, zoomOut, resetZoom, toggleFullScreen, toggleDevTools.',
+    type: 'json',
+    default: {},
+    validate: isValidMenuAcceleratorMap,
+  },
+  shortcutToggleWindow: {
+    section: 'Shortcuts',
+    label: 'Show or hide the window',
+    description:
+      'Global shortcuts work from any application, so they are off until you set one, e.g. CommandOrControl+Shift+B. Leave a field empty to turn the shortcut off.',
+    type: 'string',
+    default: '',
+    validate: isValidAccelerator,
+  },
+  shortcutOpenComposer: {
+    section: 'Shortcuts',
+    label: 'Write a new post',
+    type: 'string',
+    default: '',
+    validate: isValidAccelerator,
+  },
+  shortcutShowNotifications: {
+    section: 'Shortcuts',
+    label: 'Open notifications',
+    type: 'string',
+    default: '',
+    validate: isValidAccelerator,
+  },
+  shortcutToggleAlwaysOnTop: {
+    section: 'Shortcuts',
+    label: 'Toggle always on top',
+    type: 'string',
+    default: '',
+    validate: isValidAccelerator,
+  },
+};
+
+// MIGRATIONS[n] upgrades a version n-1 settings object to version n.
+// Files written before versioning existed are treated as version 0.
+const MIGRATIONS = {};
+
+function isValidSettingValue(descriptor, value) {
+  switch (descriptor.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return false;
+      }
+      if (descriptor.integer && !Number.isInteger(value)) {
+        return false;
+      }
+      if (descriptor.min !== undefined && value < descriptor.min) {
+        return false;
+      }
+      if (descriptor.max !== undefined && value > descriptor.max) {
+        return false;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return false;
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string' || value.length > 2048) {
+        return false;
+      }
+      break;
+    case 'enum':
+      if (!descriptor.options.some((option) => option.value === value)) {
+        return false;
+      }
+      break;
+    case 'list':
+      if (
+        !Array.isArray(value) ||
+        !value.every((item) => typeof item === 'string')
+      ) {
+        return false;
+      }
+      break;
+    case 'json':
+      if (value === undefined) {
+        return false;
+      }
+      break;
+    default:
+      return false;
+  }
+
+  return descriptor.validate ? descriptor.validate(value) === true : true;
+}
+
+function getDefaultSettings(schema = SETTINGS_SCHEMA) {
+  const defaults = {};
+  Object.keys(schema).forEach((key) => {
+    defaults[key] = structuredClone(schema[key].default);
+  });
+  return defaults;
+}
+
+// Run every migration between the stored version and the current one
+function migrateSettings(data, migrations = MIGRATIONS, targetVersion) {
+  const version = Number.isInteger(data.version) ? data.version : 0;
+  let migrated = { ...data };
+
+  for (let next = version + 1; next <= targetVersion; next++) {
+    if (typeof migrations[next] === 'function') {
+      migrated = migrations[next](migrated);
+    }
+  }
+  migrated.version = Math.max(version, targetVersion);
+  return migrated;
+}
+
+// Keep only known keys with valid values; everything else falls back to defaults
+function normalizeSettings(data, schema = SETTINGS_SCHEMA) {
+  const settings = getDefaultSettings(schema);
+  if (!data || typeof data !== 'object') {
+    return settings;
+  }
+
+  Object.keys(schema).forEach((key) => {
+    if (
+      Object.prototype.hasOwnProperty.call(data, key) &&
+      isValidSettingValue(schema[key], data[key])
+    ) {
+      settings[key] = data[key];
+    }
+  });
+  return settings;
+}
+
+// Serializable view of the schema for the preferences window
+function describeSettingsSchema(schema = SETTINGS_SCHEMA) {
+  return Object.keys(schema).map((key) => {
+    const { section, label, type, min, max, integer, options, description } =
+      schema[key];
+    return {
+      key,
+      section,
+      label,
+      type,
+      min,
+      max,
+      integer,
+      options,
+      description,
+    };
+  });
+}
+
+function createSettingsStore(filePath, options = {}) {
+  const schema = options.schema || SETTINGS_SCHEMA;
+  const version = options.version || SETTINGS_VERSION;
+  const migrations = options.migrations || MIGRATIONS;
+  const listeners = new Set();
+
+  const stored = readJsonFile(filePath, null);
+  let settings = normalizeSettings(
+    stored ? migrateSettings(stored, migrations, version) : null,
+    schema
+  );
+
+  const snapshot = () => structuredClone(settings);
+  const save = () => writeJsonFile(filePath, { version, ...settings });
+  const notify = (changedKeys) => {
+    if (changedKeys.length === 0) {
+      return;
+    }
+    listeners.forEach((listener) => listener(snapshot(), changedKeys));
+  };
+
+  return {
+    get(key) {
+      return structuredClone(settings[key]);
+    },
+
+    getAll: snapshot,
+
+    // Apply the valid part of a patch and report the rejected keys
+    update(patch) {
+      const errors = {};
+      const changedKeys = [];
+      const next = { ...settings };
+
+      Object.keys(patch || {}).forEach((key) => {
+        const descriptor = Object.prototype.hasOwnProperty.call(schema, key)
+          ? schema[key]
+          : null;
+        if (!descriptor) {
+          errors[key] = 'Unknown setting';
+          return;
+        }
+        if (!isValidSettingValue(descriptor, patch[key])) {
+          errors[key] = 'Invalid value';
+          return;
+        }
+        if (JSON.stringify(next[key]) !== JSON.stringify(patch[key])) {
+          next[key] = structuredClone(patch[key]);
+          changedKeys.push(key);
+        }
+      });
+
+      if (changedKeys.length > 0) {
+        settings = next;
+        save();
+        notify(changedKeys);
+      }
+      return { settings: snapshot(), errors };
+    },
+
+    reset() {
+      const defaults = getDefaultSettings(schema);
+      const changedKeys = Object.keys(schema).filter(
+        (key) => JSON.stringify(settings[key]) !== JSON.stringify(defaults[key])
+      );
+      settings = defaults;
+      save();
+      notify(changedKeys);
+      return snapshot();
+    },
+
+    onDidChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  SETTINGS_VERSION,
+  createSettingsStore,
+  describeSettingsSchema,
+  getDefaultSettings,
+  isValidSettingValue,
+  migrateSettings,
+  normalizeSettings,
+};
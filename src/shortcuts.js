@@ -0,0 +1,262 @@
+// System-wide shortcuts, registered through Electron's globalShortcut.
+// Each action maps to a settings key holding an accelerator string such as
+// "CommandOrControl+Shift+B"; an empty string leaves the action unbound.
+const GLOBAL_SHORTCUT_ACTIONS = [
+  {
+    action: 'toggleWindow',
+    settingKey: 'shortcutToggleWindow',
+  },
+  {
+    action: 'openComposer',
+    settingKey: 'shortcutOpenComposer',
+  },
+  {
+    action: 'showNotifications',
+    settingKey: 'shortcutShowNotifications',
+  },
+  {
+    action: 'toggleAlwaysOnTop',
+    settingKey: 'shortcutToggleAlwaysOnTop',
+  },
+];
+
+// Canonical spelling and order of every modifier alias Electron accepts
+const MODIFIERS = {
+  commandorcontrol: 'CommandOrControl',
+  cmdorctrl: 'CommandOrControl',
+  command: 'Command',
+  cmd: 'Command',
+  control: 'Control',
+  ctrl: 'Control',
+  alt: 'Alt',
+  option: 'Alt',
+  altgr: 'AltGr',
+  shift: 'Shift',
+  super: 'Super',
+  meta: 'Super',
+};
+const MODIFIER_ORDER = [
+  'CommandOrControl',
+  'Command',
+  'Control',
+  'Alt',
+  'AltGr',
+  'Shift',
+  'Super',
+];
+
+const NAMED_KEYS = [
+  'Plus',
+  'Space',
+  'Tab',
+  'Capslock',
+  'Numlock',
+  'Scrolllock',
+  'Backspace',
+  'Delete',
+  'Insert',
+  'Return',
+  'Enter',
+  'Up',
+  'Down',
+  'Left',
+  'Right',
+  'Home',
+  'End',
+  'PageUp',
+  'PageDown',
+  'Escape',
+  'Esc',
+  'PrintScreen',
+  'numdec',
+  'numadd',
+  'numsub',
+  'nummult',
+  'numdiv',
+];
+// Keys that make sense without a modifier because nothing types them
+const STANDALONE_KEYS = [
+  'VolumeUp',
+  'VolumeDown',
+  'VolumeMute',
+  'MediaNextTrack',
+  'MediaPreviousTrack',
+  'MediaStop',
+  'MediaPlayPause',
+];
+const KEYS = new Map(
+  [...NAMED_KEYS, ...STANDALONE_KEYS].map((key) => [key.toLowerCase(), key])
+);
+const MAX_ACCELERATOR_LENGTH = 100;
+
+function normalizeKey(value) {
+  if (/^[a-z]$/i.test(value)) {
+    return value.toUpperCase();
+  }
+  if (
+    /^[0-9]$/.test(value) ||
+    /^[)!@#$%^&*(:;=<,_\-.>?/~`{[\]|\\}"']$/.test(value)
+  ) {
+    return value;
+  }
+  if (/^f([1-9]|1[0-9]|2[0-4])$/i.test(value)) {
+    return value.toUpperCase();
+  }
+  if (/^num[0-9]$/i.test(value)) {
+    return value.toLowerCase();
+  }
+  return KEYS.get(value.toLowerCase()) || null;
+}
+
+function isStandaloneKey(key) {
+  return /^F[0-9]+$/.test(key) || STANDALONE_KEYS.includes(key);
+}
+
+// Parse an accelerator into its canonical form, e.g. "shift+ctrl+b" becomes
+// "Control+Shift+B". Returns '' for an empty value and null when invalid.
+function normalizeAccelerator(value) {
+  if (typeof value !== 'string' || value.length > MAX_ACCELERATOR_LENGTH) {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return '';
+  }
+
+  // "Plus" spells the + key, so a literal "+" may only appear as a separator
+  const parts = trimmed.split('+').map((part) => part.trim());
+  const modifiers = new Set();
+  let key = null;
+  for (const part of parts) {
+    const modifier = MODIFIERS[part.toLowerCase()];
+    if (modifier) {
+      if (modifiers.has(modifier)) {
+        return null;
+      }
+      modifiers.add(modifier);
+      continue;
+    }
+    const normalizedKey = part ? normalizeKey(part) : null;
+    if (!normalizedKey || key) {
+      return null;
+    }
+    key = normalizedKey;
+  }
+
+  // A global shortcut without a modifier would swallow ordinary typing
+  if (!key || (modifiers.size === 0 && !isStandaloneKey(key))) {
+    return null;
+  }
+  return [
+    ...MODIFIER_ORDER.filter((modifier) => modifiers.has(modifier)),
+    key,
+  ].join('+');
+}
+
+function isValidAccelerator(value) {
+  return normalizeAccelerator(value) !== null;
+}
+
+// The keys a user actually presses, so "CommandOrControl+B" and "Ctrl+B"
+// collide on Windows and Linux but not on macOS
+function getKeyChord(accelerator, platform) {
+  const isMac = platform === 'darwin';
+  const aliases = {
+    CommandOrControl: isMac ? 'Command' : 'Control',
+    Command: isMac ? 'Command' : 'Super',
+  };
+  const parts = accelerator.split('+');
+  const key = parts.pop();
+  const modifiers = [
+    ...new Set(parts.map((modifier) => aliases[modifier] || modifier)),
+  ].sort();
+  return [
+    ...modifiers,
+    key.replace(/^Esc$/, 'Escape').replace(/^Enter$/, 'Return'),
+  ].join('+');
+}
+
+// Group actions bound to the same key chord. Returns [{ accelerator, actions }]
+// for every chord claimed by more than one action.
+function findShortcutConflicts(bindings, platform = process.platform) {
+  const byChord = new Map();
+  Object.keys(bindings).forEach((action) => {
+    const accelerator = normalizeAccelerator(bindings[action]);
+    if (!accelerator) {
+      return;
+    }
+    const chord = getKeyChord(accelerator, platform);
+    if (!byChord.has(chord)) {
+      byChord.set(chord, { accelerator, actions: [] });
+    }
+    byChord.get(chord).actions.push(action);
+  });
+  return [...byChord.values()].filter((entry) => entry.actions.length > 1);
+}
+
+// Read the configured bindings for every action from a settings snapshot
+function getShortcutBindings(settings) {
+  const bindings = {};
+  GLOBAL_SHORTCUT_ACTIONS.forEach(({ action, settingKey }) => {
+    bindings[action] =
+      typeof settings[settingKey] === 'string' ? settings[settingKey] : '';
+  });
+  return bindings;
+}
+
+// Replace every registered shortcut with the given bindings. Conflicting
+// bindings are skipped rather than letting the first one win silently.
+// Returns the failures as [{ action, accelerator, reason }] where reason is
+// 'invalid', 'conflict' or 'unavailable' (taken by another application).
+function registerGlobalShortcuts(
+  globalShortcut,
+  bindings,
+  handlers,
+  platform = process.platform
+) {
+  globalShortcut.unregisterAll();
+
+  const failures = [];
+  const conflicting = new Set(
+    findShortcutConflicts(bindings, platform).flatMap((entry) => entry.actions)
+  );
+
+  Object.keys(bindings).forEach((action) => {
+    const accelerator = normalizeAccelerator(bindings[action]);
+    if (accelerator === '' || typeof handlers[action] !== 'function') {
+      return;
+    }
+    if (accelerator === null) {
+      failures.push({
+        action,
+        accelerator: bindings[action],
+        reason: 'invalid',
+      });
+      return;
+    }
+    if (conflicting.has(action)) {
+      failures.push({ action, accelerator, reason: 'conflict' });
+      return;
+    }
+
+    let registered = false;
+    try {
+      registered = globalShortcut.register(accelerator, handlers[action]);
+    } catch {
+      registered = false;
+    }
+    if (!registered) {
+      failures.push({ action, accelerator, reason: 'unavailable' });
+    }
+  });
+  return failures;
+}
+
+module.exports = {
+  GLOBAL_SHORTCUT_ACTIONS,
+  findShortcutConflicts,
+  getShortcutBindings,
+  isValidAccelerator,
+  normalizeAccelerator,
+  registerGlobalShortcuts,
+};
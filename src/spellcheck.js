@@ -0,0 +1,127 @@
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const MAX_LANGUAGES = 10;
+const MAX_DICTIONARY_WORDS = 5000;
+const MAX_WORD_LENGTH = 100;
+
+function isValidLanguageList(languages) {
+  return (
+    Array.isArray(languages) &&
+    languages.length <= MAX_LANGUAGES &&
+    languages.every((language) => LANGUAGE_PATTERN.test(language))
+  );
+}
+
+// One word per entry: no spaces, as the spellchecker checks single words
+function isValidDictionaryWord(word) {
+  return (
+    typeof word === 'string' &&
+    word.length > 0 &&
+    word.length <= MAX_WORD_LENGTH &&
+    !/\s/.test(word)
+  );
+}
+
+function isValidDictionaryWordList(words) {
+  return (
+    Array.isArray(words) &&
+    words.length <= MAX_DICTIONARY_WORDS &&
+    words.every(isValidDictionaryWord)
+  );
+}
+
+// Security: Dictionaries come from the Chromium CDN or an HTTPS mirror
+function isValidDictionaryUrl(value) {
+  if (value === '') {
+    return true;
+  }
+  try {
+    const url = new URL(value);
+    return (
+      url.protocol === 'https:' &&
+      !url.username &&
+      !url.password &&
+      url.pathname.endsWith('/')
+    );
+  } catch {
+    return false;
+  }
+}
+
+// Match the wanted languages against those Chromium has dictionaries for,
+// e.g. "de" picks "de-DE". Unknown languages are reported, not guessed.
+function resolveSpellCheckerLanguages(wanted, available) {
+  const languages = [];
+  const missing = [];
+  wanted.forEach((language) => {
+    const lower = language.toLowerCase();
+    const match =
+      available.find((candidate) => candidate.toLowerCase() === lower) ||
+      available.find((candidate) =>
+        candidate.toLowerCase().startsWith(`${lower}-`)
+      );
+    if (!match) {
+      missing.push(language);
+    } else if (!languages.includes(match)) {
+      languages.push(match);
+    }
+  });
+  return { languages, missing };
+}
+
+// Turn a dictionary language on or off in the saved list. Turning one off
+// also drops saved entries that resolved to it, e.g. "de" for "de-DE".
+function withSpellCheckerLanguage(languages, language, enabled) {
+  const lower = language.toLowerCase();
+  const others = languages.filter((candidate) => {
+    const candidateLower = candidate.toLowerCase();
+    return candidateLower !== lower && !lower.startsWith(`${candidateLower}-`);
+  });
+  return enabled ? [...others, language] : others;
+}
+
+// Configure a session's spellchecker and bring its custom dictionary in
+// line with the saved word list. macOS always uses the system languages.
+// Resolves with the languages that had no dictionary.
+async function applySpellChecker(
+  ses,
+  { enabled, languages, words, dictionaryUrl },
+  platform = process.platform
+) {
+  ses.setSpellCheckerEnabled(enabled);
+  let missing = [];
+  if (platform !== 'darwin') {
+    if (dictionaryUrl) {
+      ses.setSpellCheckerDictionaryDownloadURL(dictionaryUrl);
+    }
+    const resolved = resolveSpellCheckerLanguages(
+      languages,
+      ses.availableSpellCheckerLanguages
+    );
+    ses.setSpellCheckerLanguages(resolved.languages);
+    missing = resolved.missing;
+  }
+
+  const saved = new Set(words);
+  const current = new Set(await ses.listWordsInSpellCheckerDictionary());
+  saved.forEach((word) => {
+    if (!current.has(word)) {
+      ses.addWordToSpellCheckerDictionary(word);
+    }
+  });
+  current.forEach((word) => {
+    if (!saved.has(word)) {
+      ses.removeWordFromSpellCheckerDictionary(word);
+    }
+  });
+  return missing;
+}
+
+module.exports = {
+  applySpellChecker,
+  isValidDictionaryUrl,
+  isValidDictionaryWord,
+  isValidDictionaryWordList,
+  isValidLanguageList,
+  resolveSpellCheckerLanguages,
+  withSpellCheckerLanguage,
+};
@@ -0,0 +1,22 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('findBarAPI', {
+  // Search the page; options: { forward, matchCase }
+  find: (text, options) => {
+    ipcRenderer.send('find-bar:find', text, options);
+  },
+
+  close: () => {
+    ipcRenderer.send('find-bar:close');
+  },
+
+  // Called whenever the bar is opened or re-focused
+  onOpen: (callback) => {
+    ipcRenderer.on('find-bar:open', () => callback());
+  },
+
+  // Receives { active, matches } for the current search
+  onResult: (callback) => {
+    ipcRenderer.on('find-bar:result', (event, result) => callback(result));
+  },
+});
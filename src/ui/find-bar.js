@@ -0,0 +1,63 @@
+const form = document.getElementById('find-form');
+const input = document.getElementById('find-input');
+const count = document.getElementById('find-count');
+const matchCase = document.getElementById('find-match-case');
+
+function find(forward) {
+  window.findBarAPI.find(input.value, {
+    forward,
+    matchCase: matchCase.checked,
+  });
+}
+
+input.addEventListener('input', () => find(true));
+matchCase.addEventListener('change', () => find(true));
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  find(true);
+});
+
+input.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter' && event.shiftKey) {
+    event.preventDefault();
+    find(false);
+  }
+});
+
+document.getElementById('find-previous').addEventListener('click', () => {
+  find(false);
+});
+
+document.getElementById('find-close').addEventListener('click', () => {
+  window.findBarAPI.close();
+});
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    window.findBarAPI.close();
+  } else if (event.key === 'F3') {
+    event.preventDefault();
+    find(!event.shiftKey);
+  }
+});
+
+window.findBarAPI.onOpen(() => {
+  input.focus();
+  input.select();
+  // Show the count again for a query kept from the last time
+  if (input.value) {
+    find(true);
+  }
+});
+
+window.findBarAPI.onResult(({ active, matches }) => {
+  if (!input.value) {
+    count.textContent = '';
+  } else if (matches === 0) {
+    count.textContent = 'No results';
+  } else {
+    count.textContent = `${active} of ${matches}`;
+  }
+  count.classList.toggle('no-results', Boolean(input.value) && matches === 0);
+});
@@ -0,0 +1,12 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('offlinePageAPI', {
+  retry: () => {
+    ipcRenderer.send('offline-page:retry');
+  },
+
+  // Receives { title, message, description, url, isOnline, retryAt }
+  onState: (callback) => {
+    ipcRenderer.on('offline-page:state', (event, state) => callback(state));
+  },
+});
@@ -0,0 +1,42 @@
+const title = document.getElementById('offline-title');
+const message = document.getElementById('offline-message');
+const url = document.getElementById('offline-url');
+const description = document.getElementById('offline-description');
+const status = document.getElementById('offline-status');
+const retryButton = document.getElementById('offline-retry');
+
+let currentState = null;
+
+function updateStatus() {
+  if (!currentState) {
+    return;
+  }
+  if (!currentState.isOnline) {
+    status.textContent = 'Waiting for a network connection…';
+    return;
+  }
+  if (!currentState.retryAt) {
+    status.textContent = 'Retrying…';
+    return;
+  }
+  const seconds = Math.max(
+    0,
+    Math.ceil((currentState.retryAt - Date.now()) / 1000)
+  );
+  status.textContent = seconds > 0 ? `Retrying in ${seconds} s` : 'Retrying…';
+}
+
+window.offlinePageAPI.onState((state) => {
+  currentState = state;
+  title.textContent = state.title;
+  message.textContent = state.message;
+  url.textContent = state.url;
+  description.textContent = state.description;
+  updateStatus();
+});
+
+retryButton.addEventListener('click', () => {
+  window.offlinePageAPI.retry();
+});
+
+setInterval(updateStatus, 1000);
@@ -0,0 +1,19 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('preferencesAPI', {
+  // Load the settings schema and current values
+  get: () => ipcRenderer.invoke('preferences:get'),
+
+  // Apply a partial update; resolves with the new settings and any errors
+  update: (patch) => ipcRenderer.invoke('preferences:update', patch),
+
+  // Restore every setting to its default
+  reset: () => ipcRenderer.invoke('preferences:reset'),
+
+  // Listen for changes made outside this window
+  onChanged: (callback) => {
+    ipcRenderer.on('preferences:changed', (event, settings) =>
+      callback(settings)
+    );
+  },
+});
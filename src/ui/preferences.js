@@ -0,0 +1,166 @@
+const form = document.getElementById('preferences-form');
+const controls = new Map();
+
+// Convert a control's value to the setting's type
+function readControl(field, control) {
+  switch (field.type) {
+    case 'boolean':
+      return control.checked;
+    case 'number':
+      return control.value === '' ? NaN : Number(control.value);
+    case 'list':
+      return control.value
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean);
+    case 'json':
+      try {
+        return JSON.parse(control.value);
+      } catch {
+        return undefined;
+      }
+    default:
+      return control.value;
+  }
+}
+
+function writeControl(field, control, value) {
+  switch (field.type) {
+    case 'boolean':
+      control.checked = value;
+      break;
+    case 'list':
+      control.value = value.join('\n');
+      break;
+    case 'json':
+      control.value = JSON.stringify(value, null, 2);
+      break;
+    default:
+      control.value = String(value);
+  }
+}
+
+function createControl(field) {
+  let control;
+  switch (field.type) {
+    case 'boolean':
+      control = document.createElement('input');
+      control.type = 'checkbox';
+      break;
+    case 'number':
+      control = document.createElement('input');
+      control.type = 'number';
+      if (field.min !== undefined) {
+        control.min = String(field.min);
+      }
+      if (field.max !== undefined) {
+        control.max = String(field.max);
+      }
+      control.step = field.integer ? '1' : 'any';
+      break;
+    case 'enum':
+      control = document.createElement('select');
+      field.options.forEach((option) => {
+        const element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        control.appendChild(element);
+      });
+      break;
+    case 'list':
+    case 'json':
+      control = document.createElement('textarea');
+      control.rows = field.type === 'json' ? 8 : 4;
+      control.spellcheck = false;
+      break;
+    default:
+      control = document.createElement('input');
+      control.type = 'text';
+  }
+  control.id = `setting-${field.key}`;
+  return control;
+}
+
+function renderField(container, field) {
+  const row = document.createElement('div');
+  row.className = `setting setting-${field.type}`;
+
+  const label = document.createElement('label');
+  label.htmlFor = `setting-${field.key}`;
+  label.textContent = field.label;
+
+  const control = createControl(field);
+  const error = document.createElement('div');
+  error.className = 'setting-error';
+
+  if (field.type === 'boolean') {
+    label.prepend(control);
+    row.appendChild(label);
+  } else {
+    row.appendChild(label);
+    row.appendChild(control);
+  }
+  if (field.description) {
+    const description = document.createElement('div');
+    description.className = 'setting-description';
+    description.textContent = field.description;
+    row.appendChild(description);
+  }
+  row.appendChild(error);
+  container.appendChild(row);
+
+  // Apply changes as soon as a control is committed
+  control.addEventListener('change', async () => {
+    const value = readControl(field, control);
+    const result = await window.preferencesAPI.update({ [field.key]: value });
+    error.textContent =
+      result && result.errors[field.key] ? result.errors[field.key] : '';
+  });
+
+  controls.set(field.key, { field, control, error });
+}
+
+function applySettings(settings) {
+  controls.forEach(({ field, control, error }, key) => {
+    // Don't clobber a field the user is still editing
+    if (document.activeElement !== control) {
+      writeControl(field, control, settings[key]);
+      error.textContent = '';
+    }
+  });
+}
+
+async function init() {
+  const data = await window.preferencesAPI.get();
+  if (!data) {
+    return;
+  }
+
+  const sections = new Map();
+  data.schema.forEach((field) => {
+    if (!sections.has(field.section)) {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = field.section;
+      fieldset.appendChild(legend);
+      form.appendChild(fieldset);
+      sections.set(field.section, fieldset);
+    }
+    renderField(sections.get(field.section), field);
+  });
+
+  applySettings(data.settings);
+  window.preferencesAPI.onChanged(applySettings);
+}
+
+document
+  .getElementById('preferences-reset')
+  .addEventListener('click', async () => {
+    const result = await window.preferencesAPI.reset();
+    if (result) {
+      controls.forEach(({ control }) => control.blur());
+      applySettings(result.settings);
+    }
+  });
+
+init();
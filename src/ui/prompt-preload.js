@@ -0,0 +1,8 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('promptAPI', {
+  // Send the entered value, or null when cancelled
+  respond: (value) => {
+    ipcRenderer.send('prompt-response', value);
+  },
+});
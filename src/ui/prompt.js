@@ -0,0 +1,23 @@
+const params = new URLSearchParams(window.location.search);
+const form = document.getElementById('prompt-form');
+const input = document.getElementById('prompt-input');
+
+document.title = params.get('title') || 'Bluesky Client';
+document.getElementById('prompt-label').textContent = params.get('label') || '';
+input.value = params.get('value') || '';
+input.select();
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  window.promptAPI.respond(input.value);
+});
+
+document.getElementById('prompt-cancel').addEventListener('click', () => {
+  window.promptAPI.respond(null);
+});
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    window.promptAPI.respond(null);
+  }
+});
@@ -0,0 +1,105 @@
+// 3x5 pixel glyphs for the single digit drawn inside the badge
+const DIGIT_GLYPHS = {
+  1: ['010', '110', '010', '010', '111'],
+  2: ['111', '001', '111', '100', '111'],
+  3: ['111', '001', '111', '001', '111'],
+  4: ['101', '101', '111', '001', '001'],
+  5: ['111', '100', '111', '001', '111'],
+  6: ['111', '100', '111', '101', '111'],
+  7: ['111', '001', '010', '010', '010'],
+  8: ['111', '101', '111', '101', '111'],
+  9: ['111', '101', '111', '001', '111'],
+};
+
+// Pixels are BGRA, matching nativeImage.toBitmap() and createFromBitmap()
+const BADGE_COLOR = [0x2c, 0x34, 0xd0, 0xff];
+const DIGIT_COLOR = [0xff, 0xff, 0xff, 0xff];
+
+function formatUnreadCount(count) {
+  if (!Number.isInteger(count) || count <= 0) {
+    return '';
+  }
+  return count > 99 ? '99+' : String(count);
+}
+
+function setPixel(bitmap, width, x, y, color) {
+  const offset = (y * width + x) * 4;
+  bitmap[offset] = color[0];
+  bitmap[offset + 1] = color[1];
+  bitmap[offset + 2] = color[2];
+  bitmap[offset + 3] = color[3];
+}
+
+// Draw a red badge in the top-right corner, with the digit for counts 1-9.
+// Returns a new buffer; the input bitmap is left untouched.
+function drawUnreadBadge(source, width, height, count, badgeRadius) {
+  const bitmap = Buffer.from(source);
+  if (!Number.isInteger(count) || count <= 0) {
+    return bitmap;
+  }
+
+  const radius =
+    badgeRadius || Math.max(3, Math.round(Math.min(width, height) * 0.3));
+  const centerX = width - radius - 0.5;
+  const centerY = radius - 0.5;
+
+  for (let y = 0; y < Math.min(height, radius * 2); y++) {
+    for (let x = Math.max(0, width - radius * 2); x < width; x++) {
+      const distance = Math.hypot(x - centerX, y - centerY);
+      if (distance <= radius) {
+        setPixel(bitmap, width, x, y, BADGE_COLOR);
+      }
+    }
+  }
+
+  const glyph = DIGIT_GLYPHS[count];
+  const scale = Math.floor(radius / 4);
+  if (glyph && scale >= 1) {
+    const left = Math.round(centerX - (3 * scale) / 2 + 0.5);
+    const top = Math.round(centerY - (5 * scale) / 2 + 0.5);
+    glyph.forEach((row, rowIndex) => {
+      [...row].forEach((cell, columnIndex) => {
+        if (cell !== '1') {
+          return;
+        }
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            const x = left + columnIndex * scale + dx;
+            const y = top + rowIndex * scale + dy;
+            if (x >= 0 && x < width && y >= 0 && y < height) {
+              setPixel(bitmap, width, x, y, DIGIT_COLOR);
+            }
+          }
+        }
+      });
+    });
+  }
+
+  return bitmap;
+}
+
+// Compose a badged copy of an Electron nativeImage
+function createBadgedImage(nativeImage, baseImage, count) {
+  const { width, height } = baseImage.getSize();
+  const bitmap = drawUnreadBadge(baseImage.toBitmap(), width, height, count);
+  return nativeImage.createFromBitmap(bitmap, { width, height });
+}
+
+// A standalone badge, e.g. for the Windows taskbar overlay
+function createBadgeImage(nativeImage, count, size = 16) {
+  const bitmap = drawUnreadBadge(
+    Buffer.alloc(size * size * 4),
+    size,
+    size,
+    count,
+    size / 2
+  );
+  return nativeImage.createFromBitmap(bitmap, { width: size, height: size });
+}
+
+module.exports = {
+  createBadgeImage,
+  createBadgedImage,
+  drawUnreadBadge,
+  formatUnreadCount,
+};
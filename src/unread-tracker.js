@@ -0,0 +1,125 @@
+const { CHAT_PROXY } = require('./xrpc-client');
+
+// Poll unread notification and chat counts for the signed-in account
+function createUnreadTracker({ client, onChange }) {
+  let counts = { notifications: 0, chats: 0 };
+  let timer = null;
+  let intervalMs = 60000;
+  let refreshing = null;
+  let refreshSoonTimeout = null;
+
+  const setCounts = (next) => {
+    if (
+      next.notifications !== counts.notifications ||
+      next.chats !== counts.chats
+    ) {
+      counts = next;
+      onChange({ ...counts });
+    }
+  };
+
+  async function fetchNotificationCount() {
+    const data = await client.query('app.bsky.notification.getUnreadCount');
+    return Number.isInteger(data.count) && data.count > 0 ? data.count : 0;
+  }
+
+  async function fetchChatCount() {
+    const data = await client.query(
+      'chat.bsky.convo.listConvos',
+      { limit: 100 },
+      { proxy: CHAT_PROXY }
+    );
+    return (Array.isArray(data.convos) ? data.convos : []).reduce(
+      (total, convo) =>
+        convo && !convo.muted && Number.isInteger(convo.unreadCount)
+          ? total + Math.max(0, convo.unreadCount)
+          : total,
+      0
+    );
+  }
+
+  // Each count fails independently, e.g. app passwords without DM access
+  function refresh() {
+    if (!refreshing) {
+      refreshing = Promise.allSettled([
+        fetchNotificationCount(),
+        fetchChatCount(),
+      ])
+        .then(([notifications, chats]) => {
+          setCounts({
+            notifications:
+              notifications.status === 'fulfilled' ? notifications.value : 0,
+            chats: chats.status === 'fulfilled' ? chats.value : 0,
+          });
+        })
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  }
+
+  function schedule() {
+    if (timer) {
+      clearInterval(timer);
+    }
+    timer = setInterval(refresh, intervalMs);
+  }
+
+  return {
+    getCounts: () => ({ ...counts }),
+
+    refresh,
+
+    start(nextIntervalMs) {
+      intervalMs = nextIntervalMs || intervalMs;
+      schedule();
+      return refresh();
+    },
+
+    // Debounced refresh for page hints such as a changed title
+    refreshSoon(delayMs = 2000) {
+      if (refreshSoonTimeout) {
+        clearTimeout(refreshSoonTimeout);
+      }
+      refreshSoonTimeout = setTimeout(() => {
+        refreshSoonTimeout = null;
+        refresh();
+      }, delayMs);
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+      if (refreshSoonTimeout) {
+        clearTimeout(refreshSoonTimeout);
+        refreshSoonTimeout = null;
+      }
+    },
+
+    // Forget counts from a previous account until the next poll
+    reset() {
+      setCounts({ notifications: 0, chats: 0 });
+    },
+
+    async markAllRead() {
+      await Promise.allSettled([
+        client.procedure('app.bsky.notification.updateSeen', {
+          seenAt: new Date().toISOString(),
+        }),
+        client.procedure(
+          'chat.bsky.convo.updateAllRead',
+          {},
+          {
+            proxy: CHAT_PROXY,
+          }
+        ),
+      ]);
+      return refresh();
+    },
+  };
+}
+
+module.exports = { createUnreadTracker };
@@ -0,0 +1,153 @@
+const { URL } = require('url');
+
+// The release workflow uploads latest.yml (and beta.yml) next to the
+// installers, and GitHub redirects this path to the newest release's assets
+const DEFAULT_UPDATE_FEED_URL =
+  'https://github.com/gendalf9/bluesky_client_electron/releases/latest/download';
+// electron-builder names the stable channel "latest"
+const UPDATE_CHANNELS = { stable: 'latest', beta: 'beta' };
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const FIRST_CHECK_DELAY_MS = 60 * 1000;
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Security: The feed must be HTTPS so latest.yml, which carries the
+// installers' SHA-512 checksums, cannot be swapped in transit. Plain HTTP is
+// accepted for a local static server while testing. Empty means the default.
+function isValidUpdateFeedUrl(value) {
+  if (value === '') {
+    return true;
+  }
+  try {
+    const url = new URL(value);
+    const isLocalHttp =
+      url.protocol === 'http:' && LOCAL_HOSTNAMES.has(url.hostname);
+    return (
+      (url.protocol === 'https:' || isLocalHttp) &&
+      !url.username &&
+      !url.password &&
+      !url.search &&
+      !url.hash
+    );
+  } catch {
+    return false;
+  }
+}
+
+// Check, download and install updates with electron-updater's autoUpdater
+// against a generic feed. Downloads are verified by electron-updater: the
+// SHA-512 from the feed for every platform, plus the code signature on macOS
+// and Windows. `onChange(state)` receives { status, version, percent,
+// error, userInitiated }, where status is one of idle, checking,
+// not-available, downloading, downloaded or error.
+function createUpdater({
+  autoUpdater,
+  isPackaged,
+  onChange,
+  logger = console,
+  checkIntervalMs = CHECK_INTERVAL_MS,
+  firstCheckDelayMs = FIRST_CHECK_DELAY_MS,
+  timers = { setTimeout, clearTimeout, setInterval, clearInterval },
+}) {
+  let state = { status: 'idle', version: null, percent: 0, error: null };
+  let enabled = false;
+  let userInitiated = false;
+  let firstCheckTimeout = null;
+  let checkInterval = null;
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    onChange({ ...state, userInitiated });
+  };
+
+  autoUpdater.autoDownload = true;
+  autoUpdater.autoInstallOnAppQuit = true;
+  autoUpdater.logger = logger;
+
+  autoUpdater.on('checking-for-update', () => {
+    setState({ status: 'checking', error: null });
+  });
+  autoUpdater.on('update-not-available', () => {
+    setState({ status: 'not-available' });
+    userInitiated = false;
+  });
+  autoUpdater.on('update-available', (info) => {
+    setState({ status: 'downloading', version: info.version, percent: 0 });
+  });
+  autoUpdater.on('download-progress', (progress) => {
+    setState({ status: 'downloading', percent: progress.percent });
+  });
+  autoUpdater.on('update-downloaded', (info) => {
+    setState({ status: 'downloaded', version: info.version, percent: 100 });
+    userInitiated = false;
+  });
+  autoUpdater.on('error', (error) => {
+    logger.warn('Update failed:', error);
+    // A downloaded update stays installable when a later check fails
+    if (state.status !== 'downloaded') {
+      setState({ status: 'error', error: 'The update could not be loaded.' });
+    }
+    userInitiated = false;
+  });
+
+  const stopTimers = () => {
+    timers.clearTimeout(firstCheckTimeout);
+    timers.clearInterval(checkInterval);
+    firstCheckTimeout = null;
+    checkInterval = null;
+  };
+
+  const check = (byUser = false) => {
+    if (!enabled || state.status === 'downloaded') {
+      return false;
+    }
+    userInitiated = byUser;
+    // Rejections are reported through the error event as well
+    Promise.resolve(autoUpdater.checkForUpdates()).catch(() => {});
+    return true;
+  };
+
+  return {
+    // Apply the settings; an empty feed URL uses the default feed
+    configure({ enabled: shouldCheck, feedUrl, channel }) {
+      const url = feedUrl || DEFAULT_UPDATE_FEED_URL;
+      autoUpdater.setFeedURL({ provider: 'generic', url });
+      autoUpdater.channel = UPDATE_CHANNELS[channel] || UPDATE_CHANNELS.stable;
+      autoUpdater.allowPrerelease = channel === 'beta';
+      // Setting a channel turns on downgrades; leaving the beta channel should
+      // wait for a newer stable release instead of reinstalling an older one
+      autoUpdater.allowDowngrade = false;
+      // Unpackaged runs only check a feed that was set explicitly, e.g. a
+      // local static server serving builds from dist/
+      autoUpdater.forceDevUpdateConfig = !isPackaged && Boolean(feedUrl);
+      enabled = isPackaged || Boolean(feedUrl);
+
+      stopTimers();
+      if (shouldCheck && enabled) {
+        firstCheckTimeout = timers.setTimeout(() => check(), firstCheckDelayMs);
+        checkInterval = timers.setInterval(() => check(), checkIntervalMs);
+      }
+    },
+
+    // Returns false when updates are unavailable, e.g. in development
+    check: () => check(true),
+
+    quitAndInstall() {
+      if (state.status === 'downloaded') {
+        autoUpdater.quitAndInstall();
+      }
+    },
+
+    isEnabled: () => enabled,
+
+    getState: () => state,
+
+    stop: stopTimers,
+  };
+}
+
+module.exports = {
+  DEFAULT_UPDATE_FEED_URL,
+  UPDATE_CHANNELS,
+  createUpdater,
+  isValidUpdateFeedUrl,
+};
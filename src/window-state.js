@@ -0,0 +1,136 @@
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const DEFAULT_WIDTH = 1200;
+const DEFAULT_HEIGHT = 800;
+const MIN_WIDTH = 400;
+const MIN_HEIGHT = 300;
+// How much of the window must stay on screen to count as visible
+const MIN_VISIBLE_WIDTH = 100;
+const MIN_VISIBLE_HEIGHT = 50;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isValidBounds(bounds) {
+  return (
+    bounds &&
+    isFiniteNumber(bounds.x) &&
+    isFiniteNumber(bounds.y) &&
+    isFiniteNumber(bounds.width) &&
+    isFiniteNumber(bounds.height) &&
+    bounds.width > 0 &&
+    bounds.height > 0
+  );
+}
+
+// Load the saved window state, ignoring anything malformed
+function loadWindowState(filePath) {
+  const data = readJsonFile(filePath, null);
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  return {
+    bounds: isValidBounds(data.bounds)
+      ? {
+          x: Math.round(data.bounds.x),
+          y: Math.round(data.bounds.y),
+          width: Math.round(data.bounds.width),
+          height: Math.round(data.bounds.height),
+        }
+      : null,
+    displayId: isFiniteNumber(data.displayId) ? data.displayId : null,
+    isMaximized: data.isMaximized === true,
+    isFullScreen: data.isFullScreen === true,
+    alwaysOnTop: data.alwaysOnTop === true,
+  };
+}
+
+function saveWindowState(filePath, state) {
+  writeJsonFile(filePath, {
+    bounds: state.bounds,
+    displayId: state.displayId,
+    isMaximized: state.isMaximized === true,
+    isFullScreen: state.isFullScreen === true,
+    alwaysOnTop: state.alwaysOnTop === true,
+  });
+}
+
+function getIntersection(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return {
+    width: Math.max(0, width),
+    height: Math.max(0, height),
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Pick the display to restore on: the saved one if still connected,
+// otherwise whichever shows most of the window, otherwise the primary
+function findTargetDisplay(bounds, displayId, displays, primaryDisplay) {
+  const savedDisplay = displays.find((display) => display.id === displayId);
+  if (savedDisplay) {
+    return savedDisplay;
+  }
+
+  let bestDisplay = null;
+  let bestArea = 0;
+  displays.forEach((display) => {
+    const overlap = getIntersection(bounds, display.workArea);
+    const area = overlap.width * overlap.height;
+    if (area > bestArea) {
+      bestArea = area;
+      bestDisplay = display;
+    }
+  });
+  return bestDisplay || primaryDisplay;
+}
+
+// Resolve the bounds to open the window with, keeping it on a visible display
+function resolveWindowBounds(state, displays, primaryDisplay) {
+  if (!state || !state.bounds || !primaryDisplay) {
+    return { width: DEFAULT_WIDTH, height: DEFAULT_HEIGHT };
+  }
+
+  const display = findTargetDisplay(
+    state.bounds,
+    state.displayId,
+    displays,
+    primaryDisplay
+  );
+  const area = display.workArea;
+  const width = clamp(state.bounds.width, MIN_WIDTH, area.width);
+  const height = clamp(state.bounds.height, MIN_HEIGHT, area.height);
+  const overlap = getIntersection(state.bounds, area);
+
+  // Centre on the display when the saved position would be off screen
+  if (
+    overlap.width < MIN_VISIBLE_WIDTH ||
+    overlap.height < MIN_VISIBLE_HEIGHT
+  ) {
+    return {
+      x: Math.round(area.x + (area.width - width) / 2),
+      y: Math.round(area.y + (area.height - height) / 2),
+      width,
+      height,
+    };
+  }
+
+  return {
+    x: clamp(state.bounds.x, area.x, area.x + area.width - width),
+    y: clamp(state.bounds.y, area.y, area.y + area.height - height),
+    width,
+    height,
+  };
+}
+
+module.exports = {
+  loadWindowState,
+  saveWindowState,
+  resolveWindowBounds,
+};
@@ -0,0 +1,77 @@
+const { URL } = require('url');
+
+// Service proxy for the Bluesky chat service, routed through the user's PDS
+const CHAT_PROXY = 'did:web:api.bsky.chat#bsky_chat';
+const REQUEST_TIMEOUT_MS = 15000;
+
+function createXrpcError(message, status, code) {
+  const error = new Error(message);
+  error.name = 'XrpcError';
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Minimal XRPC client. `getSession` resolves to { service, accessJwt } or null
+// and is asked on every call, so refreshed tokens are always picked up.
+function createXrpcClient({ getSession, fetch }) {
+  async function request(method, nsid, { params, body, proxy } = {}) {
+    const session = await getSession();
+    if (!session) {
+      throw createXrpcError('Not signed in', 401, 'NotSignedIn');
+    }
+
+    const url = new URL(`/xrpc/${nsid}`, session.service);
+    Object.entries(params || {}).forEach(([key, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach((item) => {
+        if (item !== undefined && item !== null) {
+          url.searchParams.append(key, String(item));
+        }
+      });
+    });
+
+    const headers = { Authorization: `Bearer ${session.accessJwt}` };
+    if (proxy) {
+      headers['atproto-proxy'] = proxy;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(url.toString(), {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    const text = await response.text();
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = null;
+      }
+    }
+
+    if (!response.ok) {
+      // Only the XRPC error name is kept; messages may echo request data
+      throw createXrpcError(
+        `XRPC ${nsid} failed`,
+        response.status,
+        data && typeof data.error === 'string' ? data.error : 'UnknownError'
+      );
+    }
+    return data || {};
+  }
+
+  return {
+    query: (nsid, params, options = {}) =>
+      request('GET', nsid, { ...options, params }),
+    procedure: (nsid, body, options = {}) =>
+      request('POST', nsid, { ...options, body: body || {} }),
+  };
+}
+
+module.exports = { CHAT_PROXY, createXrpcClient };
@@ -0,0 +1,117 @@
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// The zoom steps Chromium offers, so Ctrl+wheel and the menu feel the same
+const ZOOM_FACTORS = [
+  0.25, 0.33, 0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4,
+  5,
+];
+const MIN_ZOOM_FACTOR = ZOOM_FACTORS[0];
+const MAX_ZOOM_FACTOR = ZOOM_FACTORS[ZOOM_FACTORS.length - 1];
+const STORE_VERSION = 1;
+
+function isValidZoomFactor(value) {
+  return (
+    typeof value === 'number' &&
+    Number.isFinite(value) &&
+    value >= MIN_ZOOM_FACTOR &&
+    value <= MAX_ZOOM_FACTOR
+  );
+}
+
+// Step to the next preset in a direction ('in' or 'out'). Factors between
+// presets, e.g. from an older build, snap to the nearest one that way.
+function getNextZoomFactor(current, direction) {
+  const factor = isValidZoomFactor(current) ? current : 1;
+  if (direction === 'in') {
+    return (
+      ZOOM_FACTORS.find((step) => step > factor + 0.001) || MAX_ZOOM_FACTOR
+    );
+  }
+  return (
+    [...ZOOM_FACTORS].reverse().find((step) => step < factor - 0.001) ||
+    MIN_ZOOM_FACTOR
+  );
+}
+
+// Keep only { accountId: { origin: factor } } entries with sane values
+function sanitizeZoomData(data) {
+  const levels = {};
+  const source = data && data.levels;
+  if (!source || typeof source !== 'object') {
+    return levels;
+  }
+
+  Object.keys(source).forEach((accountId) => {
+    const origins = source[accountId];
+    if (!origins || typeof origins !== 'object') {
+      return;
+    }
+    const entries = Object.keys(origins).filter(
+      (origin) =>
+        /^https?:\/\/[^/]+$/.test(origin) && isValidZoomFactor(origins[origin])
+    );
+    if (entries.length > 0) {
+      levels[accountId] = Object.fromEntries(
+        entries.map((origin) => [origin, origins[origin]])
+      );
+    }
+  });
+  return levels;
+}
+
+// Zoom factors remembered per account and origin
+function createZoomStore(filePath) {
+  const levels = new Map(
+    Object.entries(sanitizeZoomData(readJsonFile(filePath, null))).map(
+      ([accountId, origins]) => [accountId, new Map(Object.entries(origins))]
+    )
+  );
+
+  const save = () => {
+    const data = {};
+    levels.forEach((origins, accountId) => {
+      data[accountId] = Object.fromEntries(origins);
+    });
+    writeJsonFile(filePath, { version: STORE_VERSION, levels: data });
+  };
+
+  return {
+    get(accountId, origin) {
+      const origins = levels.get(accountId);
+      return (origins && origins.get(origin)) || 1;
+    },
+
+    // The default factor is not stored, so resetting forgets the origin
+    set(accountId, origin, factor) {
+      if (!isValidZoomFactor(factor)) {
+        return;
+      }
+      const origins = levels.get(accountId) || new Map();
+      if (factor === 1) {
+        origins.delete(origin);
+      } else {
+        origins.set(origin, factor);
+      }
+      if (origins.size > 0) {
+        levels.set(accountId, origins);
+      } else {
+        levels.delete(accountId);
+      }
+      save();
+    },
+
+    removeAccount(accountId) {
+      if (levels.delete(accountId)) {
+        save();
+      }
+    },
+  };
+}
+
+module.exports = {
+  ZOOM_FACTORS,
+  createZoomStore,
+  getNextZoomFactor,
+  isValidZoomFactor,
+  sanitizeZoomData,
+};